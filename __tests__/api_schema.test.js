@@ -0,0 +1,178 @@
+const { ApiRegistry, ApiError, validate, toJsonSchema, detailsFromMessages } = require('../api_schema');
+
+// Minimal stand-ins for an Express app and response, enough to drive registered routes
+function fakeApp() {
+  const handlers = {};
+  const app = {};
+  ['get', 'post', 'put', 'patch', 'delete'].forEach(method => {
+    app[method] = (path, handler) => { handlers[`${method} ${path}`] = handler; };
+  });
+  return { app, handlers };
+}
+
+function call(handler, req) {
+  return new Promise(resolve => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body: JSON.parse(JSON.stringify(body)) }); }
+    };
+    handler({ params: {}, query: {}, body: undefined, ...req }, res);
+  });
+}
+
+const PARTICLE = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['electron', 'photon'], required: true },
+    energy: { type: 'number', min: 0, exclusiveMin: true, max: 10, default: 1 },
+    charge: { type: 'integer', min: -1, max: 1 },
+    label: { type: 'string', minLength: 1, maxLength: 8, pattern: '^[a-z]+$' },
+    tags: { type: 'array', items: { type: 'string' }, maxLength: 2, unique: true },
+    stable: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+describe('api_schema', () => {
+  test('coerces query-string values and fills in defaults', () => {
+    const { value, errors } = validate(PARTICLE, { type: 'photon', charge: '-1', stable: 'true' }, 'body');
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ type: 'photon', energy: 1, charge: -1, stable: true });
+  });
+
+  test('reports every problem with its code and field', () => {
+    const { errors } = validate(PARTICLE, {
+      energy: 0,
+      charge: 0.5,
+      label: 'ABC',
+      tags: ['a', 'a', 'b'],
+      spin: 1
+    }, 'body');
+
+    expect(errors.map(({ code, field }) => [code, field])).toEqual([
+      ['required', 'body.type'],
+      ['out_of_range', 'body.energy'],
+      ['invalid_type', 'body.charge'],
+      ['invalid_value', 'body.label'],
+      ['invalid_length', 'body.tags'],
+      ['invalid_value', 'body.tags'],
+      ['unknown_field', 'body.spin']
+    ]);
+    expect(errors[1].message).toBe('body.energy must be a number greater than 0 and at most 10');
+  });
+
+  test('nullable, anyOf and schema-valued additionalProperties', () => {
+    const schema = {
+      type: 'object',
+      properties: { seed: { anyOf: [{ type: 'integer', min: 0 }, { type: 'string', minLength: 1 }], nullable: true } },
+      additionalProperties: { type: 'number' }
+    };
+    expect(validate(schema, { seed: null, x: '2' }).value).toEqual({ seed: null, x: 2 });
+    expect(validate(schema, { seed: 'abc' }).errors).toEqual([]);
+    expect(validate(schema, { seed: [] }).errors[0].message)
+      .toBe('seed must be an integer of at least 0 or a non-empty string');
+    expect(validate(schema, { x: 'y' }).errors[0].code).toBe('invalid_type');
+  });
+
+  test('toJsonSchema maps ranges, lengths and required properties', () => {
+    expect(toJsonSchema(PARTICLE)).toMatchObject({
+      type: 'object',
+      required: ['type'],
+      additionalProperties: false,
+      properties: {
+        energy: { type: 'number', exclusiveMinimum: 0, maximum: 10, default: 1 },
+        label: { minLength: 1, maxLength: 8, pattern: '^[a-z]+$' },
+        tags: { type: 'array', maxItems: 2, uniqueItems: true, items: { type: 'string' } }
+      }
+    });
+  });
+
+  test('comma-separated query values become arrays and nullable types include null', () => {
+    const schema = { type: 'array', items: { type: 'integer' } };
+    expect(validate(schema, '1,2,3').value).toEqual([1, 2, 3]);
+    expect(validate(schema, '').value).toEqual([]);
+    expect(toJsonSchema({ type: 'number', nullable: true })).toEqual({ type: ['number', 'null'] });
+  });
+
+  test('toOpenApi describes routes under the base path', () => {
+    const { app } = fakeApp();
+    const registry = new ApiRegistry({ basePath: '/api/v1' });
+    registry.route(app, 'get', '/particles/:id', {
+      summary: 'Get a particle',
+      params: { id: { type: 'integer' } },
+      query: { fields: { type: 'array', items: { type: 'string' } } }
+    }, () => {});
+    registry.route(app, 'patch', '/particles/:id', { params: { id: { type: 'integer' } }, body: PARTICLE }, () => {});
+
+    const document = registry.toOpenApi({ title: 'Test', version: '1' });
+    expect(document.openapi).toBe('3.1.0');
+    expect(Object.keys(document.paths)).toEqual(['/api/v1/particles/{id}']);
+
+    const operations = document.paths['/api/v1/particles/{id}'];
+    expect(operations.get.summary).toBe('Get a particle');
+    expect(operations.get.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+      { name: 'fields', in: 'query', required: false, schema: { type: 'array', items: { type: 'string' } } }
+    ]);
+    expect(operations.get.requestBody).toBeUndefined();
+    expect(operations.patch.requestBody.content['application/json'].schema).toEqual(toJsonSchema(PARTICLE));
+    expect(operations.patch.responses.default.content['application/json'].schema)
+      .toEqual({ $ref: '#/components/schemas/Error' });
+  });
+
+  test('detailsFromMessages picks the field out of domain messages', () => {
+    expect(detailsFromMessages(['segments[1].width must be positive', 'Something else'], 'body')).toEqual([
+      { code: 'invalid_value', message: 'segments[1].width must be positive', field: 'body.segments[1].width' },
+      { code: 'invalid_value', message: 'Something else', field: 'body' }
+    ]);
+  });
+
+  test('registered routes validate before the handler and use the error envelope', async () => {
+    const { app, handlers } = fakeApp();
+    const registry = new ApiRegistry();
+    registry.route(app, 'post', '/particles/:id', {
+      params: { id: { type: 'integer', min: 1 } },
+      body: PARTICLE
+    }, (req, res) => {
+      if (req.params.id === 13) throw new ApiError(404, 'not_found', 'No particle 13');
+      res.json({ id: req.params.id, particle: req.body });
+    });
+    const handler = handlers['post /particles/:id'];
+
+    expect(await call(handler, { params: { id: '2' }, body: { type: 'electron' } })).toEqual({
+      status: 200,
+      body: { id: 2, particle: { type: 'electron', energy: 1 } }
+    });
+
+    const invalid = await call(handler, { params: { id: '0' }, body: { type: 'muon' } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.code).toBe('validation_failed');
+    expect(invalid.body.error.details.map(detail => detail.field)).toEqual(['params.id', 'body.type']);
+
+    expect(await call(handler, { params: { id: '13' }, body: { type: 'photon' } })).toEqual({
+      status: 404,
+      body: { error: { code: 'not_found', message: 'No particle 13', details: [] } }
+    });
+  });
+
+  test('socket events acknowledge results and emit simulationError on bad payloads', async () => {
+    const registry = new ApiRegistry();
+    registry.event('setEnergy', { payload: { type: 'number', min: 0 } }, (energy) => energy * 2);
+
+    const listeners = {};
+    const emitted = [];
+    registry.attachEvents({
+      on: (name, listener) => { listeners[name] = listener; },
+      emit: (name, payload) => emitted.push([name, payload])
+    });
+
+    const ack = (payload) => new Promise(resolve => listeners.setEnergy(payload, resolve));
+    expect(await ack('1.5')).toEqual({ ok: true, result: 3 });
+
+    const failure = await ack(-1);
+    expect(failure.ok).toBe(false);
+    expect(failure.error.code).toBe('validation_failed');
+    expect(emitted).toEqual([['simulationError', expect.objectContaining({ event: 'setEnergy' })]]);
+  });
+});
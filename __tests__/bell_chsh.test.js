@@ -0,0 +1,46 @@
+const SeededRandom = require('../simulation_random');
+const {
+  BELL_STATES,
+  CLASSICAL_BOUND,
+  TSIRELSON_BOUND,
+  DEFAULT_ANGLES,
+  outcomeProbabilities,
+  expectedS,
+  createCounts,
+  measurePair,
+  recordMeasurement,
+  analyzeCounts
+} = require('../bell_chsh');
+
+describe('bell_chsh', () => {
+  test('the default angles reach the Tsirelson bound S = 2√2 for |Φ+⟩', () => {
+    expect(expectedS('|Φ+⟩', DEFAULT_ANGLES)).toBeCloseTo(TSIRELSON_BOUND, 12);
+  });
+
+  test('outcome probabilities of every Bell state sum to one', () => {
+    Object.keys(BELL_STATES).forEach(state => {
+      const total = outcomeProbabilities(state, 30, 75).reduce((sum, p) => sum + p, 0);
+      expect(total).toBeCloseTo(1, 12);
+    });
+  });
+
+  test('sampled pairs violate the classical bound and converge on 2√2', () => {
+    const random = new SeededRandom(42);
+    const counts = createCounts();
+    for (let i = 0; i < 40000; i++) {
+      recordMeasurement(counts, measurePair('|Φ+⟩', DEFAULT_ANGLES, random));
+    }
+
+    const analysis = analyzeCounts(counts);
+    expect(analysis.trials).toBe(40000);
+    expect(analysis.violation).toBe(true);
+    expect(analysis.S).toBeGreaterThan(CLASSICAL_BOUND);
+    expect(Math.abs(analysis.S - TSIRELSON_BOUND)).toBeLessThan(4 * analysis.standardError);
+  });
+
+  test('S is null until every setting has been measured', () => {
+    const analysis = analyzeCounts(createCounts());
+    expect(analysis.S).toBeNull();
+    expect(analysis.violation).toBe(false);
+  });
+});
@@ -0,0 +1,48 @@
+const SeededRandom = require('../simulation_random');
+const { DoubleSlit, readMarker } = require('../double_slit');
+
+describe('double_slit', () => {
+  const slit = new DoubleSlit();
+
+  test('the intensity is 1 on the axis and vanishes half a fringe spacing away', () => {
+    expect(slit.intensity(0)).toBeCloseTo(1, 12);
+    expect(slit.intensity(slit.fringeSpacing() / 2)).toBeLessThan(1e-6);
+    // A which-path marker leaves only the single-slit envelope, which is nearly flat there
+    expect(slit.intensity(slit.fringeSpacing() / 2, true)).toBeGreaterThan(0.9);
+  });
+
+  test('the binned distributions are normalised', () => {
+    [false, true].forEach(marked => {
+      const { probabilities, cdf } = slit.distribution(marked);
+      expect(probabilities.reduce((sum, p) => sum + p, 0)).toBeCloseTo(1, 12);
+      expect(cdf[cdf.length - 1]).toBeCloseTo(1, 12);
+    });
+  });
+
+  test('sampled hits converge on the analytic pattern', () => {
+    const random = new SeededRandom(7);
+    const counts = slit.createHistogram();
+    for (let i = 0; i < 50000; i++) counts[slit.emit(random).bin]++;
+
+    const comparison = slit.compare(counts);
+    expect(comparison.hits).toBe(50000);
+    expect(comparison.deviation).toBeLessThan(0.03);
+    expect(comparison.expectedVisibility).toBeGreaterThan(0.9);
+    expect(comparison.visibility).toBeCloseTo(comparison.expectedVisibility, 1);
+  });
+
+  test('marking the path removes the fringes', () => {
+    const { probabilities } = slit.distribution(true);
+    expect(slit.visibility(probabilities)).toBeLessThan(0.1);
+  });
+
+  test('the eraser basis sorts a bright-fringe hit into +', () => {
+    const random = new SeededRandom(1);
+    const amplitudes = slit.amplitudes(0);
+    for (let i = 0; i < 100; i++) {
+      expect(readMarker(amplitudes, 'eraser', random)).toBe('+');
+    }
+    const paths = Array.from({ length: 2000 }, () => readMarker(amplitudes, 'path', random));
+    expect(paths.filter(path => path === 'A').length / paths.length).toBeCloseTo(0.5, 1);
+  });
+});
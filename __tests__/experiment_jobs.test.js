@@ -0,0 +1,86 @@
+const { ExperimentJobRunner } = require('../experiment_jobs');
+
+function* counter(steps) {
+  for (let i = 1; i <= steps; i++) {
+    yield { progress: i / steps, data: { step: i } };
+  }
+  return { steps: steps };
+}
+
+// Runs until stopped from outside, reporting how far it got
+function* endless(state) {
+  for (;;) {
+    state.steps++;
+    yield { progress: 0.5, data: state.steps };
+  }
+}
+
+const nextTurn = () => new Promise(resolve => setImmediate(resolve));
+
+describe('experiment_jobs', () => {
+  test('runs an iterator to completion and resolves with its return value', async () => {
+    const states = [];
+    const runner = new ExperimentJobRunner({ onUpdate: job => states.push(job.state) });
+    const job = runner.submit('a', counter(5));
+
+    await expect(job.promise).resolves.toEqual({ steps: 5 });
+    expect(job).toMatchObject({ state: 'completed', progress: 1, intermediate: { step: 5 } });
+    expect(states[0]).toBe('queued');
+    expect(states).toContain('running');
+    expect(states[states.length - 1]).toBe('completed');
+  });
+
+  test('plain values finish immediately', async () => {
+    const runner = new ExperimentJobRunner();
+    await expect(runner.submit('a', 42).promise).resolves.toBe(42);
+  });
+
+  test('queues jobs beyond the concurrency limit', async () => {
+    const runner = new ExperimentJobRunner({ concurrency: 1 });
+    const state = { steps: 0 };
+    runner.submit('first', endless(state));
+    const second = runner.submit('second', counter(2));
+
+    await nextTurn();
+    expect(runner.getStatus()).toMatchObject({ concurrency: 1, running: 1, queued: 1 });
+    expect(() => runner.submit('first', counter(1))).toThrow('Job already in progress: first');
+
+    runner.cancel('first');
+    await expect(second.promise).resolves.toEqual({ steps: 2 });
+    expect(runner.getStatus()).toMatchObject({ completed: 1, cancelled: 1, running: 0, queued: 0 });
+  });
+
+  test('paused jobs stop advancing until resumed, and cancelling rejects the promise', async () => {
+    const runner = new ExperimentJobRunner({ sliceMs: 1 });
+    const state = { steps: 0 };
+    const job = runner.submit('walk', endless(state));
+
+    await nextTurn();
+    expect(runner.pause('walk')).toBe(true);
+    const pausedAt = state.steps;
+    await nextTurn();
+    await nextTurn();
+    expect(job.state).toBe('paused');
+    expect(state.steps).toBe(pausedAt);
+
+    expect(runner.resume('walk')).toBe(true);
+    await nextTurn();
+    await nextTurn();
+    expect(state.steps).toBeGreaterThan(pausedAt);
+
+    expect(runner.cancel('walk')).toBe(true);
+    await expect(job.promise).rejects.toThrow('Job cancelled: walk');
+    expect(runner.cancel('walk')).toBe(false);
+  });
+
+  test('an iterator that throws fails the job', async () => {
+    const runner = new ExperimentJobRunner();
+    const job = runner.submit('broken', (function* () {
+      yield { progress: 0.1 };
+      throw new Error('diverged');
+    })());
+
+    await expect(job.promise).rejects.toThrow('diverged');
+    expect(job).toMatchObject({ state: 'failed', error: 'diverged', progress: 0.1 });
+  });
+});
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResultsStore, flatten } = require('../experiment_results');
+
+const record = (id, template, completedAt, parameters, analysis = null) => ({
+  id: id,
+  experimentId: `experiment_${id}`,
+  template: template,
+  seed: 1,
+  serverVersion: '1.0.0',
+  completedAt: completedAt,
+  parameters: parameters,
+  analysis: analysis
+});
+
+describe('experiment_results', () => {
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'results-'));
+    file = path.join(directory, 'nested', 'results.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('replays puts and removals from the log, skipping torn lines', async () => {
+    const store = await new ResultsStore(file).open();
+    await store.put(record('a', 'decay', 1, { halfLife: 5 }));
+    await store.put(record('b', 'decay', 2, { halfLife: 6 }));
+    await store.put(record('a', 'decay', 3, { halfLife: 7 }));
+    expect(await store.remove('b')).toBe(true);
+    expect(await store.remove('b')).toBe(false);
+    fs.appendFileSync(file, '{"id": "c", "templ');
+
+    const reopened = await new ResultsStore(file).open();
+    expect(reopened.get('a').parameters).toEqual({ halfLife: 7 });
+    expect(reopened.get('b')).toBeUndefined();
+    expect(reopened.get('c')).toBeUndefined();
+  });
+
+  test('compacts the log once superseded lines dominate', async () => {
+    const store = await new ResultsStore(file).open();
+    for (let i = 0; i < 5; i++) {
+      await store.put(record('a', 'decay', i, { halfLife: i + 1 }));
+    }
+
+    await new ResultsStore(file).open();
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0]).parameters).toEqual({ halfLife: 5 });
+  });
+
+  test('stored records are copies', async () => {
+    const store = await new ResultsStore(file).open();
+    const original = record('a', 'decay', 1, { halfLife: 5 });
+    await store.put(original);
+    original.parameters.halfLife = 99;
+    expect(store.get('a').parameters.halfLife).toBe(5);
+  });
+
+  test('queries by template, date and parameter ranges, newest first', async () => {
+    const store = await new ResultsStore(file).open();
+    await store.put(record('a', 'decay', 10, { halfLife: 5, coin: 'dft' }));
+    await store.put(record('b', 'decay', 20, { halfLife: 50, coin: 'grover' }));
+    await store.put(record('c', 'walk', 30, { halfLife: 5 }));
+    await store.put(record('d', 'decay', 40, { halfLife: [2, 4] }));
+
+    const ids = (filter) => store.query(filter).items.map(item => item.id);
+    expect(ids({ template: 'decay' })).toEqual(['d', 'b', 'a']);
+    expect(ids({ from: 15, to: 30 })).toEqual(['c', 'b']);
+    expect(ids({ parameters: { halfLife: { max: 10 } } })).toEqual(['d', 'c', 'a']);
+    expect(ids({ parameters: { halfLife: { min: 3, max: 10 } } })).toEqual(['c', 'a']);
+    expect(ids({ parameters: { coin: { equals: 'grover' } } })).toEqual(['b']);
+    expect(store.query({ offset: 1, limit: 2 })).toMatchObject({ total: 4, offset: 1, limit: 2 });
+    expect(ids({ offset: 1, limit: 2 })).toEqual(['c', 'b']);
+  });
+
+  test('queries the runs of one sweep', async () => {
+    const store = await new ResultsStore(file).open();
+    await store.put({ ...record('a', 'decay', 1, {}), sweepId: 'sweep_1' });
+    await store.put({ ...record('b', 'decay', 2, {}), sweepId: 'sweep_2' });
+    expect(store.query({ sweepId: 'sweep_1' }).items.map(item => item.id)).toEqual(['a']);
+  });
+
+  test('flatten names every leaf by its path', () => {
+    expect(flatten({ a: { b: [1, { c: 2 }] }, d: [], e: {}, f: undefined })).toEqual({
+      'a.b[0]': 1,
+      'a.b[1].c': 2,
+      d: [],
+      e: {},
+      f: null
+    });
+  });
+
+  test('compare lines up parameters and analyses with spreads', async () => {
+    const store = await new ResultsStore(file).open();
+    await store.put(record('a', 'decay', 1, { halfLife: 5, nuclei: 100 }, { fit: { halfLife: 4.9 } }));
+    await store.put(record('b', 'decay', 2, { halfLife: 6, nuclei: 100 }, { fit: { halfLife: 6.2 } }));
+
+    const comparison = store.compare(['a', 'b']);
+    expect(comparison.runs.map(run => [run.id, run.analyzed])).toEqual([['a', true], ['b', true]]);
+    expect(comparison.parameters).toEqual([
+      { path: 'halfLife', values: [5, 6], differs: true, spread: 1 },
+      { path: 'nuclei', values: [100, 100], differs: false, spread: 0 }
+    ]);
+    expect(comparison.analysis[0].path).toBe('fit.halfLife');
+    expect(comparison.analysis[0].spread).toBeCloseTo(1.3, 12);
+    expect(store.compare(['a', 'b'], { onlyDifferences: true }).parameters.map(row => row.path)).toEqual(['halfLife']);
+  });
+});
@@ -0,0 +1,174 @@
+const { ExperimentSweepRunner, MAX_SWEEP_RUNS } = require('../experiment_sweeps');
+
+const TEMPLATE = {
+  parameters: {
+    nuclei: { type: 'integer', min: 10, max: 1000, default: 100 },
+    halfLife: { min: 1, max: 10, default: 5 },
+    coin: { options: ['dft', 'grover'], default: 'dft' },
+    gridSize: { options: [32, 64, 128], default: 64 },
+    sizes: { min: 1, max: 4, default: [2] }
+  }
+};
+
+// Just enough of the experiment framework for sweeps: every run completes at once and its
+// analysis echoes the parameters and seed
+class FakeFramework {
+  constructor() {
+    this.experimentTemplates = new Map([['decay', TEMPLATE]]);
+    this.experiments = new Map();
+    this.nextId = 1;
+  }
+
+  getParameterSchema(type) {
+    const properties = {};
+    Object.entries(this.experimentTemplates.get(type).parameters).forEach(([name, definition]) => {
+      const item = definition.options
+        ? { type: typeof definition.options[0] === 'number' ? 'number' : 'string', enum: definition.options }
+        : { type: definition.type || 'number', min: definition.min, max: definition.max };
+      properties[name] = Array.isArray(definition.default)
+        ? { type: 'array', items: item, minLength: 1, default: definition.default }
+        : { ...item, default: definition.default };
+    });
+    return { type: 'object', properties: properties, additionalProperties: false };
+  }
+
+  createExperiment(template, parameters, seed) {
+    const experiment = { id: `experiment_${this.nextId++}`, template, parameters, seed, status: 'created', error: null };
+    this.experiments.set(experiment.id, experiment);
+    return experiment;
+  }
+
+  runExperiment(id) {
+    const experiment = this.experiments.get(id);
+    experiment.status = experiment.parameters.halfLife > 9 ? 'failed' : 'completed';
+    experiment.error = experiment.status === 'failed' ? 'half-life too long' : null;
+    experiment.resultId = experiment.status === 'completed' ? `result_${id}` : null;
+  }
+
+  whenFinished() {
+    return Promise.resolve();
+  }
+
+  analyzeExperiment(id) {
+    const { parameters, seed } = this.experiments.get(id);
+    return { fit: { halfLife: parameters.halfLife + (seed % 2) }, samples: [1, 2] };
+  }
+
+  deleteExperiment(id) {
+    this.experiments.delete(id);
+  }
+
+  cancelExperiment() {}
+}
+
+describe('experiment_sweeps', () => {
+  let runner;
+
+  beforeEach(() => {
+    runner = new ExperimentSweepRunner(new FakeFramework());
+  });
+
+  test('grid sweeps take the cartesian product of the axes, with repetitions on seed + r', () => {
+    const { plan, errors } = runner.plan({
+      template: 'decay',
+      parameters: { halfLife: { min: 2, max: 4, steps: 3 }, coin: {} },
+      fixed: { nuclei: 500 },
+      repetitions: 2,
+      seed: 10
+    });
+
+    expect(errors).toEqual([]);
+    expect(plan.axes).toEqual(['halfLife', 'coin']);
+    expect(plan.points.map(point => point.parameters)).toEqual([
+      { halfLife: 2, coin: 'dft' }, { halfLife: 2, coin: 'grover' },
+      { halfLife: 3, coin: 'dft' }, { halfLife: 3, coin: 'grover' },
+      { halfLife: 4, coin: 'dft' }, { halfLife: 4, coin: 'grover' }
+    ]);
+    expect(plan.points[0].runs.map(run => run.seed)).toEqual([10, 11]);
+    expect(plan.points[0].runs[0].parameters).toEqual({ nuclei: 500, halfLife: 2, coin: 'dft', gridSize: 64, sizes: [2] });
+  });
+
+  test('integer axes are rounded and list parameters get one-element lists', () => {
+    const { plan } = runner.plan({
+      template: 'decay',
+      parameters: { nuclei: { min: 10, max: 12, steps: 5 }, sizes: { values: [1, 3] } },
+      seed: 1
+    });
+    expect(plan.points.map(point => point.parameters.nuclei)).toEqual([10, 10, 11, 11, 12, 12]);
+    expect(plan.points[1].runs[0].parameters.sizes).toEqual([3]);
+  });
+
+  test('numeric options such as power-of-two grid sizes are only swept over their listed values', () => {
+    const grid = runner.plan({ template: 'decay', parameters: { gridSize: { min: 32, max: 128, steps: 5 } }, seed: 1 });
+    expect(grid.plan.points.map(point => point.parameters.gridSize)).toEqual([32, 64, 128]);
+
+    const random = runner.plan({ template: 'decay', sampling: 'random', parameters: { gridSize: {} }, samples: 20, seed: 2 });
+    random.plan.points.forEach(point => expect([32, 64, 128]).toContain(point.parameters.gridSize));
+
+    expect(runner.plan({ template: 'decay', parameters: { gridSize: { values: [48] } } }).errors)
+      .toEqual(['parameters.gridSize.values must be options of 32, 64, 128']);
+    expect(runner.plan({ template: 'decay', parameters: { halfLife: {} }, fixed: { gridSize: 100 } }).errors)
+      .toEqual(['fixed.gridSize must be one of 32, 64, 128']);
+  });
+
+  test('latin hypercube samples use every stratum of every axis once', () => {
+    const { plan } = runner.plan({
+      template: 'decay',
+      sampling: 'lhs',
+      parameters: { halfLife: {}, sizes: {} },
+      samples: 8,
+      seed: 3
+    });
+    ['halfLife', 'sizes'].forEach(axis => {
+      const { min, max } = TEMPLATE.parameters[axis];
+      const strata = plan.points.map(point => Math.floor((point.parameters[axis] - min) / (max - min) * 8)).sort();
+      expect(strata).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    const again = runner.plan({ template: 'decay', sampling: 'lhs', parameters: { halfLife: {}, sizes: {} }, samples: 8, seed: 3 });
+    expect(again.plan.points).toEqual(plan.points);
+  });
+
+  test('rejects unknown, fixed-and-swept and out-of-range parameters and oversized sweeps', () => {
+    expect(runner.plan({ template: 'decay', parameters: {} }).errors)
+      .toEqual(['parameters must name at least one parameter to sweep']);
+    expect(runner.plan({
+      template: 'decay',
+      parameters: { spin: {}, nuclei: {}, halfLife: { min: 0 }, coin: { values: ['hadamard'] } },
+      fixed: { nuclei: 20 }
+    }).errors).toEqual([
+      'parameters.spin is not a parameter of decay',
+      'fixed.nuclei cannot be fixed and swept at once',
+      'parameters.halfLife must have min <= max within 1 and 10',
+      'parameters.coin.values must be options of dft, grover'
+    ]);
+    expect(runner.plan({ template: 'decay', parameters: { halfLife: {} }, fixed: { nuclei: 5 } }).errors)
+      .toEqual(['fixed.nuclei must be an integer between 10 and 1000']);
+    expect(runner.plan({ template: 'decay', sampling: 'random', parameters: { halfLife: {} }, samples: MAX_SWEEP_RUNS, repetitions: 2 }).errors[0])
+      .toMatch(`at most ${MAX_SWEEP_RUNS} runs`);
+  });
+
+  test('runs every point and aggregates the analyses into a table and CSV', async () => {
+    const { plan } = runner.plan({
+      template: 'decay',
+      parameters: { halfLife: { values: [2, 10] } },
+      repetitions: 2,
+      seed: 4
+    });
+    const sweep = runner.start(plan, 2);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(sweep).toMatchObject({ status: 'completed', finished: 4, total: 4 });
+    expect(runner.describe(sweep).progress).toBe(1);
+    expect(runner.describe(sweep, true).points[1].runs[0]).toMatchObject({ status: 'failed', error: 'half-life too long' });
+
+    const table = runner.buildTable(sweep);
+    expect(table.columns).toEqual(['halfLife', 'runs', 'analyzed', 'fit.halfLife.mean', 'fit.halfLife.std']);
+    // Seeds 4 and 5 add 0 and 1 to the fitted half-life
+    expect(table.rows[0]).toEqual({ halfLife: 2, runs: 2, analyzed: 2, 'fit.halfLife.mean': 2.5, 'fit.halfLife.std': 0.5 });
+    expect(table.rows[1]).toMatchObject({ analyzed: 0, 'fit.halfLife.mean': null });
+    expect(runner.toCsv(table)).toBe(
+      'halfLife,runs,analyzed,fit.halfLife.mean,fit.halfLife.std\n2,2,2,2.5,0.5\n10,2,0,,\n'
+    );
+  });
+});
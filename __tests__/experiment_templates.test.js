@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SeededRandom = require('../simulation_random');
+const { ExperimentTemplateLoader } = require('../experiment_templates');
+const radioactiveDecay = require('../experiments/radioactive_decay');
+
+const VALID = `module.exports = {
+  name: 'Coin',
+  parameters: { flips: { type: 'integer', min: 1, max: 100, default: 10 }, coin: { options: ['fair'], default: 'fair' } },
+  setup(parameters) { return parameters; },
+  run(setup) { return setup.flips; },
+  analyze(data) { return { flips: data }; }
+};
+`;
+
+class FakeFramework {
+  constructor() {
+    this.templates = new Map([['builtin', { name: 'Built in' }]]);
+  }
+
+  registerTemplate(type, template) {
+    if (this.templates.has(type) && !this.templates.get(type).source) {
+      throw new Error(`Template ${type} is built in and cannot be replaced`);
+    }
+    this.templates.set(type, template);
+  }
+
+  unregisterTemplate(type) {
+    return this.templates.delete(type);
+  }
+}
+
+describe('experiment_templates', () => {
+  let directory;
+  let framework;
+  let loader;
+
+  const write = (file, content) => fs.writeFileSync(path.join(directory, file), content);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+    framework = new FakeFramework();
+    loader = new ExperimentTemplateLoader(framework, directory);
+  });
+
+  afterEach(() => {
+    loader.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('registers valid modules under their file name', () => {
+    write('coin.js', VALID);
+    expect(loader.loadAll()).toEqual({ loaded: [{ file: 'coin.js', type: 'coin' }], errors: [] });
+    expect(framework.templates.get('coin')).toMatchObject({ name: 'Coin', description: '', source: 'coin.js' });
+  });
+
+  test('reports why a module was rejected', () => {
+    write('Bad-Name.js', VALID);
+    write('syntax.js', 'module.exports = {');
+    write('builtin.js', VALID);
+    write('incomplete.js', `module.exports = {
+      setup() {}, run() {},
+      parameters: { a: { min: 2, max: 1, default: 1 }, b: { options: ['x'], default: 'y' }, c: { min: 0, max: 1, default: [] }, d: { options: [1, 'x'], default: 1 } }
+    };`);
+
+    const { loaded, errors } = loader.loadAll();
+    expect(loaded).toEqual([]);
+    const byFile = Object.fromEntries(errors.map(({ file, errors: messages }) => [file, messages]));
+    expect(byFile['Bad-Name.js'][0]).toMatch('file name must match');
+    expect(byFile['syntax.js'][0]).toMatch('could not be loaded');
+    expect(byFile['builtin.js']).toEqual(['Template builtin is built in and cannot be replaced']);
+    expect(byFile['incomplete.js']).toEqual([
+      'analyze must be a function',
+      'parameters.a must have finite min and max with min <= max, or options',
+      'parameters.b.default must be one of x',
+      'parameters.c.default must not be an empty list',
+      'parameters.d.options must be a non-empty list of strings or of finite numbers'
+    ]);
+  });
+
+  test('a broken edit keeps the loaded version and a deleted file unregisters it', () => {
+    const changes = jest.fn();
+    loader = new ExperimentTemplateLoader(framework, directory, { onChange: changes });
+    write('coin.js', VALID);
+    loader.loadAll();
+
+    // Jest keeps its own module registry, so the loader's require.cache eviction needs help
+    jest.resetModules();
+    write('coin.js', VALID.replace("name: 'Coin'", 'name: 7'));
+    loader.reload('coin.js');
+    expect(framework.templates.get('coin').name).toBe('Coin');
+    expect(loader.list().errors).toEqual([{ file: 'coin.js', errors: ['name must be a string'] }]);
+
+    jest.resetModules();
+    write('coin.js', VALID.replace("name: 'Coin'", "name: 'Fair coin'"));
+    loader.reload('coin.js');
+    expect(framework.templates.get('coin').name).toBe('Fair coin');
+    expect(loader.list().errors).toEqual([]);
+
+    fs.unlinkSync(path.join(directory, 'coin.js'));
+    loader.reload('coin.js');
+    expect(framework.templates.has('coin')).toBe(false);
+    expect(changes).toHaveBeenCalledTimes(3);
+  });
+
+  test('a missing directory loads nothing', () => {
+    loader = new ExperimentTemplateLoader(framework, path.join(directory, 'missing'));
+    expect(loader.loadAll()).toEqual({ loaded: [], errors: [] });
+  });
+
+  test('the bundled radioactive decay template passes validation and fits its half-life', () => {
+    expect(loader.validate(radioactiveDecay)).toEqual([]);
+
+    const parameters = { nuclei: 100000, halfLife: 5, duration: 10, timeStep: 0.5 };
+    const context = { random: new SeededRandom(9) };
+    const run = radioactiveDecay.run(radioactiveDecay.setup(parameters, context), context);
+    let step = run.next();
+    while (!step.done) step = run.next();
+
+    const analysis = radioactiveDecay.analyze(step.value);
+    expect(Math.abs(analysis.fittedHalfLife - 5)).toBeLessThan(0.1);
+    expect(analysis.remainingFraction).toBeCloseTo(0.25, 1);
+  });
+
+  test('radioactive decay reports too little data instead of a NaN fit', () => {
+    const analysis = radioactiveDecay.analyze({ counts: [{ time: 0, remaining: 10 }, { time: 1, remaining: 0 }], initial: 10 });
+    expect(analysis).toEqual({
+      error: 'Not enough data to fit the half-life',
+      decayConstant: null,
+      fittedHalfLife: null,
+      remainingFraction: 0
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const SeededRandom = require('../simulation_random');
+const { DensityMatrix, QuantumCircuit, HADAMARD, PAULI_X } = require('../quantum_computing_simulator');
+const {
+  CHANNEL_TYPES,
+  NoiseModel,
+  createChannel,
+  channelSuperoperator,
+  pauliProbabilities
+} = require('../noise_model');
+
+// Σ K†K as a 2 × 2 matrix of [re, im] entries
+function krausCompleteness(kraus) {
+  const sum = [[[0, 0], [0, 0]], [[0, 0], [0, 0]]];
+  kraus.forEach(k => {
+    for (let i = 0; i < 2; i++) {
+      for (let j = 0; j < 2; j++) {
+        for (let m = 0; m < 2; m++) {
+          // conj(K[m][i]) · K[m][j]
+          const [aRe, aIm] = k[m][i];
+          const [bRe, bIm] = k[m][j];
+          sum[i][j][0] += aRe * bRe + aIm * bIm;
+          sum[i][j][1] += aRe * bIm - aIm * bRe;
+        }
+      }
+    }
+  });
+  return sum;
+}
+
+describe('noise_model', () => {
+  describe.each(CHANNEL_TYPES)('%s', (type) => {
+    test.each([0, 0.1, 0.5, 1])('Kraus operators are trace preserving at p = %p', (probability) => {
+      const sum = krausCompleteness(createChannel(type, probability).kraus);
+      [[1, 0], [0, 1]].forEach((row, i) => row.forEach((expected, j) => {
+        expect(sum[i][j][0]).toBeCloseTo(expected, 12);
+        expect(sum[i][j][1]).toBeCloseTo(0, 12);
+      }));
+    });
+
+    test('keeps the trace of a density matrix at 1', () => {
+      const rho = new DensityMatrix(2);
+      rho.applyGate(HADAMARD, [0]);
+      rho.applyGate(PAULI_X, [1]);
+      const channel = createChannel(type, 0.3);
+      rho.applyChannel(channel, 0);
+      rho.applyChannel(channel, 1);
+      expect(rho.getTrace()).toBeCloseTo(1, 12);
+      expect(rho.getPurity()).toBeLessThanOrEqual(1 + 1e-12);
+    });
+  });
+
+  test('the superoperator preserves the trace of every input', () => {
+    const superoperator = channelSuperoperator(createChannel('amplitude_damping', 0.4));
+    // Trace is the sum of the (0,0) and (1,1) rows; for each input column it must equal δ(c, d)
+    [0, 1, 2, 3].forEach(column => {
+      const trace = superoperator[0][column][0] + superoperator[3][column][0];
+      expect(trace).toBeCloseTo(column === 0 || column === 3 ? 1 : 0, 12);
+    });
+  });
+
+  test('full amplitude damping relaxes |1⟩ to |0⟩ and full depolarizing gives I/2', () => {
+    const damped = new DensityMatrix(1);
+    damped.applyGate(PAULI_X, [0]);
+    damped.applyChannel(createChannel('amplitude_damping', 1), 0);
+    expect(damped.getEntry(0, 0)[0]).toBeCloseTo(1, 12);
+
+    const depolarized = new DensityMatrix(1);
+    depolarized.applyGate(HADAMARD, [0]);
+    depolarized.applyChannel(createChannel('depolarizing', 1), 0);
+    expect(depolarized.getEntry(0, 0)[0]).toBeCloseTo(0.5, 12);
+    expect(depolarized.getEntry(0, 1)[0]).toBeCloseTo(0, 12);
+  });
+
+  test('phase damping shrinks coherences like its equivalent phase flip', () => {
+    const lambda = 0.36;
+    const rho = new DensityMatrix(1);
+    rho.applyGate(HADAMARD, [0]);
+    rho.applyChannel(createChannel('phase_damping', lambda), 0);
+
+    const { z } = pauliProbabilities(createChannel('phase_damping', lambda));
+    expect(rho.getEntry(0, 1)[0]).toBeCloseTo(0.5 * Math.sqrt(1 - lambda), 12);
+    expect(rho.getEntry(0, 1)[0]).toBeCloseTo(0.5 * (1 - 2 * z), 12);
+    expect(pauliProbabilities(createChannel('amplitude_damping', 0.1))).toBeNull();
+  });
+
+  test('readout errors flip recorded bits at the configured rate', () => {
+    const model = new NoiseModel({ readout: { 0: { p0to1: 0.2, p1to0: 0 } } });
+    const random = new SeededRandom(3);
+    let flipped = 0;
+    for (let i = 0; i < 20000; i++) flipped += model.readout(0, 0, random);
+    expect(flipped / 20000).toBeCloseTo(0.2, 1);
+    expect(model.readout(1, 1, random)).toBe(1);
+    expect(model.readout(0, 1, random)).toBe(1);
+  });
+
+  test('noisy circuits run on the density-matrix backend', () => {
+    const circuit = new QuantumCircuit(1);
+    circuit.addGate(PAULI_X, [0]);
+    const state = circuit.execute({ noiseModel: new NoiseModel({ gates: { X: [{ type: 'bit_flip', probability: 0.25 }] } }), seed: 1 });
+    expect(circuit.backend).toBe('density_matrix');
+    expect(state.getProbabilities()[1]).toBeCloseTo(0.75, 12);
+  });
+
+  test('rejects unknown channels and probabilities outside [0, 1]', () => {
+    expect(() => createChannel('erasure', 0.1)).toThrow('channel type');
+    expect(() => createChannel('bit_flip', 1.5)).toThrow('between 0 and 1');
+  });
+});
@@ -0,0 +1,124 @@
+const { QuantumCircuit, HADAMARD, CNOT } = require('../quantum_computing_simulator');
+const { QasmError, MAX_GATE_APPLICATIONS, MAX_REGISTER_BITS, parseQasm, exportQasm } = require('../openqasm');
+
+const PROGRAM_V2 = `
+OPENQASM 2.0;
+include "qelib1.inc";
+qreg a[2];
+qreg b[2];
+gate entangle(theta) x, y { h x; crz(theta) x, y; cx x, y; }
+h a;
+t a[0];
+sdg b[1];
+rx(0.3) b[0];
+u2(pi/3, -0.7) a[1];
+sx b[1];
+entangle(pi/5) a[0], b[0];
+cu3(0.4, 0.2, -1.1) b[0], a[1];
+ccx a[0], a[1], b[1];
+cswap b[1], a[0], b[0];
+cu1(pi/7) a[1], b[1];
+swap a[0], b[1];
+`;
+
+const PROGRAM_V3 = `
+OPENQASM 3.0;
+include "stdgates.inc";
+qubit[4] q;
+h q;
+ctrl(2) @ ry(0.9) q[0], q[1], q[2];
+inv @ ctrl @ s q[3], q[0];
+cu(0.3, 0.1, 0.2, 0.5) q[2], q[3];
+ctrl @ sx q[1], q[2];
+p(2*pi/3) q[3];
+`;
+
+const finalState = (circuit) => circuit.execute({ backend: 'statevector' });
+
+describe('openqasm', () => {
+  test.each([
+    ['OpenQASM 2.0', PROGRAM_V2, [2, 3]],
+    ['OpenQASM 3', PROGRAM_V3, [3]]
+  ])('%s programs survive an export and re-import with fidelity 1', (label, source, versions) => {
+    const original = parseQasm(source);
+    const state = finalState(original);
+    versions.forEach(version => {
+      const reimported = parseQasm(exportQasm(original, { version }));
+      expect(reimported.numQubits).toBe(original.numQubits);
+      expect(state.getFidelity(finalState(reimported))).toBeCloseTo(1, 10);
+    });
+  });
+
+  test('matches a circuit built by hand', () => {
+    const built = new QuantumCircuit(2);
+    built.addGate(HADAMARD, [0]);
+    built.addGate(CNOT, [0, 1]);
+    const parsed = parseQasm('OPENQASM 2.0; include "qelib1.inc"; qreg q[2]; h q[0]; cx q[0], q[1];');
+    expect(finalState(built).getFidelity(finalState(parsed))).toBeCloseTo(1, 12);
+  });
+
+  test('measurements and resets keep their place in the program', () => {
+    const source = 'OPENQASM 2.0;\ninclude "qelib1.inc";\nqreg q[2];\ncreg c[2];\nx q[0];\nmeasure q[0] -> c[0];\nreset q[0];\nh q[1];\nmeasure q[1] -> c[1];\n';
+    expect(exportQasm(parseQasm(source))).toBe(source);
+
+    const circuit = parseQasm(source);
+    circuit.execute({ seed: 2 });
+    expect(circuit.classicalBits[0]).toBe(1);
+  });
+
+  test('OpenQASM 2.0 needs qelib1.inc for its library gates', () => {
+    expect(() => parseQasm('OPENQASM 2.0; qreg q[1]; h q[0];')).toThrow(QasmError);
+    expect(() => parseQasm('OPENQASM 2.0; qreg q[1]; h q[0];')).toThrow('needs include "qelib1.inc"');
+    expect(() => parseQasm('OPENQASM 2.0; qreg q[2]; U(pi/2, 0, pi) q[0]; CX q[0], q[1];')).not.toThrow();
+    expect(() => parseQasm('OPENQASM 2.0; qreg q[1]; gate h a { U(pi/2, 0, pi) a; } h q[0];')).not.toThrow();
+  });
+
+  test('nested gate definitions are capped', () => {
+    let source = 'OPENQASM 2.0; qreg q[1]; gate g0 a { U(0, 0, 0) a; }';
+    for (let level = 1; level <= 6; level++) {
+      source += ` gate g${level} a { ${`g${level - 1} a; `.repeat(10)}}`;
+    }
+    expect(() => parseQasm(`${source} g6 q[0];`)).toThrow(`more than ${MAX_GATE_APPLICATIONS} gate applications`);
+    expect(parseQasm(`${source} g3 q[0];`).gates).toHaveLength(1000);
+  });
+
+  test('measurements and resets count toward the cap', () => {
+    const header = 'OPENQASM 2.0; qreg q[1000]; creg c[1000];';
+    expect(() => parseQasm(`${header} ${'measure q -> c; '.repeat(101)}`)).toThrow(`more than ${MAX_GATE_APPLICATIONS}`);
+    expect(() => parseQasm(`${header} ${'reset q; '.repeat(101)}`)).toThrow(`more than ${MAX_GATE_APPLICATIONS}`);
+  });
+
+  test('registers are capped at the largest backend', () => {
+    expect(() => parseQasm(`OPENQASM 2.0; qreg q[${MAX_REGISTER_BITS}]; qreg r[1];`)).toThrow(`at most ${MAX_REGISTER_BITS} qubits`);
+    expect(() => parseQasm('OPENQASM 3.0; bit[100000000] c;')).toThrow('classical bits');
+  });
+
+  test.each([
+    ['a literal that overflows', 'rz(1e400) q[0];', 4],
+    ['a division by zero', 'rz(pi/0) q[0];', 4],
+    ['a gate body that overflows', 'gate big(t) a { rz(t * t) a; }\nbig(1e200) q[0];', 20]
+  ])('rejects %s as a gate parameter', (label, statement, column) => {
+    let error = null;
+    try {
+      parseQasm(`OPENQASM 3.0;\ninclude "stdgates.inc";\nqubit[1] q;\n${statement}`);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(QasmError);
+    expect(error.message).toMatch('finite number');
+    expect(error.line).toBe(4);
+    expect(error.column).toBe(column);
+  });
+
+  test('errors carry the line and column', () => {
+    let error = null;
+    try {
+      parseQasm('OPENQASM 3.0;\nqubit[1] q;\n  if (x) h q[0];');
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(QasmError);
+    expect(error.line).toBe(3);
+    expect(error.column).toBe(3);
+  });
+});
@@ -0,0 +1,172 @@
+const SeededRandom = require('../simulation_random');
+const {
+  QuantumState,
+  QuantumGate,
+  QuantumAlgorithms,
+  HADAMARD,
+  PAULI_X,
+  PAULI_Y,
+  PAULI_Z,
+  PHASE,
+  T_GATE,
+  CNOT,
+  SWAP
+} = require('../quantum_computing_simulator');
+
+const expectAmplitudes = (state, expected) => {
+  expected.forEach(([re, im], i) => {
+    const [actualRe, actualIm] = state.getAmplitude(i);
+    expect(actualRe).toBeCloseTo(re, 12);
+    expect(actualIm).toBeCloseTo(im, 12);
+  });
+};
+
+const r = Math.SQRT1_2;
+
+// Reference implementation: the full 2^n × 2^n operator of a (controlled) gate, with the
+// first target qubit as the most significant bit of the gate's own index
+function fullOperator(numQubits, gate, targets, controls) {
+  const dimension = 1 << numQubits;
+  const local = (index) => targets.reduce((bits, qubit) => (bits << 1) | ((index >> qubit) & 1), 0);
+  const targetMask = targets.reduce((mask, qubit) => mask | (1 << qubit), 0);
+  const controlMask = controls.reduce((mask, qubit) => mask | (1 << qubit), 0);
+  const operator = Array.from({ length: dimension }, () => Array.from({ length: dimension }, () => [0, 0]));
+
+  for (let j = 0; j < dimension; j++) {
+    if ((j & controlMask) !== controlMask) {
+      operator[j][j] = [1, 0];
+      continue;
+    }
+    for (let i = 0; i < dimension; i++) {
+      if ((i & ~targetMask) === (j & ~targetMask)) operator[i][j] = gate.matrix[local(i)][local(j)];
+    }
+  }
+  return operator;
+}
+
+function multiply(operator, amplitudes) {
+  return operator.map(row => row.reduce(([re, im], [mRe, mIm], j) => {
+    const [aRe, aIm] = amplitudes[j];
+    return [re + mRe * aRe - mIm * aIm, im + mRe * aIm + mIm * aRe];
+  }, [0, 0]));
+}
+
+// A random unitary on k qubits: Gram-Schmidt on random complex columns
+function randomUnitary(k, random) {
+  const size = 1 << k;
+  const columns = [];
+  for (let c = 0; c < size; c++) {
+    let column = Array.from({ length: size }, () => [random.gaussian(), random.gaussian()]);
+    columns.forEach(previous => {
+      const dot = previous.reduce(([re, im], [pRe, pIm], i) =>
+        [re + pRe * column[i][0] + pIm * column[i][1], im + pRe * column[i][1] - pIm * column[i][0]], [0, 0]);
+      column = column.map(([re, im], i) => [
+        re - (dot[0] * previous[i][0] - dot[1] * previous[i][1]),
+        im - (dot[0] * previous[i][1] + dot[1] * previous[i][0])
+      ]);
+    });
+    const norm = Math.sqrt(column.reduce((sum, [re, im]) => sum + re * re + im * im, 0));
+    columns.push(column.map(([re, im]) => [re / norm, im / norm]));
+  }
+  return new QuantumGate(`U${k}`, columns[0].map((_, row) => columns.map(column => column[row])), k);
+}
+
+// k distinct qubits out of n, in random order
+function pickQubits(n, k, random) {
+  const qubits = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = random.int(i + 1);
+    [qubits[i], qubits[j]] = [qubits[j], qubits[i]];
+  }
+  return qubits.slice(0, k);
+}
+
+describe('QuantumState', () => {
+  test('H then CNOT prepares the Bell state (|00⟩ + |11⟩)/√2', () => {
+    const state = new QuantumState(2);
+    state.applyGate(HADAMARD, [0]);
+    state.applyGate(CNOT, [0, 1]);
+    expectAmplitudes(state, [[r, 0], [0, 0], [0, 0], [r, 0]]);
+
+    // Each qubit alone is maximally mixed, the pair is pure
+    expect(state.getVonNeumannEntropy([0])).toBeCloseTo(1, 10);
+    expect(state.getPurity([1])).toBeCloseTo(0.5, 12);
+    expect(state.getVonNeumannEntropy([0, 1])).toBe(0);
+  });
+
+  test('a CNOT chain prepares the GHZ state on three qubits', () => {
+    const state = new QuantumState(3);
+    state.applyGate(HADAMARD, [0]);
+    state.applyGate(CNOT, [0, 1]);
+    state.applyGate(CNOT, [1, 2]);
+
+    const expected = Array.from({ length: 8 }, () => [0, 0]);
+    expected[0] = [r, 0];
+    expected[7] = [r, 0];
+    expectAmplitudes(state, expected);
+    expect(state.getFidelity(QuantumState.fromAmplitudes([1, 0, 0, 0, 0, 0, 0, 1]))).toBeCloseTo(1, 12);
+  });
+
+  test('complex gates keep their imaginary parts', () => {
+    const state = new QuantumState(1);
+    state.applyGate(HADAMARD, [0]);
+    state.applyGate(PHASE, [0]);
+    expectAmplitudes(state, [[r, 0], [0, r]]);
+
+    // Y|0⟩ = i|1⟩
+    const flipped = new QuantumState(1);
+    flipped.applyGate(PAULI_Y, [0]);
+    expectAmplitudes(flipped, [[0, 0], [0, 1]]);
+
+    // |+i⟩ and |-i⟩ have the same probabilities but are orthogonal
+    const minus = QuantumState.fromAmplitudes([1, [0, -1]]);
+    minus.getProbabilities().forEach((p, i) => expect(p).toBeCloseTo(state.getProbabilities()[i], 12));
+    expect(minus.getFidelity(state)).toBeCloseTo(0, 12);
+  });
+
+  test('controls restrict a gate to basis states where they are |1⟩', () => {
+    const state = QuantumState.fromAmplitudes([1, 1, 1, 1]);
+    state.applyGate(PHASE, [1], [0]);
+    expectAmplitudes(state, [[0.5, 0], [0.5, 0], [0.5, 0], [0, 0.5]]);
+  });
+
+  test('rejects gates on the wrong number or an invalid choice of qubits', () => {
+    const state = new QuantumState(2);
+    expect(() => state.applyGate(CNOT, [0])).toThrow('acts on 2 qubit(s)');
+    expect(() => state.applyGate(PAULI_X, [2])).toThrow('out of range');
+    expect(() => state.applyGate(PAULI_X, [0], [0])).toThrow('distinct');
+    expect(() => QuantumState.fromAmplitudes([1, 0, 0])).toThrow('power of two');
+  });
+
+  test.each([1, 2, 3, 4])('local kernels match the full operator on random gates (seed %p)', (seed) => {
+    const random = new SeededRandom(seed);
+    const numQubits = 5;
+    let amplitudes = Array.from({ length: 1 << numQubits }, () => [random.gaussian(), random.gaussian()]);
+    const state = QuantumState.fromAmplitudes(amplitudes);
+    amplitudes = state.getAmplitudes();
+
+    const fixedGates = [HADAMARD, PAULI_X, PAULI_Y, PAULI_Z, PHASE, T_GATE, CNOT, SWAP];
+    for (let step = 0; step < 30; step++) {
+      const gate = step % 3 === 0 ? randomUnitary(1 + random.int(3), random) : random.pick(fixedGates);
+      const k = Math.log2(gate.matrix.length);
+      const qubits = pickQubits(numQubits, k + random.int(numQubits - k + 1), random);
+      const targets = qubits.slice(0, k);
+      const controls = qubits.slice(k);
+
+      state.applyGate(gate, targets, controls);
+      amplitudes = multiply(fullOperator(numQubits, gate, targets, controls), amplitudes);
+    }
+
+    expectAmplitudes(state, amplitudes);
+  });
+
+  test('Grover search with a marked basis state finds it on 10 qubits', () => {
+    const numQubits = 10;
+    const iterations = Math.floor(Math.PI / 4 * Math.sqrt(1 << numQubits));
+    const circuit = QuantumAlgorithms.groverSearch(613, numQubits, iterations);
+    const state = new QuantumState(numQubits);
+    circuit.gates.forEach(({ gate, targetQubits, controlQubits }) => state.applyGate(gate, targetQubits, controlQubits));
+
+    expect(state.getProbabilities()[613]).toBeGreaterThan(0.99);
+  });
+});
@@ -0,0 +1,65 @@
+const {
+  MAX_RK_WORK,
+  binDistribution,
+  buildGraph,
+  graphDistances,
+  DiscreteQuantumWalk,
+  ContinuousQuantumWalk,
+  QuantumWalkComparison
+} = require('../quantum_walk');
+
+const total = (values) => values.reduce((sum, value) => sum + value, 0);
+
+describe('quantum_walk', () => {
+  test('builds lines, cycles and grids with the expected degrees and distances', () => {
+    expect(buildGraph('cycle', 5).neighbors[0]).toEqual([4, 1]);
+    const grid = buildGraph('grid', 3);
+    expect(grid.neighbors[4]).toHaveLength(4);
+    expect(graphDistances(grid, 0)[8]).toBe(4);
+    // Custom edges are undirected, so listing each one once is enough
+    expect(buildGraph('custom', null, [[1], [2], []]).neighbors).toEqual([[1], [0, 2], [1]]);
+    expect(() => buildGraph('custom', null, [[0], [0]])).toThrow('other vertices');
+  });
+
+  test.each(['dft', 'grover'])('the discrete walk with the %s coin is unitary', (coin) => {
+    const walk = new DiscreteQuantumWalk(buildGraph('grid', 7), 24, coin);
+    for (let i = 0; i < 50; i++) walk.step();
+    expect(total(walk.probabilities())).toBeCloseTo(1, 12);
+  });
+
+  test('the Hadamard walk on a line spreads linearly, the classical walk diffusively', () => {
+    const walk = new QuantumWalkComparison({ walkType: 'discrete', graph: 'line', size: 401 });
+    let snapshot;
+    for (let i = 0; i < 100; i++) snapshot = walk.advance();
+
+    // σ ≈ √(1 - 1/√2) t for the Hadamard walk and √t for the simple random walk
+    expect(snapshot.spread.quantum / 100).toBeCloseTo(Math.sqrt(1 - Math.SQRT1_2), 1);
+    expect(snapshot.spread.classical).toBeCloseTo(10, 6);
+    expect(total(snapshot.classicalDistribution)).toBeCloseTo(1, 12);
+  });
+
+  test('the continuous walk matches the exact variance 2γ²t² on a long line', () => {
+    const graph = buildGraph('line', 201);
+    const walk = new ContinuousQuantumWalk(graph, 100, 0.5);
+    walk.evolve(10);
+    const p = walk.probabilities();
+    const variance = total(p.map((value, v) => value * (v - 100) ** 2));
+    expect(total(p)).toBeCloseTo(1, 12);
+    expect(variance).toBeCloseTo(2 * (0.5 * 10) ** 2, 2);
+  });
+
+  test('continuous configurations above the Runge-Kutta budget are rejected', () => {
+    const vertices = 2500;
+    const substeps = Math.floor(MAX_RK_WORK / vertices);
+    expect(() => new QuantumWalkComparison({ walkType: 'continuous', graph: 'grid', size: 50, timeStep: 0.1 * substeps / 4 })).not.toThrow();
+    expect(() => new QuantumWalkComparison({ walkType: 'continuous', graph: 'grid', size: 50, timeStep: 1 })).toThrow('must be at most');
+  });
+
+  test('binDistribution keeps the total probability', () => {
+    const distribution = Array.from({ length: 1001 }, () => 1 / 1001);
+    const { binSize, bins } = binDistribution(distribution, 250);
+    expect(binSize).toBe(5);
+    expect(bins).toHaveLength(201);
+    expect(total(bins)).toBeCloseTo(1, 12);
+  });
+});
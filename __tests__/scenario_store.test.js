@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SeededRandom = require('../simulation_random');
+const { ScenarioStore, ScenarioError, SCENARIO_FORMAT, SCENARIO_VERSION } = require('../scenario_store');
+
+const PARTICLE_TYPES = ['electron', 'photon'];
+
+const particle = (id, overrides = {}) => ({
+  id: id,
+  type: 'electron',
+  position: { x: 0, y: 1, z: 2 },
+  velocity: { x: 0, y: 0, z: 0 },
+  ...overrides
+});
+
+const scenarioWith = (state) => ({
+  format: SCENARIO_FORMAT,
+  version: SCENARIO_VERSION,
+  random: { seed: 1, state: 1 },
+  state: { particles: [particle(1)], ...state }
+});
+
+// The messages parseScenario rejected a scenario with
+function rejection(store, scenario) {
+  try {
+    store.parseScenario(scenario, PARTICLE_TYPES);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ScenarioError);
+    return error.details;
+  }
+  throw new Error('scenario was accepted');
+}
+
+describe('scenario_store', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scenarios-'));
+    store = new ScenarioStore(directory);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('createScenario keeps only scenario keys and round-trips through parseScenario', () => {
+    const random = new SeededRandom(7);
+    random.next();
+    const scenario = store.createScenario(
+      { time: 3, particles: [particle(1)], particleTrails: new Map(), fields: { gravitational: { strength: 1 } } },
+      random.getState(),
+      { name: 'first', description: 'one electron' }
+    );
+
+    expect(scenario.format).toBe(SCENARIO_FORMAT);
+    expect(scenario.version).toBe(SCENARIO_VERSION);
+    expect(Object.keys(scenario.state).sort()).toEqual(['fields', 'particles', 'time']);
+    expect(store.parseScenario(scenario, PARTICLE_TYPES)).toEqual(scenario);
+
+    const restored = new SeededRandom(0);
+    restored.setState(scenario.random);
+    expect(restored.next()).toBe(random.next());
+  });
+
+  test('rejects documents of another format or version', () => {
+    expect(() => store.parseScenario({ format: 'other' }, PARTICLE_TYPES)).toThrow(ScenarioError);
+    expect(() => store.parseScenario({ ...scenarioWith({}), version: SCENARIO_VERSION + 1 }, PARTICLE_TYPES))
+      .toThrow('Unsupported scenario version');
+  });
+
+  test('lists every problem with the particles at once', () => {
+    const details = rejection(store, scenarioWith({
+      particles: [particle(1, { type: 'gluon' }), particle(1, { position: { x: 0, y: NaN, z: 0 } })]
+    }));
+    expect(details).toEqual([
+      'state.particles[0].type must be one of electron, photon',
+      'state.particles[1].id must be present and unique',
+      'state.particles[1].position must have finite x, y and z'
+    ]);
+  });
+
+  test('rejects malformed state sections and random state', () => {
+    const details = rejection(store, {
+      ...scenarioWith({ time: 'soon', fields: null, entanglementGroups: {} }),
+      random: { seed: 1.5, state: 1 }
+    });
+    expect(details).toEqual([
+      'state.time must be a finite number',
+      'state.fields must be an object',
+      'state.entanglementGroups must be an array',
+      'random must contain integer seed and state'
+    ]);
+  });
+
+  test('holds scalar settings, gates and spin networks to the REST API limits', () => {
+    const details = rejection(store, scenarioWith({
+      chaosLevel: 2,
+      dimension: 2.5,
+      magneticField: { x: 0, y: 0 },
+      simulationMode: 'magic',
+      activeTypes: ['electron', 'electron'],
+      spinNetworks: [{ id: 1, spin: 0.5, energy: 1, time: 0, nodes: [] }],
+      quantumGates: [{ type: 'T', position: { x: 0, y: 0, z: 0 }, active: true, targetParticles: [] }]
+    }));
+    expect(details).toEqual([
+      'state.chaosLevel must be a number between 0 and 1',
+      'state.dimension must be an integer between 2 and 4',
+      'state.magneticField must have finite x, y and z',
+      'state.simulationMode must be one of quantum, classical, relativistic',
+      'state.activeTypes must be a list of distinct particle types (electron, photon)',
+      'state.spinNetworks[0].edges must be an array',
+      'state.quantumGates[0].type must be one of H, X, Y, Z, CNOT, SWAP'
+    ]);
+  });
+
+  test.each([
+    ['an empty entanglement group', { entanglementGroups: [{}] }, [
+      'state.entanglementGroups[0].id must be an integer',
+      'state.entanglementGroups[0].particles must list at least two distinct ids of particles in the scenario'
+    ]],
+    ['a group of unknown particles', { entanglementGroups: [{ id: 0, particles: [1, 9] }] }, [
+      'state.entanglementGroups[0].particles must list at least two distinct ids of particles in the scenario'
+    ]],
+    ['a group with an out-of-range correlation', { entanglementGroups: [{ id: 0, particles: [1, 2], correlation: 2 }] }, [
+      'state.entanglementGroups[0].correlation must be a number between 0 and 1'
+    ]],
+    ['a null field', { fields: { electromagnetic: null } }, [
+      'state.fields.electromagnetic must be an object of finite numbers'
+    ]],
+    ['a non-numeric field value', { fields: { quantum: { superposition: 'high' } } }, [
+      'state.fields.quantum must be an object of finite numbers'
+    ]],
+    ['a null quantum state', { particles: [particle(1, { quantumState: null }), particle(2)] }, [
+      'state.particles[0].quantumState must be an object'
+    ]],
+    ['a malformed quantum state', {
+      particles: [particle(1, { quantumState: { spin: 'up', superposition: 1, spinDirection: { x: 0 } } }), particle(2)]
+    }, [
+      'state.particles[0].quantumState.spin must be a finite number',
+      'state.particles[0].quantumState.superposition must be a boolean',
+      'state.particles[0].quantumState.spinDirection must have finite x, y and z'
+    ]],
+    ['a non-numeric spin', { particles: [particle(1, { spin: null }), particle(2)] }, [
+      'state.particles[0].spin must be a finite number'
+    ]],
+    ['a scalar wave function', { particles: [particle(1, { waveFunction: 5 }), particle(2)] }, [
+      'state.particles[0].waveFunction must be an object'
+    ]],
+    ['an entanglement partner that does not exist', { particles: [particle(1, { entangledWith: 7 }), particle(2)] }, [
+      'state.particles[0].entangledWith must be null or the id of another particle'
+    ]]
+  ])('rejects %s', (label, state, expected) => {
+    expect(rejection(store, scenarioWith({ particles: [particle(1), particle(2)], ...state }))).toEqual(expected);
+  });
+
+  test('accepts partial particles, fields and groups that restoring can fill in', () => {
+    const scenario = scenarioWith({
+      particles: [particle(1, { quantumState: { phase: 1 }, entangledWith: 2 }), particle(2, { entangledWith: 1 })],
+      entanglementGroups: [{ id: 0, particles: [1, 2], correlation: 0.4, type: 'bell-state' }],
+      fields: { electromagnetic: { phase: 2 } }
+    });
+    expect(() => store.parseScenario(scenario, PARTICLE_TYPES)).not.toThrow();
+  });
+
+  test('saves, lists, loads and removes named scenarios', async () => {
+    const scenario = store.createScenario({ particles: [particle(1), particle(2)] }, { seed: 1, state: 1 });
+    await store.save('two-electrons', scenario);
+
+    expect(await store.list()).toEqual([
+      expect.objectContaining({ name: 'two-electrons', particleCount: 2, version: SCENARIO_VERSION })
+    ]);
+    expect((await store.load('two-electrons')).state).toEqual(scenario.state);
+    expect(await store.remove('two-electrons')).toBe(true);
+    expect(await store.remove('two-electrons')).toBe(false);
+    await expect(store.load('two-electrons')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('refuses scenario names that could leave the directory', () => {
+    expect(() => store.resolvePath('../escape')).toThrow(ScenarioError);
+    expect(() => store.resolvePath('a'.repeat(65))).toThrow(ScenarioError);
+    expect(store.resolvePath('ok_name-1')).toBe(path.join(directory, 'ok_name-1.json'));
+  });
+});
@@ -0,0 +1,63 @@
+const {
+  SchrodingerSolver,
+  HEISENBERG_BOUND,
+  createPotential,
+  createInitialState,
+  fft
+} = require('../schrodinger_solver');
+
+describe('schrodinger_solver', () => {
+  test('fft followed by the inverse transform restores the input', () => {
+    const re = Float64Array.from({ length: 64 }, (_, i) => Math.sin(i) + i / 10);
+    const im = Float64Array.from({ length: 64 }, (_, i) => Math.cos(3 * i));
+    const originalRe = re.slice();
+    const originalIm = im.slice();
+    fft(re, im);
+    fft(re, im, true);
+    re.forEach((value, i) => expect(value).toBeCloseTo(originalRe[i], 12));
+    im.forEach((value, i) => expect(value).toBeCloseTo(originalIm[i], 12));
+  });
+
+  test.each(['harmonic', 'square', 'coulomb', 'free'])('split-operator steps conserve the norm in a %s potential', (type) => {
+    const solver = new SchrodingerSolver({ gridSize: 256, length: 40, timeStep: 0.01 });
+    solver.setPotential(createPotential(type, 2));
+    solver.setWaveFunction(createInitialState('gaussian', { position: -3, momentum: 2, width: 0.8 }));
+    solver.step(500);
+    expect(solver.norm()).toBeCloseTo(1, 10);
+  });
+
+  test('the norm is conserved in two dimensions as well', () => {
+    const solver = new SchrodingerSolver({ dimensions: 2, gridSize: 32, length: 16, timeStep: 0.01 });
+    solver.setPotential(createPotential('coulomb', 1));
+    solver.setWaveFunction(createInitialState('square', { position: 1, momentum: 1, width: 1.5 }));
+    solver.step(100);
+    expect(solver.norm()).toBeCloseTo(1, 10);
+  });
+
+  test('the oscillator ground state is stationary at the Heisenberg bound', () => {
+    const solver = new SchrodingerSolver({ gridSize: 256, length: 20, timeStep: 0.01 });
+    solver.setPotential(createPotential('harmonic', 1));
+    solver.setWaveFunction(createInitialState('gaussian', { width: Math.SQRT1_2 }));
+    const before = solver.observables();
+    solver.step(300);
+    const after = solver.observables();
+
+    expect(before.energy).toBeCloseTo(0.5, 6);
+    expect(after.energy).toBeCloseTo(before.energy, 6);
+    expect(after.deltaX.x).toBeCloseTo(before.deltaX.x, 6);
+    expect(after.uncertaintyProduct).toBeCloseTo(HEISENBERG_BOUND, 6);
+  });
+
+  test('a free packet moves with its group velocity', () => {
+    const solver = new SchrodingerSolver({ gridSize: 512, length: 80, timeStep: 0.01 });
+    solver.setWaveFunction(createInitialState('gaussian', { position: -10, momentum: 3, width: 1 }));
+    solver.step(200);
+    const { position, momentum } = solver.observables();
+    expect(momentum.x).toBeCloseTo(3, 6);
+    expect(position.x).toBeCloseTo(-10 + 3 * solver.time, 4);
+  });
+
+  test('rejects grids that are not a power of two', () => {
+    expect(() => new SchrodingerSolver({ gridSize: 100 })).toThrow('power of two');
+  });
+});
@@ -0,0 +1,40 @@
+const SpatialHashGrid = require('../spatial_index');
+
+const particle = (id, x, y = 0, z = 0) => ({ id: id, position: { x, y, z } });
+const neighbourIds = (grid, item, radius) => grid.queryRadius(item, radius).map(n => n.particle.id).sort();
+
+describe('SpatialHashGrid', () => {
+  test('finds neighbours within the radius with their separation', () => {
+    const grid = new SpatialHashGrid(2);
+    const a = particle(1, 0);
+    const particles = [a, particle(2, 1.5), particle(3, 0, 2.5), particle(4, 9)];
+    grid.rebuild(particles);
+
+    expect(neighbourIds(grid, a, 3)).toEqual([2, 3]);
+    expect(grid.queryRadius(a, 3).find(n => n.particle.id === 2)).toMatchObject({ dx: 1.5, dy: 0, dz: 0, distance: 1.5 });
+  });
+
+  test('wraps periodic bounds with minimum-image separations', () => {
+    const grid = new SpatialHashGrid(2);
+    grid.setPeriodicBounds({ min: { x: -10, y: -10, z: -10 }, max: { x: 10, y: 10, z: 10 } });
+    const a = particle(1, -9.5);
+    grid.rebuild([a, particle(2, 9.5)]);
+
+    expect(grid.queryRadius(a, 2)).toEqual([expect.objectContaining({ dx: -1, distance: 1 })]);
+  });
+
+  test('particles that move during a tick are found at their new position', () => {
+    const grid = new SpatialHashGrid(2);
+    const a = particle(1, 0);
+    const b = particle(2, 20);
+    grid.rebuild([a, b]);
+
+    b.position.x = 1;
+    grid.update(b);
+    expect(neighbourIds(grid, a, 2)).toEqual([2]);
+
+    grid.remove(b);
+    expect(neighbourIds(grid, a, 2)).toEqual([]);
+    expect(grid.getStats()).toMatchObject({ particles: 1, occupiedCells: 1 });
+  });
+});
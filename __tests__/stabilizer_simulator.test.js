@@ -0,0 +1,124 @@
+const SeededRandom = require('../simulation_random');
+const {
+  QuantumState,
+  QuantumCircuit,
+  CZGate,
+  HADAMARD,
+  PAULI_X,
+  PAULI_Y,
+  PAULI_Z,
+  PHASE,
+  T_GATE,
+  CNOT,
+  SWAP
+} = require('../quantum_computing_simulator');
+const { MAX_STABILIZER_QUBITS, StabilizerState, StabilizerError, isCliffordCircuit } = require('../stabilizer_simulator');
+
+// ⟨ψ|P|ψ⟩ for a signed Pauli string such as '+XZI' (qubit 0 first)
+function pauliExpectation(state, pauli) {
+  const sign = pauli[0] === '-' ? -1 : 1;
+  const letters = pauli.slice(1);
+  let flip = 0;
+  letters.split('').forEach((letter, q) => {
+    if (letter === 'X' || letter === 'Y') flip |= 1 << q;
+  });
+
+  let re = 0;
+  let im = 0;
+  for (let i = 0; i < state.dimension; i++) {
+    // P|i⟩ = phase · |i ⊕ flip⟩
+    let phase = [1, 0];
+    letters.split('').forEach((letter, q) => {
+      const bit = (i >> q) & 1;
+      const factor = letter === 'Z' ? [bit ? -1 : 1, 0] : letter === 'Y' ? [0, bit ? -1 : 1] : [1, 0];
+      phase = [phase[0] * factor[0] - phase[1] * factor[1], phase[0] * factor[1] + phase[1] * factor[0]];
+    });
+    const [aRe, aIm] = state.getAmplitude(i);
+    const [bRe, bIm] = state.getAmplitude(i ^ flip);
+    const pRe = phase[0] * aRe - phase[1] * aIm;
+    const pIm = phase[0] * aIm + phase[1] * aRe;
+    // conj(b) · (phase · a)
+    re += bRe * pRe + bIm * pIm;
+    im += bRe * pIm - bIm * pRe;
+  }
+  return [sign * re, sign * im];
+}
+
+// Random Clifford gates as [gate, targets, controls]
+function randomCliffordCircuit(numQubits, length, random) {
+  const single = [HADAMARD, PHASE, PAULI_X, PAULI_Y, PAULI_Z];
+  const gates = [];
+  for (let i = 0; i < length; i++) {
+    const a = random.int(numQubits);
+    const b = (a + 1 + random.int(numQubits - 1)) % numQubits;
+    const kind = random.int(5);
+    if (kind < 2) gates.push([random.pick(single), [a], []]);
+    else if (kind === 2) gates.push([CNOT, [a, b], []]);
+    else if (kind === 3) gates.push([random.pick([SWAP, new CZGate()]), [a, b], []]);
+    else gates.push([random.pick([PAULI_X, PAULI_Y, PAULI_Z]), [b], [a]]);
+  }
+  return gates;
+}
+
+describe('stabilizer_simulator', () => {
+  test.each([1, 2, 3, 4, 5])('tableau agrees with the state vector on random Clifford circuit %p', (seed) => {
+    const random = new SeededRandom(seed);
+    const numQubits = 5;
+    const tableau = new StabilizerState(numQubits);
+    const vector = new QuantumState(numQubits);
+    randomCliffordCircuit(numQubits, 60, random).forEach(([gate, targets, controls]) => {
+      tableau.applyGate(gate, targets, controls);
+      vector.applyGate(gate, targets, controls);
+    });
+
+    // Every stabilizer generator fixes the state vector
+    tableau.getStabilizers().forEach(pauli => {
+      const [re, im] = pauliExpectation(vector, pauli);
+      expect(re).toBeCloseTo(1, 10);
+      expect(im).toBeCloseTo(0, 10);
+    });
+    for (let q = 0; q < numQubits; q++) {
+      expect(tableau.calculateMeasurementProbability(q)).toBeCloseTo(vector.calculateMeasurementProbability(q), 10);
+    }
+  });
+
+  test('a GHZ state has perfectly correlated measurements on hundreds of qubits', () => {
+    const numQubits = 300;
+    const circuit = new QuantumCircuit(numQubits);
+    circuit.addGate(HADAMARD, [0]);
+    for (let q = 1; q < numQubits; q++) circuit.addGate(PAULI_X, [q], [q - 1]);
+    for (let q = 0; q < numQubits; q++) circuit.addMeasurement(q, q);
+
+    expect(isCliffordCircuit(circuit)).toBe(true);
+    circuit.execute({ seed: 11 });
+    expect(circuit.backend).toBe('stabilizer');
+    expect(new Set(circuit.classicalBits).size).toBe(1);
+  });
+
+  test('measurements collapse the tableau', () => {
+    const tableau = new StabilizerState(2);
+    tableau.applyGate(HADAMARD, [0]);
+    tableau.applyGate(CNOT, [0, 1]);
+    const outcome = tableau.measure(0, new SeededRandom(5));
+    expect(tableau.calculateMeasurementProbability(1)).toBe(outcome);
+  });
+
+  test('non-Clifford gates are rejected', () => {
+    expect(() => new StabilizerState(1).applyGate(T_GATE, [0])).toThrow(StabilizerError);
+
+    const circuit = new QuantumCircuit(30);
+    circuit.addGate(HADAMARD, [0]);
+    circuit.addGate(T_GATE, [0]);
+    expect(isCliffordCircuit(circuit)).toBe(false);
+    expect(() => circuit.execute()).toThrow('No backend can run this circuit');
+  });
+
+  test('registers above the stabilizer limit are refused before any tableau is allocated', () => {
+    expect(() => new StabilizerState(MAX_STABILIZER_QUBITS + 1)).toThrow(StabilizerError);
+
+    const circuit = new QuantumCircuit(MAX_STABILIZER_QUBITS + 1);
+    circuit.addGate(HADAMARD, [0]);
+    expect(() => circuit.selectBackend('auto')).toThrow(`stabilizer limit of ${MAX_STABILIZER_QUBITS}`);
+    expect(() => circuit.selectBackend('stabilizer')).toThrow(`at most ${MAX_STABILIZER_QUBITS} qubits`);
+  });
+});
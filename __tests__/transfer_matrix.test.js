@@ -0,0 +1,57 @@
+const {
+  HBAR2_OVER_2ME,
+  transmission,
+  rectangularBarrier,
+  doubleBarrier,
+  piecewiseBarrier,
+  barrierLength
+} = require('../transfer_matrix');
+
+// Textbook transmission through a rectangular barrier of height V and width a
+function analyticTransmission(energy, height, width, mass = 1) {
+  if (energy < height) {
+    const kappa = Math.sqrt(mass * (height - energy) / HBAR2_OVER_2ME);
+    return 1 / (1 + height ** 2 * Math.sinh(kappa * width) ** 2 / (4 * energy * (height - energy)));
+  }
+  const k = Math.sqrt(mass * (energy - height) / HBAR2_OVER_2ME);
+  return 1 / (1 + height ** 2 * Math.sin(k * width) ** 2 / (4 * energy * (energy - height)));
+}
+
+describe('transfer_matrix', () => {
+  test.each([
+    [1, 5, 1],
+    [4.9, 5, 2],
+    [10, 5, 1],
+    [50, 100, 0.3],
+    [3, 5, 1, 2.5]
+  ])('rectangular barrier matches the analytic T (E=%p eV, V=%p eV, a=%p Å)', (energy, height, width, mass = 1) => {
+    const { transmission: t, reflection: r } = transmission(rectangularBarrier(height, width), energy, { mass });
+    expect(t).toBeCloseTo(analyticTransmission(energy, height, width, mass), 10);
+    expect(t + r).toBeCloseTo(1, 12);
+  });
+
+  test('an empty barrier transmits everything', () => {
+    expect(transmission([], 7).transmission).toBeCloseTo(1, 12);
+  });
+
+  test('a double barrier resonates at energies where a single one reflects', () => {
+    const single = rectangularBarrier(5, 0.5);
+    const double = doubleBarrier(5, 0.5, 4);
+    const energies = Array.from({ length: 400 }, (_, i) => 0.01 + i * 0.012);
+    const peak = Math.max(...energies.map(energy => transmission(double, energy).transmission));
+    expect(peak).toBeGreaterThan(0.99);
+    expect(transmission(single, 2).transmission).toBeLessThan(0.99);
+    expect(barrierLength(double)).toBe(5);
+  });
+
+  test('piecewise segments equal to one rectangle give the same T', () => {
+    const split = piecewiseBarrier([{ width: 0.4, height: 5 }, { width: 0, height: 9 }, { width: 0.6, height: 5 }]);
+    expect(split).toHaveLength(2);
+    expect(transmission(split, 3).transmission).toBeCloseTo(transmission(rectangularBarrier(5, 1), 3).transmission, 12);
+  });
+
+  test('invalid segments and non-positive energies', () => {
+    expect(() => piecewiseBarrier([{ width: -1, height: 1 }])).toThrow('segments[0]');
+    expect(transmission(rectangularBarrier(5, 1), 0)).toEqual({ transmission: 0, reflection: 1 });
+  });
+});
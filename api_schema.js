@@ -0,0 +1,421 @@
+// Declarative Request Schemas for REST and Socket.IO
+// This file implements payload validation with type coercion, the uniform error envelope
+// ({ error: { code, message, details: [{ code, message, field }] } }) and a registry that
+// wires validated routes and socket events and describes every endpoint it knows about
+
+class ApiError extends Error {
+  constructor(status, code, message, details = []) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { error: { code: this.code, message: this.message, details: this.details } };
+  }
+}
+
+// Coerce and validate a value against a schema. Returns the coerced value and a list of
+// { code, message, field } problems; defaults are filled in for missing properties.
+function validate(schema, value, field = '') {
+  const errors = [];
+  const result = check(schema, value, field, errors);
+  return { value: result, errors: errors };
+}
+
+function check(schema, value, field, errors) {
+  const name = field || 'value';
+
+  if (value === undefined) {
+    if (schema.default !== undefined) return clone(schema.default);
+    if (schema.required) errors.push({ code: 'required', message: `${name} is required`, field: field });
+    return undefined;
+  }
+
+  if (value === null && schema.nullable) return null;
+
+  if (schema.anyOf) {
+    for (const option of schema.anyOf) {
+      const attempt = [];
+      const coerced = check(option, value, field, attempt);
+      if (attempt.length === 0) return coerced;
+    }
+    errors.push({ code: 'invalid_type', message: `${name} must be ${describe(schema)}`, field: field });
+    return value;
+  }
+
+  const coerced = coerce(schema.type, value);
+  if (!matchesType(schema.type, coerced)) {
+    errors.push({ code: 'invalid_type', message: `${name} must be ${describe(schema)}`, field: field });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(coerced)) {
+    errors.push({ code: 'invalid_value', message: `${name} must be one of ${schema.enum.join(', ')}`, field: field });
+  }
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer':
+      checkRange(schema, coerced, name, field, errors);
+      break;
+    case 'string':
+      checkLength(schema, coerced.length, name, field, errors);
+      if (schema.pattern && !new RegExp(schema.pattern).test(coerced)) {
+        errors.push({ code: 'invalid_value', message: `${name} must match ${schema.pattern}`, field: field });
+      }
+      break;
+    case 'array':
+      checkLength(schema, coerced.length, name, field, errors);
+      if (schema.unique && new Set(coerced).size !== coerced.length) {
+        errors.push({ code: 'invalid_value', message: `${name} must not contain duplicates`, field: field });
+      }
+      return schema.items ? coerced.map((item, i) => check(schema.items, item, `${field}[${i}]`, errors)) : coerced;
+    case 'object':
+      return checkObject(schema, coerced, field, errors);
+  }
+
+  return coerced;
+}
+
+function checkObject(schema, value, field, errors) {
+  const properties = schema.properties || {};
+  const result = schema.additionalProperties === false ? {} : { ...value };
+
+  Object.entries(properties).forEach(([key, propertySchema]) => {
+    const coerced = check(propertySchema, value[key], field ? `${field}.${key}` : key, errors);
+    if (coerced !== undefined) result[key] = coerced;
+  });
+
+  if (schema.additionalProperties === false) {
+    Object.keys(value).filter(key => !(key in properties)).forEach(key => {
+      const path = field ? `${field}.${key}` : key;
+      errors.push({ code: 'unknown_field', message: `${path} is not a recognised field`, field: path });
+    });
+  } else if (typeof schema.additionalProperties === 'object') {
+    Object.keys(value).filter(key => !(key in properties)).forEach(key => {
+      result[key] = check(schema.additionalProperties, value[key], field ? `${field}.${key}` : key, errors);
+    });
+  }
+
+  return result;
+}
+
+function checkRange(schema, value, name, field, errors) {
+  const belowMin = schema.min !== undefined && (schema.exclusiveMin ? value <= schema.min : value < schema.min);
+  const aboveMax = schema.max !== undefined && value > schema.max;
+  if (belowMin || aboveMax) {
+    errors.push({ code: 'out_of_range', message: `${name} must be ${describe(schema)}`, field: field });
+  }
+}
+
+function checkLength(schema, length, name, field, errors) {
+  if ((schema.minLength !== undefined && length < schema.minLength) ||
+      (schema.maxLength !== undefined && length > schema.maxLength)) {
+    const bounds = schema.maxLength !== undefined ? `between ${schema.minLength || 0} and ${schema.maxLength}` : `at least ${schema.minLength}`;
+    errors.push({ code: 'invalid_length', message: `${name} must have a length ${bounds}`, field: field });
+  }
+}
+
+// Strings from query strings and loosely typed clients become numbers, booleans and
+// (comma-separated) arrays
+function coerce(type, value) {
+  if (type === 'array' && typeof value === 'string') {
+    return value === '' ? [] : value.split(',');
+  }
+  if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (type === 'string' && typeof value === 'number' && Number.isFinite(value)) {
+    return String(value);
+  }
+  return value;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+// Human readable summary of a schema, used in error messages
+function describe(schema) {
+  if (schema.anyOf) return schema.anyOf.map(describe).join(' or ');
+
+  const article = { integer: 'an integer', array: 'an array', object: 'an object' }[schema.type] || `a ${schema.type}`;
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if (schema.min !== undefined && schema.max !== undefined) {
+      return `${article} ${schema.exclusiveMin ? 'greater than' : 'between'} ${schema.min} ${schema.exclusiveMin ? 'and at most' : 'and'} ${schema.max}`;
+    }
+    if (schema.min !== undefined) return `${article} ${schema.exclusiveMin ? 'greater than' : 'of at least'} ${schema.min}`;
+    if (schema.max !== undefined) return `${article} of at most ${schema.max}`;
+  }
+  if (schema.type === 'string' && schema.minLength) return 'a non-empty string';
+  return article;
+}
+
+// Convert a schema into JSON Schema for endpoint descriptions
+function toJsonSchema(schema) {
+  if (!schema) return {};
+  if (schema.anyOf) return { anyOf: schema.anyOf.map(toJsonSchema) };
+
+  const json = {};
+  if (schema.type && schema.type !== 'any') json.type = schema.nullable ? [schema.type, 'null'] : schema.type;
+  if (schema.description) json.description = schema.description;
+  if (schema.enum) json.enum = schema.enum;
+  if (schema.default !== undefined) json.default = schema.default;
+  if (schema.min !== undefined) json[schema.exclusiveMin ? 'exclusiveMinimum' : 'minimum'] = schema.min;
+  if (schema.max !== undefined) json.maximum = schema.max;
+  if (schema.minLength !== undefined) json[schema.type === 'array' ? 'minItems' : 'minLength'] = schema.minLength;
+  if (schema.maxLength !== undefined) json[schema.type === 'array' ? 'maxItems' : 'maxLength'] = schema.maxLength;
+  if (schema.pattern) json.pattern = schema.pattern;
+  if (schema.unique) json.uniqueItems = true;
+  if (schema.items) json.items = toJsonSchema(schema.items);
+
+  if (schema.properties) {
+    json.properties = {};
+    const required = [];
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      json.properties[key] = toJsonSchema(propertySchema);
+      if (propertySchema.required) required.push(key);
+    });
+    if (required.length > 0) json.required = required;
+  }
+  if (schema.additionalProperties !== undefined) {
+    json.additionalProperties = typeof schema.additionalProperties === 'object'
+      ? toJsonSchema(schema.additionalProperties)
+      : schema.additionalProperties;
+  }
+
+  return json;
+}
+
+// Turn "path.to.field: message" / "path.to.field must ..." strings from the domain
+// validators into envelope details under the given location prefix
+function detailsFromMessages(messages, prefix, code = 'invalid_value') {
+  return messages.map(message => {
+    const match = /^([A-Za-z_][\w.[\]-]*)(?::| must| is| exceeds)/.exec(message);
+    const field = match ? `${prefix}.${match[1]}` : prefix;
+    return { code: code, message: message, field: field };
+  });
+}
+
+function clone(value) {
+  return typeof value === 'object' && value !== null ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+function validationError(errors) {
+  const message = errors.length === 1 ? errors[0].message : `${errors.length} fields are invalid`;
+  return new ApiError(400, 'validation_failed', message, errors);
+}
+
+class ApiRegistry {
+  // basePath is where the routes' router is mounted, used when describing them
+  constructor({ basePath = '' } = {}) {
+    this.basePath = basePath;
+    this.routes = [];
+    this.events = new Map();
+  }
+
+  // Register an Express route whose params, query and body are validated before the handler
+  // runs; handlers may be async and may throw ApiError
+  route(app, method, path, spec, handler) {
+    const schemas = {
+      params: this.asObjectSchema(spec.params),
+      query: this.asObjectSchema(spec.query),
+      body: this.asObjectSchema(spec.body)
+    };
+    this.routes.push({ method: method.toUpperCase(), path: this.basePath + path, spec: spec, schemas: schemas });
+
+    app[method](path, (req, res) => {
+      const errors = [];
+      Object.entries(schemas).forEach(([location, schema]) => {
+        if (!schema) return;
+        const source = location === 'body' && (req.body === undefined || req.body === null) ? {} : req[location];
+        const result = validate(schema, source, location);
+        errors.push(...result.errors);
+        req[location] = result.value;
+      });
+
+      if (errors.length > 0) {
+        return this.sendError(res, validationError(errors));
+      }
+
+      Promise.resolve()
+        .then(() => handler(req, res))
+        .catch(error => this.sendError(res, error));
+    });
+  }
+
+  // Register a Socket.IO event; attachEvents() binds every registered event to a socket.
+  // Handlers receive (payload, socket) and their return value is passed to the client's
+  // acknowledgement callback when one is supplied.
+  event(name, spec, handler) {
+    this.events.set(name, { name: name, spec: spec, handler: handler });
+  }
+
+  attachEvents(socket) {
+    this.events.forEach(({ name, spec, handler }) => {
+      socket.on(name, (...args) => {
+        const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        const fail = (error) => {
+          const apiError = this.toApiError(error);
+          const envelope = { event: name, ...apiError.toJSON() };
+          socket.emit('simulationError', envelope);
+          if (ack) ack({ ok: false, ...envelope });
+        };
+
+        let payload = args[0];
+        if (spec.payload) {
+          const result = validate(spec.payload, payload, 'payload');
+          if (result.errors.length > 0) {
+            return fail(validationError(result.errors));
+          }
+          payload = result.value;
+        }
+
+        Promise.resolve()
+          .then(() => handler(payload, socket))
+          .then(result => { if (ack) ack({ ok: true, result: result === undefined ? null : result }); })
+          .catch(fail);
+      });
+    });
+  }
+
+  sendError(res, error) {
+    const apiError = this.toApiError(error);
+    res.status(apiError.status).json(apiError);
+  }
+
+  toApiError(error) {
+    if (error instanceof ApiError) return error;
+    console.error('Unhandled API error:', error);
+    return new ApiError(500, 'internal_error', 'Internal server error');
+  }
+
+  // OpenAPI 3 document for the registered routes
+  toOpenApi(info) {
+    const paths = {};
+
+    this.routes.forEach(({ method, path, spec, schemas }) => {
+      const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+      const parameters = [];
+
+      ['params', 'query'].forEach(location => {
+        const schema = schemas[location];
+        if (!schema) return;
+        Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+          parameters.push({
+            name: name,
+            in: location === 'params' ? 'path' : 'query',
+            required: location === 'params' || Boolean(propertySchema.required),
+            description: propertySchema.description,
+            schema: toJsonSchema(propertySchema)
+          });
+        });
+      });
+
+      const operation = {
+        summary: spec.summary || '',
+        operationId: spec.operationId,
+        tags: spec.tags,
+        parameters: parameters.length > 0 ? parameters : undefined,
+        requestBody: schemas.body ? {
+          required: true,
+          content: { 'application/json': { schema: toJsonSchema(schemas.body) } }
+        } : undefined,
+        responses: {
+          200: {
+            description: 'Success',
+            content: { 'application/json': { schema: spec.response ? toJsonSchema(spec.response) : {} } }
+          },
+          default: {
+            description: 'Error',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+          }
+        }
+      };
+
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][method.toLowerCase()] = JSON.parse(JSON.stringify(operation));
+    });
+
+    return {
+      openapi: '3.1.0',
+      info: info,
+      servers: [{ url: '/' }],
+      paths: paths,
+      components: {
+        schemas: {
+          Error: toJsonSchema({
+            type: 'object',
+            properties: {
+              error: {
+                type: 'object',
+                properties: {
+                  code: { type: 'string', required: true },
+                  message: { type: 'string', required: true },
+                  details: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: { code: { type: 'string' }, message: { type: 'string' }, field: { type: 'string' } }
+                    }
+                  }
+                }
+              }
+            }
+          })
+        }
+      }
+    };
+  }
+
+  // Route shorthand: a bare map of properties stands for an object schema
+  asObjectSchema(schema) {
+    if (!schema) return null;
+    return typeof schema.type === 'string' ? schema : { type: 'object', properties: schema };
+  }
+
+  // Machine-readable description of every registered route and event
+  describe() {
+    return {
+      errorEnvelope: {
+        error: { code: 'string', message: 'string', details: [{ code: 'string', message: 'string', field: 'string' }] }
+      },
+      routes: this.routes.map(({ method, path, spec, schemas }) => ({
+        method: method,
+        path: path,
+        summary: spec.summary || '',
+        params: schemas.params ? toJsonSchema(schemas.params) : null,
+        query: schemas.query ? toJsonSchema(schemas.query) : null,
+        body: schemas.body ? toJsonSchema(schemas.body) : null
+      })),
+      events: [...this.events.values()].map(({ name, spec }) => ({
+        event: name,
+        summary: spec.summary || '',
+        payload: spec.payload ? toJsonSchema(spec.payload) : null
+      }))
+    };
+  }
+}
+
+module.exports = {
+  ApiRegistry,
+  ApiError,
+  validate,
+  toJsonSchema,
+  detailsFromMessages
+};
@@ -0,0 +1,379 @@
+// Versioned REST API (/api/v1)
+// This file implements resource routes for particles, fields, experiments, entanglement
+// groups and engines (list, GET by id, PATCH), particle filtering and pagination, and the
+// OpenAPI document generated from the route schemas
+
+const express = require('express');
+const { ApiRegistry, ApiError } = require('./api_schema');
+const { BARRIER_TYPES } = require('./transfer_matrix');
+
+const API_VERSION = '1.0.0';
+const MAX_PAGE_SIZE = 500;
+const MAX_BARRIER_SEGMENTS = 100;
+
+const VECTOR_PATCH = {
+  type: 'object',
+  properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } },
+  additionalProperties: false
+};
+
+const PARTICLE_PATCH = {
+  type: 'object',
+  properties: {
+    position: VECTOR_PATCH,
+    velocity: VECTOR_PATCH,
+    energy: { type: 'number', min: 0 },
+    lifetime: { type: 'number', min: 0 },
+    fieldCoupling: { type: 'number', min: 0, max: 1 }
+  },
+  additionalProperties: false
+};
+
+// Piecewise tunneling barrier: widths in ångström (>= 0), heights in eV
+const BARRIER_SEGMENTS = {
+  type: 'array',
+  maxLength: MAX_BARRIER_SEGMENTS,
+  items: {
+    type: 'object',
+    properties: {
+      width: { type: 'number', min: 0, required: true },
+      height: { type: 'number', required: true }
+    },
+    additionalProperties: false
+  },
+  description: 'Piecewise barrier segments [{ width, height }] (quantumTunneling only)'
+};
+
+// Scalar (number, string, boolean) own properties of an object, for listing engines etc.
+function scalarProperties(target) {
+  const properties = {};
+  Object.entries(target).forEach(([key, value]) => {
+    if (['number', 'string', 'boolean'].includes(typeof value)) {
+      properties[key] = value;
+    }
+  });
+  return properties;
+}
+
+const ANALYSER_ANGLE = { type: 'number', min: 0, max: 180 };
+const PARTICLES_PER_TICK = { type: 'integer', min: 0, max: 1000 };
+
+// Settings of the built-in experiments that can be patched besides active; everything else
+// on an experiment is collected data. Experiments whose settings the simulation checks
+// itself are passed to createApiV1Router instead.
+const EXPERIMENT_PATCHES = {
+  bellTest: {
+    analyserA: ANALYSER_ANGLE,
+    analyserAPrime: ANALYSER_ANGLE,
+    analyserB: ANALYSER_ANGLE,
+    analyserBPrime: ANALYSER_ANGLE
+  },
+  quantumTunneling: {
+    barrierType: { type: 'string', enum: BARRIER_TYPES },
+    barrierHeight: { type: 'number', min: 0, max: 1000 },
+    barrierWidth: { type: 'number', min: 0.1, max: 10 },
+    barrierSeparation: { type: 'number', min: 0.1, max: 50 },
+    barrierPosition: { type: 'number', min: -1000, max: 1000 },
+    segments: { ...BARRIER_SEGMENTS, nullable: true }
+  },
+  quantumEraser: {
+    eraser: { type: 'boolean' },
+    particlesPerTick: PARTICLES_PER_TICK
+  },
+  delayedChoice: {
+    eraserProbability: { type: 'number', min: 0, max: 1 },
+    particlesPerTick: PARTICLES_PER_TICK
+  }
+};
+
+// Engine settings that can be patched; the other engine properties are constants or state
+const ENGINE_PATCHES = {
+  energy: {
+    maxEnergy: { type: 'number', min: 0, exclusiveMin: true, max: 1e6 }
+  }
+};
+
+function notFound(resource, id) {
+  return new ApiError(404, 'not_found', `${resource} not found: ${id}`);
+}
+
+function project(item, fields) {
+  if (!fields) return item;
+  const projected = {};
+  fields.forEach(field => {
+    if (field in item) projected[field] = item[field];
+  });
+  return projected;
+}
+
+const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+const patchBody = (properties) => ({ type: 'object', properties: properties, additionalProperties: false });
+
+// getState returns the live simulation state, engines maps engine ids to instances and
+// onChange is called after every successful PATCH. experiments maps experiment names to
+// { properties, configure(settings, field) } for experiments whose settings are checked
+// (and applied) by the simulation, which throws ApiError when they are invalid.
+function createApiV1Router({ getState, engines, experiments = {}, onChange }) {
+  const router = express.Router();
+  const api = new ApiRegistry({ basePath: '/api/v1' });
+  const state = getState();
+
+  const particleTypes = state.particleTypes;
+  const fieldNames = Object.keys(state.fields);
+  const experimentNames = Object.keys(state.experiments);
+  const engineIds = Object.keys(engines);
+
+  const findParticle = (id) => {
+    const particle = getState().particles.find(p => p.id === id);
+    if (!particle) throw notFound('Particle', id);
+    return particle;
+  };
+
+  const findGroup = (id) => {
+    const group = getState().entanglementGroups.find(g => g.id === id);
+    if (!group) throw notFound('Entanglement group', id);
+    return group;
+  };
+
+  // Particles
+  api.route(router, 'get', '/particles', {
+    summary: 'List particles with filtering and pagination',
+    operationId: 'listParticles',
+    tags: ['particles'],
+    query: {
+      type: { type: 'array', items: { type: 'string', enum: particleTypes }, description: 'Comma-separated particle types' },
+      entangled: { type: 'boolean', description: 'Only particles with (or without) an entangled partner' },
+      superposition: { type: 'boolean' },
+      minEnergy: { type: 'number' },
+      maxEnergy: { type: 'number' },
+      sort: { type: 'string', enum: ['id', '-id', 'energy', '-energy'], default: 'id' },
+      fields: { type: 'array', items: { type: 'string' }, description: 'Comma-separated properties to return' },
+      offset: { type: 'integer', min: 0, default: 0 },
+      limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: 50 }
+    }
+  }, (req, res) => {
+    const { type, entangled, superposition, minEnergy, maxEnergy, sort, fields, offset, limit } = req.query;
+
+    let particles = getState().particles.filter(p =>
+      (!type || type.includes(p.type)) &&
+      (entangled === undefined || (p.entangledWith !== null) === entangled) &&
+      (superposition === undefined || p.quantumState.superposition === superposition) &&
+      (minEnergy === undefined || p.energy >= minEnergy) &&
+      (maxEnergy === undefined || p.energy <= maxEnergy)
+    );
+
+    const key = sort.replace('-', '');
+    const direction = sort.startsWith('-') ? -1 : 1;
+    particles = particles.slice().sort((a, b) => (a[key] - b[key]) * direction);
+
+    res.json({
+      items: particles.slice(offset, offset + limit).map(p => project(p, fields)),
+      total: particles.length,
+      offset: offset,
+      limit: limit
+    });
+  });
+
+  api.route(router, 'get', '/particles/:id', {
+    summary: 'Get a particle',
+    operationId: 'getParticle',
+    tags: ['particles'],
+    params: { id: { type: 'integer' } }
+  }, (req, res) => {
+    res.json(findParticle(req.params.id));
+  });
+
+  api.route(router, 'patch', '/particles/:id', {
+    summary: 'Update particle position, velocity, energy, lifetime or field coupling',
+    operationId: 'patchParticle',
+    tags: ['particles'],
+    params: { id: { type: 'integer' } },
+    body: PARTICLE_PATCH
+  }, (req, res) => {
+    const particle = findParticle(req.params.id);
+    const { position, velocity, ...scalars } = req.body;
+
+    if (position) Object.assign(particle.position, position);
+    if (velocity) Object.assign(particle.velocity, velocity);
+    Object.assign(particle, scalars);
+
+    onChange();
+    res.json(particle);
+  });
+
+  // Fields
+  api.route(router, 'get', '/fields', {
+    summary: 'List quantum fields',
+    operationId: 'listFields',
+    tags: ['fields']
+  }, (req, res) => {
+    const items = Object.entries(getState().fields).map(([name, field]) => ({ name, ...field }));
+    res.json({ items: items, total: items.length });
+  });
+
+  api.route(router, 'get', '/fields/:name', {
+    summary: 'Get a field',
+    operationId: 'getField',
+    tags: ['fields'],
+    params: { name: { type: 'string', enum: fieldNames } }
+  }, (req, res) => {
+    res.json({ name: req.params.name, ...getState().fields[req.params.name] });
+  });
+
+  // One route per field, so each body lists exactly the parameters that field has
+  fieldNames.forEach(name => {
+    const properties = {};
+    Object.keys(state.fields[name]).forEach(key => { properties[key] = { type: 'number' }; });
+
+    api.route(router, 'patch', `/fields/${name}`, {
+      summary: `Update ${name} field parameters`,
+      operationId: `patch${capitalize(name)}Field`,
+      tags: ['fields'],
+      body: patchBody(properties)
+    }, (req, res) => {
+      const field = getState().fields[name];
+      Object.assign(field, req.body);
+      onChange();
+      res.json({ name: name, ...field });
+    });
+  });
+
+  // Experiments
+  api.route(router, 'get', '/experiments', {
+    summary: 'List built-in experiments',
+    operationId: 'listExperiments',
+    tags: ['experiments']
+  }, (req, res) => {
+    const items = Object.entries(getState().experiments).map(([name, experiment]) => ({
+      name: name,
+      ...scalarProperties(experiment)
+    }));
+    res.json({ items: items, total: items.length });
+  });
+
+  api.route(router, 'get', '/experiments/:name', {
+    summary: 'Get an experiment with its collected data',
+    operationId: 'getExperiment',
+    tags: ['experiments'],
+    params: { name: { type: 'string', enum: experimentNames } }
+  }, (req, res) => {
+    res.json({ name: req.params.name, ...getState().experiments[req.params.name] });
+  });
+
+  // One route per experiment with the settings it declares; active starts and stops it
+  experimentNames.forEach(name => {
+    const configurable = experiments[name];
+    const settings = configurable ? configurable.properties : (EXPERIMENT_PATCHES[name] || {});
+
+    api.route(router, 'patch', `/experiments/${name}`, {
+      summary: `Start/stop the ${name} experiment or update its settings`,
+      operationId: `patch${capitalize(name)}Experiment`,
+      tags: ['experiments'],
+      body: patchBody({ active: { type: 'boolean' }, ...settings })
+    }, (req, res) => {
+      const experiment = getState().experiments[name];
+      const { active, ...changes } = req.body;
+
+      if (configurable && Object.keys(changes).length > 0) {
+        configurable.configure(changes, 'body');
+      } else {
+        Object.assign(experiment, changes);
+      }
+      if (active !== undefined) {
+        experiment.active = active;
+      }
+      onChange();
+      res.json({ name: name, ...experiment });
+    });
+  });
+
+  // Entanglement groups
+  api.route(router, 'get', '/entanglement-groups', {
+    summary: 'List entanglement groups',
+    operationId: 'listEntanglementGroups',
+    tags: ['entanglement'],
+    query: { type: { type: 'string' } }
+  }, (req, res) => {
+    const items = getState().entanglementGroups.filter(g => !req.query.type || g.type === req.query.type);
+    res.json({ items: items, total: items.length });
+  });
+
+  api.route(router, 'get', '/entanglement-groups/:id', {
+    summary: 'Get an entanglement group',
+    operationId: 'getEntanglementGroup',
+    tags: ['entanglement'],
+    params: { id: { type: 'integer' } }
+  }, (req, res) => {
+    res.json(findGroup(req.params.id));
+  });
+
+  api.route(router, 'patch', '/entanglement-groups/:id', {
+    summary: 'Update an entanglement group correlation or type',
+    operationId: 'patchEntanglementGroup',
+    tags: ['entanglement'],
+    params: { id: { type: 'integer' } },
+    body: {
+      type: 'object',
+      properties: {
+        correlation: { type: 'number', min: 0, max: 1 },
+        type: { type: 'string', minLength: 1 }
+      },
+      additionalProperties: false
+    }
+  }, (req, res) => {
+    const group = findGroup(req.params.id);
+    Object.assign(group, req.body);
+    onChange();
+    res.json(group);
+  });
+
+  // Engines
+  api.route(router, 'get', '/engines', {
+    summary: 'List simulation engines',
+    operationId: 'listEngines',
+    tags: ['engines']
+  }, (req, res) => {
+    const items = engineIds.map(id => ({ id: id, name: engines[id].constructor.name }));
+    res.json({ items: items, total: items.length });
+  });
+
+  api.route(router, 'get', '/engines/:id', {
+    summary: 'Get an engine and its scalar settings',
+    operationId: 'getEngine',
+    tags: ['engines'],
+    params: { id: { type: 'string', enum: engineIds } }
+  }, (req, res) => {
+    const engine = engines[req.params.id];
+    res.json({ id: req.params.id, name: engine.constructor.name, properties: scalarProperties(engine) });
+  });
+
+  // Engines without declared settings accept only an empty patch
+  engineIds.forEach(id => {
+    api.route(router, 'patch', `/engines/${id}`, {
+      summary: `Update ${id} engine settings`,
+      operationId: `patch${capitalize(id)}Engine`,
+      tags: ['engines'],
+      body: patchBody(ENGINE_PATCHES[id] || {})
+    }, (req, res) => {
+      const engine = engines[id];
+      Object.assign(engine, req.body);
+      onChange();
+      res.json({ id: id, name: engine.constructor.name, properties: scalarProperties(engine) });
+    });
+  });
+
+  api.route(router, 'get', '/openapi.json', {
+    summary: 'OpenAPI description of this API',
+    operationId: 'getOpenApi',
+    tags: ['meta']
+  }, (req, res) => {
+    res.json(api.toOpenApi({ title: 'AlphaThrone Simulation API', version: API_VERSION }));
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApiV1Router,
+  API_VERSION
+};
@@ -0,0 +1,142 @@
+// CHSH Bell Test
+// This file implements the CHSH form of the Bell test: pairs prepared in one of the four
+// Bell states are measured by two analysers at chosen angles, outcomes are sampled from the
+// quantum joint probabilities and the four correlations are combined into the S value with
+// its standard error, to be compared against the local-realist bound of 2
+
+// Amplitudes over |00⟩, |01⟩, |10⟩, |11⟩ (each divided by √2)
+const BELL_STATES = {
+  '|Φ+⟩': [1, 0, 0, 1],
+  '|Φ-⟩': [1, 0, 0, -1],
+  '|Ψ+⟩': [0, 1, 1, 0],
+  '|Ψ-⟩': [0, 1, -1, 0]
+};
+
+const CLASSICAL_BOUND = 2;
+const TSIRELSON_BOUND = 2 * Math.SQRT2;
+
+// Analyser angles in degrees; these maximise S for |Φ+⟩
+const DEFAULT_ANGLES = { a: 0, aPrime: 45, b: 22.5, bPrime: 67.5 };
+
+// S = E(a, b) - E(a, b') + E(a', b) + E(a', b')
+const SETTINGS = [
+  { key: 'a_b', alice: 'a', bob: 'b', sign: 1 },
+  { key: 'a_bPrime', alice: 'a', bob: 'bPrime', sign: -1 },
+  { key: 'aPrime_b', alice: 'aPrime', bob: 'b', sign: 1 },
+  { key: 'aPrime_bPrime', alice: 'aPrime', bob: 'bPrime', sign: 1 }
+];
+
+const OUTCOMES = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+// An analyser at angle θ passes cos θ|0⟩ + sin θ|1⟩ as +1 and -sin θ|0⟩ + cos θ|1⟩ as -1
+function analyserVector(degrees, outcome) {
+  const theta = degrees * Math.PI / 180;
+  return outcome === 1 ? [Math.cos(theta), Math.sin(theta)] : [-Math.sin(theta), Math.cos(theta)];
+}
+
+// Joint outcome probabilities, in OUTCOMES order
+function outcomeProbabilities(state, alpha, beta) {
+  const amplitudes = BELL_STATES[state];
+  return OUTCOMES.map(([alice, bob]) => {
+    const u = analyserVector(alpha, alice);
+    const v = analyserVector(beta, bob);
+    let amplitude = 0;
+    for (let i = 0; i < 2; i++) {
+      for (let j = 0; j < 2; j++) {
+        amplitude += u[i] * v[j] * amplitudes[2 * i + j];
+      }
+    }
+    return amplitude * amplitude / 2;
+  });
+}
+
+// Quantum expectation of the product of both outcomes
+function expectedCorrelation(state, alpha, beta) {
+  return outcomeProbabilities(state, alpha, beta)
+    .reduce((sum, probability, index) => sum + probability * OUTCOMES[index][0] * OUTCOMES[index][1], 0);
+}
+
+function expectedS(state, angles) {
+  return SETTINGS.reduce((sum, setting) =>
+    sum + setting.sign * expectedCorrelation(state, angles[setting.alice], angles[setting.bob]), 0);
+}
+
+function createCounts() {
+  const counts = {};
+  SETTINGS.forEach(setting => {
+    counts[setting.key] = { trials: 0, same: 0 };
+  });
+  return counts;
+}
+
+// Each side picks one of its two analyser angles independently, then a joint outcome is drawn
+function measurePair(state, angles, random) {
+  const setting = SETTINGS[(random.next() < 0.5 ? 0 : 2) + (random.next() < 0.5 ? 0 : 1)];
+  const probabilities = outcomeProbabilities(state, angles[setting.alice], angles[setting.bob]);
+
+  const u = random.next();
+  let index = 0;
+  let cumulative = probabilities[0];
+  while (u >= cumulative && index < OUTCOMES.length - 1) {
+    cumulative += probabilities[++index];
+  }
+  return { setting: setting.key, alice: OUTCOMES[index][0], bob: OUTCOMES[index][1] };
+}
+
+function recordMeasurement(counts, measurement) {
+  const count = counts[measurement.setting];
+  count.trials++;
+  if (measurement.alice === measurement.bob) count.same++;
+}
+
+// E for each setting is the mean of the ±1 products, with standard error √((1 - E²) / N);
+// the errors of the four independent estimates add in quadrature for S
+function analyzeCounts(counts) {
+  const correlations = {};
+  let s = 0;
+  let variance = 0;
+  let complete = true;
+
+  SETTINGS.forEach(setting => {
+    const { trials, same } = counts[setting.key];
+    if (trials === 0) {
+      correlations[setting.key] = { trials: 0, correlation: null, standardError: null };
+      complete = false;
+      return;
+    }
+    const correlation = (2 * same - trials) / trials;
+    const settingVariance = (1 - correlation * correlation) / trials;
+    correlations[setting.key] = { trials: trials, correlation: correlation, standardError: Math.sqrt(settingVariance) };
+    s += setting.sign * correlation;
+    variance += settingVariance;
+  });
+
+  const S = complete ? s : null;
+  const standardError = complete ? Math.sqrt(variance) : null;
+  return {
+    correlations: correlations,
+    trials: SETTINGS.reduce((sum, setting) => sum + counts[setting.key].trials, 0),
+    S: S,
+    standardError: standardError,
+    classicalBound: CLASSICAL_BOUND,
+    tsirelsonBound: TSIRELSON_BOUND,
+    violation: complete && Math.abs(S) > CLASSICAL_BOUND,
+    // Distance of |S| above the bound in standard errors
+    significance: complete && standardError > 0 ? (Math.abs(S) - CLASSICAL_BOUND) / standardError : null
+  };
+}
+
+module.exports = {
+  BELL_STATES,
+  CLASSICAL_BOUND,
+  TSIRELSON_BOUND,
+  DEFAULT_ANGLES,
+  SETTINGS,
+  outcomeProbabilities,
+  expectedCorrelation,
+  expectedS,
+  createCounts,
+  measurePair,
+  recordMeasurement,
+  analyzeCounts
+};
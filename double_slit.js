@@ -0,0 +1,163 @@
+// Double-Slit Interference
+// This file implements a far-field (Fraunhofer) double slit: per-slit amplitudes on a
+// detector screen, the analytic intensity with and without a which-path detector, sampling
+// of single hits into a screen histogram and the comparison of that histogram with the
+// analytic pattern. The which-path marker it reads is shared by the quantum eraser and
+// delayed-choice experiments.
+
+const MARKER_BASES = ['path', 'eraser'];
+
+// Sub-samples per bin when integrating the intensity over a bin
+const BIN_SAMPLES = 8;
+
+const DEFAULT_SETUP = {
+  slitWidth: 10, // µm
+  slitSeparation: 50, // µm, centre to centre
+  wavelength: 500, // nm
+  screenDistance: 1, // m
+  screenHalfWidth: 60, // mm
+  bins: 120
+};
+
+class DoubleSlit {
+  constructor(setup = {}) {
+    this.setup = { ...DEFAULT_SETUP, ...setup };
+    const { screenHalfWidth, bins } = this.setup;
+    this.binWidth = 2 * screenHalfWidth / bins;
+    this.binCenters = Array.from({ length: bins }, (_, i) => -screenHalfWidth + (i + 0.5) * this.binWidth);
+    this.distributions = new Map();
+  }
+
+  // Slit centres and widths in µm, slit A below the axis
+  slits() {
+    const { slitWidth, slitSeparation } = this.setup;
+    return [
+      { name: 'A', center: -slitSeparation / 2, width: slitWidth },
+      { name: 'B', center: slitSeparation / 2, width: slitWidth }
+    ];
+  }
+
+  // Complex amplitudes [re, im] of each slit at screen position y (mm). Each slit contributes
+  // the single-slit envelope sinc(π a sinθ / λ) with a phase ∓π d sinθ / λ from its offset.
+  amplitudes(y) {
+    const { slitWidth, slitSeparation, wavelength, screenDistance } = this.setup;
+    const yMetres = y * 1e-3;
+    const sinTheta = yMetres / Math.sqrt(yMetres * yMetres + screenDistance * screenDistance);
+    const lambda = wavelength * 1e-9;
+
+    const beta = Math.PI * slitWidth * 1e-6 * sinTheta / lambda;
+    const envelope = beta === 0 ? 1 : Math.sin(beta) / beta;
+    const halfPhase = Math.PI * slitSeparation * 1e-6 * sinTheta / lambda;
+    return [
+      [envelope * Math.cos(halfPhase), -envelope * Math.sin(halfPhase)],
+      [envelope * Math.cos(halfPhase), envelope * Math.sin(halfPhase)]
+    ];
+  }
+
+  // Fraunhofer intensity normalised to 1 on the axis: |ψA + ψB|² / 4 without a which-path
+  // detector, (|ψA|² + |ψB|²) / 2 when the path is marked
+  intensity(y, marked = false) {
+    const [a, b] = this.amplitudes(y);
+    if (marked) {
+      return (a[0] * a[0] + a[1] * a[1] + b[0] * b[0] + b[1] * b[1]) / 2;
+    }
+    const re = a[0] + b[0];
+    const im = a[1] + b[1];
+    return (re * re + im * im) / 4;
+  }
+
+  // Probability of a hit landing in each bin
+  distribution(marked = false) {
+    if (!this.distributions.has(marked)) {
+      const weights = this.binCenters.map(center => {
+        let sum = 0;
+        for (let s = 0; s < BIN_SAMPLES; s++) {
+          sum += this.intensity(center + ((s + 0.5) / BIN_SAMPLES - 0.5) * this.binWidth, marked);
+        }
+        return sum / BIN_SAMPLES;
+      });
+      const total = weights.reduce((sum, w) => sum + w, 0);
+      const probabilities = weights.map(w => w / total);
+
+      let cumulative = 0;
+      const cdf = probabilities.map(p => (cumulative += p));
+      this.distributions.set(marked, { probabilities, cdf });
+    }
+    return this.distributions.get(marked);
+  }
+
+  // One particle through the slits: the bin it hits, its position within the bin and the
+  // slit amplitudes there (for reading a which-path marker afterwards)
+  emit(random, marked = false) {
+    const { cdf } = this.distribution(marked);
+    const u = random.next();
+    let low = 0;
+    let high = cdf.length - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (cdf[middle] > u) high = middle; else low = middle + 1;
+    }
+    const y = this.binCenters[low] + (random.next() - 0.5) * this.binWidth;
+    return { bin: low, y: y, amplitudes: this.amplitudes(y) };
+  }
+
+  createHistogram() {
+    return new Array(this.binCenters.length).fill(0);
+  }
+
+  // Total variation distance between the histogram and the analytic pattern (0 when they
+  // agree), and the fringe visibility of both around the central fringe
+  compare(counts, marked = false) {
+    const { probabilities } = this.distribution(marked);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const deviation = total > 0
+      ? probabilities.reduce((sum, p, i) => sum + Math.abs(counts[i] / total - p), 0) / 2
+      : null;
+
+    return {
+      hits: total,
+      deviation: deviation,
+      visibility: total > 0 ? this.visibility(counts) : null,
+      expectedVisibility: this.visibility(probabilities),
+      fringeSpacing: this.fringeSpacing()
+    };
+  }
+
+  // (max - min) / (max + min) over one fringe spacing either side of the axis
+  visibility(values) {
+    const spacing = this.fringeSpacing();
+    const central = values.filter((_, i) => Math.abs(this.binCenters[i]) <= spacing);
+    if (central.length === 0) return 0;
+    const max = Math.max(...central);
+    const min = Math.min(...central);
+    return max + min > 0 ? (max - min) / (max + min) : 0;
+  }
+
+  // Small-angle fringe spacing L λ / d, in mm
+  fringeSpacing() {
+    const { slitSeparation, wavelength, screenDistance } = this.setup;
+    return screenDistance * wavelength * 1e-9 / (slitSeparation * 1e-6) * 1e3;
+  }
+}
+
+// The which-path detector leaves a marker entangled with the path, (|A⟩|a⟩ + |B⟩|b⟩)/√2.
+// Reading it in the 'path' basis reveals the slit (A or B); reading it in the 'eraser' basis
+// (|a⟩ ± |b⟩)/√2 erases that information and sorts hits into fringes (+) and anti-fringes (-).
+function readMarker([a, b], basis, random) {
+  if (basis === 'path') {
+    const pA = a[0] * a[0] + a[1] * a[1];
+    const pB = b[0] * b[0] + b[1] * b[1];
+    return random.next() * (pA + pB) < pA ? 'A' : 'B';
+  }
+
+  const plus = (a[0] + b[0]) ** 2 + (a[1] + b[1]) ** 2;
+  const minus = (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2;
+  return random.next() * (plus + minus) < plus ? '+' : '-';
+}
+
+module.exports = {
+  DoubleSlit,
+  DEFAULT_SETUP,
+  MARKER_BASES,
+  readMarker
+};
@@ -0,0 +1,180 @@
+// Experiment Job Runner
+// This file implements cooperative background execution of experiment runs: each run is an
+// iterator driven in short time slices between simulation ticks, with progress and
+// intermediate data reporting, pause/resume/cancel and a per-server concurrency limit
+
+const JOB_STATES = ['queued', 'running', 'paused', 'completed', 'failed', 'cancelled'];
+
+class ExperimentJobRunner {
+  // onUpdate(job) is called on every state change and, at most every progressInterval ms,
+  // when a running job reports progress
+  constructor({ concurrency = 2, sliceMs = 8, progressInterval = 100, onUpdate = () => {} } = {}) {
+    this.concurrency = concurrency;
+    this.sliceMs = sliceMs;
+    this.progressInterval = progressInterval;
+    this.onUpdate = onUpdate;
+
+    this.jobs = new Map();
+    this.queue = [];
+    this.active = new Set();
+  }
+
+  // iterator yields { progress (0..1), data } and returns the final result. A plain
+  // (non-iterator) value is treated as an already finished run.
+  submit(id, iterator) {
+    if (this.jobs.has(id) && !this.isFinished(this.jobs.get(id))) {
+      throw new Error(`Job already in progress: ${id}`);
+    }
+
+    const job = {
+      id: id,
+      iterator: iterator,
+      state: 'queued',
+      progress: 0,
+      intermediate: null,
+      result: null,
+      error: null,
+      queuedAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      lastReport: 0
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // Callers that only follow onUpdate should not trigger unhandled rejections
+    job.promise.catch(() => {});
+
+    this.jobs.set(id, job);
+    this.queue.push(job);
+    this.onUpdate(job);
+    this.schedule();
+    return job;
+  }
+
+  pause(id) {
+    const job = this.jobs.get(id);
+    if (!job || (job.state !== 'running' && job.state !== 'queued')) return false;
+
+    this.active.delete(job);
+    this.queue = this.queue.filter(queued => queued !== job);
+    this.setState(job, 'paused');
+    this.schedule();
+    return true;
+  }
+
+  // A resumed job goes to the front of the queue
+  resume(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.state !== 'paused') return false;
+
+    this.queue.unshift(job);
+    this.setState(job, 'queued');
+    this.schedule();
+    return true;
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || this.isFinished(job)) return false;
+
+    this.finish(job, 'cancelled');
+    job.reject(new Error(`Job cancelled: ${id}`));
+    return true;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  remove(id) {
+    this.cancel(id);
+    return this.jobs.delete(id);
+  }
+
+  isFinished(job) {
+    return job.state === 'completed' || job.state === 'failed' || job.state === 'cancelled';
+  }
+
+  // Start queued jobs while there are free slots
+  schedule() {
+    while (this.active.size < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.active.add(job);
+      if (!job.startedAt) job.startedAt = Date.now();
+      this.setState(job, 'running');
+      // A pause and resume within one tick must not leave two slice chains running
+      const generation = job.generation = (job.generation || 0) + 1;
+      setImmediate(() => this.runSlice(job, generation));
+    }
+  }
+
+  // Advance a job until its time slice is used up, then yield to the event loop
+  runSlice(job, generation) {
+    if (job.state !== 'running' || job.generation !== generation) return;
+
+    const deadline = Date.now() + this.sliceMs;
+    try {
+      if (typeof job.iterator?.next !== 'function') {
+        return this.complete(job, job.iterator);
+      }
+
+      do {
+        const step = job.iterator.next();
+        if (step.done) {
+          return this.complete(job, step.value);
+        }
+        if (step.value) {
+          if (typeof step.value.progress === 'number') job.progress = Math.min(Math.max(step.value.progress, 0), 1);
+          if (step.value.data !== undefined) job.intermediate = step.value.data;
+        }
+      } while (Date.now() < deadline);
+    } catch (error) {
+      job.error = error.message;
+      this.finish(job, 'failed');
+      job.reject(error);
+      return;
+    }
+
+    if (Date.now() - job.lastReport >= this.progressInterval) {
+      job.lastReport = Date.now();
+      this.onUpdate(job);
+    }
+    setImmediate(() => this.runSlice(job, generation));
+  }
+
+  complete(job, result) {
+    job.result = result;
+    job.progress = 1;
+    this.finish(job, 'completed');
+    job.resolve(result);
+  }
+
+  finish(job, state) {
+    this.active.delete(job);
+    this.queue = this.queue.filter(queued => queued !== job);
+    job.iterator = null;
+    job.finishedAt = Date.now();
+    this.setState(job, state);
+    this.schedule();
+  }
+
+  setState(job, state) {
+    job.state = state;
+    job.lastReport = Date.now();
+    this.onUpdate(job);
+  }
+
+  getStatus() {
+    const counts = {};
+    JOB_STATES.forEach(state => { counts[state] = 0; });
+    this.jobs.forEach(job => { counts[job.state]++; });
+    return { concurrency: this.concurrency, ...counts };
+  }
+}
+
+module.exports = {
+  ExperimentJobRunner,
+  JOB_STATES
+};
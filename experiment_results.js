@@ -0,0 +1,197 @@
+// Experiment Results Database
+// This file implements the embedded store for completed experiment runs (parameters, raw
+// results, analysis, seed and server version): an append-only JSON-lines file replayed into
+// memory at startup, with queries by template, date and parameter ranges and a side-by-side
+// comparison of analyses
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Rewrite the file once superseded lines outnumber live records by this factor
+const COMPACT_RATIO = 2;
+const MAX_COMPARE = 10;
+
+class ResultsStore {
+  constructor(file) {
+    this.file = file;
+    this.records = new Map();
+    this.lineCount = 0;
+    this.writing = Promise.resolve();
+  }
+
+  // Replay the log; later lines for the same id replace earlier ones and { id, deleted }
+  // lines remove the record. Unreadable lines (e.g. a torn final write) are skipped.
+  open() {
+    return this.enqueue(async () => {
+      let content = '';
+      try {
+        content = await fs.readFile(this.file, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      this.records.clear();
+      this.lineCount = 0;
+      content.split('\n').filter(line => line.trim()).forEach(line => {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          return;
+        }
+        this.lineCount++;
+        if (record.deleted) {
+          this.records.delete(record.id);
+        } else if (record.id) {
+          this.records.set(record.id, record);
+        }
+      });
+
+      if (this.lineCount > this.records.size * COMPACT_RATIO) {
+        await this.rewrite();
+      }
+      return this;
+    });
+  }
+
+  // Insert or replace a record
+  put(record) {
+    const stored = JSON.parse(JSON.stringify(record));
+    return this.enqueue(async () => {
+      this.records.set(stored.id, stored);
+      await this.appendLine(stored);
+      return stored;
+    });
+  }
+
+  remove(id) {
+    return this.enqueue(async () => {
+      if (!this.records.delete(id)) return false;
+      await this.appendLine({ id: id, deleted: true });
+      return true;
+    });
+  }
+
+  get(id) {
+    return this.records.get(id);
+  }
+
+  // Loading and writes run one at a time, so lines never interleave and nothing written
+  // before open() finishes is lost
+  enqueue(task) {
+    const result = this.writing.then(task);
+    this.writing = result.catch(() => {});
+    return result;
+  }
+
+  async appendLine(entry) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.appendFile(this.file, JSON.stringify(entry) + '\n');
+    this.lineCount++;
+  }
+
+  async rewrite() {
+    const lines = Array.from(this.records.values()).map(record => JSON.stringify(record) + '\n').join('');
+    const temporary = `${this.file}.tmp`;
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(temporary, lines);
+    await fs.rename(temporary, this.file);
+    this.lineCount = this.records.size;
+  }
+
+  // filter: { template, sweepId, from, to (timestamps on completedAt), parameters: { name:
+  // { min, max, equals } } }. Array-valued parameters match when every element matches.
+  // Newest first.
+  query({ template, sweepId, from, to, parameters = {}, offset = 0, limit = 50 } = {}) {
+    const matches = Array.from(this.records.values())
+      .filter(record =>
+        (!template || record.template === template) &&
+        (!sweepId || record.sweepId === sweepId) &&
+        (from === undefined || record.completedAt >= from) &&
+        (to === undefined || record.completedAt <= to) &&
+        Object.entries(parameters).every(([name, condition]) => this.matchesParameter(record.parameters[name], condition))
+      )
+      .sort((a, b) => b.completedAt - a.completedAt);
+
+    return { items: matches.slice(offset, offset + limit), total: matches.length, offset: offset, limit: limit };
+  }
+
+  matchesParameter(value, { min, max, equals }) {
+    if (value === undefined) return false;
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0) return false;
+
+    return values.every(item =>
+      (equals === undefined || String(item) === String(equals)) &&
+      (min === undefined || (typeof item === 'number' && item >= min)) &&
+      (max === undefined || (typeof item === 'number' && item <= max))
+    );
+  }
+
+  // Line up the parameters and analyses of several records: one row per leaf path with the
+  // value from each run, the numeric spread and whether the runs disagree
+  compare(ids, { onlyDifferences = false } = {}) {
+    const records = ids.map(id => this.records.get(id));
+    const rowsFor = (key) => {
+      const flattened = records.map(record => flatten(record[key]));
+      const paths = new Set();
+      flattened.forEach(leaves => Object.keys(leaves).forEach(leaf => paths.add(leaf)));
+
+      return Array.from(paths)
+        .map(leaf => {
+          const values = flattened.map(leaves => (leaf in leaves ? leaves[leaf] : null));
+          const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+          const row = {
+            path: leaf,
+            values: values,
+            differs: values.some(value => JSON.stringify(value) !== JSON.stringify(values[0]))
+          };
+          if (numbers.length === values.length) {
+            row.spread = Math.max(...numbers) - Math.min(...numbers);
+          }
+          return row;
+        })
+        .filter(row => !onlyDifferences || row.differs);
+    };
+
+    return {
+      runs: records.map(record => ({
+        id: record.id,
+        experimentId: record.experimentId,
+        template: record.template,
+        seed: record.seed,
+        serverVersion: record.serverVersion,
+        completedAt: record.completedAt,
+        analyzed: record.analysis !== null
+      })),
+      parameters: rowsFor('parameters'),
+      analysis: rowsFor('analysis')
+    };
+  }
+
+  // Resolves once pending loads and writes have finished
+  flush() {
+    return this.writing;
+  }
+}
+
+// { a: { b: [1, 2] } } -> { 'a.b[0]': 1, 'a.b[1]': 2 }
+function flatten(value, prefix = '', leaves = {}) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) leaves[prefix] = [];
+    value.forEach((item, index) => flatten(item, `${prefix}[${index}]`, leaves));
+  } else if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0 && prefix) leaves[prefix] = {};
+    entries.forEach(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : key, leaves));
+  } else if (prefix) {
+    leaves[prefix] = value === undefined ? null : value;
+  }
+  return leaves;
+}
+
+module.exports = {
+  ResultsStore,
+  MAX_COMPARE,
+  flatten
+};
@@ -0,0 +1,366 @@
+// Parameter Sweeps for the Experiment Framework
+// This file implements batch runs over a template's parameter space: grid, random and
+// Latin-hypercube sampling, repetitions over a series of seeds, aggregation of the analyses
+// into a table and CSV/JSON export of that table
+
+const SeededRandom = require('./simulation_random');
+const { validate } = require('./api_schema');
+const { flatten } = require('./experiment_results');
+
+const SAMPLING_METHODS = ['grid', 'random', 'lhs'];
+const MAX_SWEEP_RUNS = 1000;
+const DEFAULT_GRID_STEPS = 5;
+
+class ExperimentSweepRunner {
+  // onUpdate(sweep, event) is called with 'status' on status changes and 'progress' after
+  // every finished run
+  constructor(framework, { onUpdate = () => {} } = {}) {
+    this.framework = framework;
+    this.onUpdate = onUpdate;
+    this.sweeps = new Map();
+  }
+
+  // Check a sweep request against its template and expand it into runs. Returns
+  // { plan, errors } where errors are "field message" strings.
+  plan({ template, sampling = 'grid', parameters = {}, fixed = {}, samples = 10, repetitions = 1, seed, metrics = null }) {
+    const definitions = this.framework.experimentTemplates.get(template).parameters;
+    const errors = [];
+
+    const axes = [];
+    if (Object.keys(parameters).length === 0) {
+      errors.push('parameters must name at least one parameter to sweep');
+    }
+    Object.entries(parameters).forEach(([name, axis]) => {
+      if (!definitions[name]) {
+        errors.push(`parameters.${name} is not a parameter of ${template}`);
+      } else if (fixed[name] !== undefined) {
+        errors.push(`fixed.${name} cannot be fixed and swept at once`);
+      } else {
+        const resolved = this.resolveAxis(name, definitions[name], axis, errors);
+        if (resolved) axes.push(resolved);
+      }
+    });
+
+    const schema = this.framework.getParameterSchema(template);
+    const base = validate(schema, fixed, 'fixed');
+    errors.push(...base.errors.map(error => error.message));
+    if (errors.length > 0) return { plan: null, errors: errors };
+
+    const pointCount = sampling === 'grid'
+      ? axes.reduce((count, axis) => count * this.gridValues(axis).length, 1)
+      : samples;
+    const runCount = pointCount * repetitions;
+    if (runCount > MAX_SWEEP_RUNS) {
+      return { plan: null, errors: [`parameters must expand to at most ${MAX_SWEEP_RUNS} runs including repetitions (got ${runCount})`] };
+    }
+
+    const random = new SeededRandom(seed);
+    const points = sampling === 'grid'
+      ? this.gridPoints(axes)
+      : sampling === 'random'
+        ? this.randomPoints(axes, samples, random)
+        : this.latinHypercubePoints(axes, samples, random);
+
+    // Repetition r of every point uses seed + r, so points are compared on the same streams
+    const baseSeed = random.getSeed();
+    return {
+      plan: {
+        template: template,
+        sampling: sampling,
+        seed: baseSeed,
+        repetitions: repetitions,
+        metrics: metrics,
+        axes: axes.map(axis => axis.name),
+        points: points.map((point, index) => ({
+          index: index,
+          parameters: point,
+          runs: Array.from({ length: repetitions }, (_, repetition) => ({
+            seed: (baseSeed + repetition) >>> 0,
+            parameters: { ...base.value, ...this.wrapPoint(point, axes) },
+            status: 'pending',
+            error: null,
+            resultId: null,
+            analysis: null
+          }))
+        }))
+      },
+      errors: []
+    };
+  }
+
+  // An axis sweeps explicit values, every option, or a numeric range within the template's
+  // own min/max
+  resolveAxis(name, definition, axis, errors) {
+    const field = `parameters.${name}`;
+    const integer = definition.type === 'integer';
+    const resolved = { name: name, list: Array.isArray(definition.default), integer: integer };
+
+    if (axis.values !== undefined) {
+      const invalid = axis.values.filter(value => definition.options
+        ? !definition.options.includes(value)
+        : typeof value !== 'number' || value < definition.min || value > definition.max || (integer && !Number.isInteger(value)));
+      if (invalid.length > 0) {
+        errors.push(`${field}.values must be ${definition.options
+          ? `options of ${definition.options.join(', ')}`
+          : `${integer ? 'integers' : 'numbers'} between ${definition.min} and ${definition.max}`}`);
+        return null;
+      }
+      resolved.values = axis.values;
+      return resolved;
+    }
+
+    if (definition.options) {
+      resolved.values = definition.options;
+      return resolved;
+    }
+
+    resolved.min = axis.min !== undefined ? axis.min : definition.min;
+    resolved.max = axis.max !== undefined ? axis.max : definition.max;
+    resolved.steps = axis.steps || DEFAULT_GRID_STEPS;
+    if (resolved.min < definition.min || resolved.max > definition.max || resolved.min > resolved.max) {
+      errors.push(`${field} must have min <= max within ${definition.min} and ${definition.max}`);
+      return null;
+    }
+    return resolved;
+  }
+
+  gridValues(axis) {
+    if (axis.values) return axis.values;
+
+    const values = [];
+    for (let i = 0; i < axis.steps; i++) {
+      const t = axis.steps === 1 ? 0 : i / (axis.steps - 1);
+      const value = axis.min + t * (axis.max - axis.min);
+      values.push(axis.integer ? Math.round(value) : value);
+    }
+    return Array.from(new Set(values));
+  }
+
+  // Cartesian product of every axis' values
+  gridPoints(axes) {
+    return axes.reduce((points, axis) => {
+      const values = this.gridValues(axis);
+      return points.flatMap(point => values.map(value => ({ ...point, [axis.name]: value })));
+    }, [{}]);
+  }
+
+  randomPoints(axes, samples, random) {
+    return Array.from({ length: samples }, () => {
+      const point = {};
+      axes.forEach(axis => {
+        point[axis.name] = this.sampleAxis(axis, random.next());
+      });
+      return point;
+    });
+  }
+
+  // Each axis is split into `samples` equal strata and every stratum is used exactly once,
+  // in an independent random order per axis
+  latinHypercubePoints(axes, samples, random) {
+    const points = Array.from({ length: samples }, () => ({}));
+    axes.forEach(axis => {
+      const strata = Array.from({ length: samples }, (_, i) => i);
+      for (let i = strata.length - 1; i > 0; i--) {
+        const j = random.int(i + 1);
+        [strata[i], strata[j]] = [strata[j], strata[i]];
+      }
+      strata.forEach((stratum, i) => {
+        points[i][axis.name] = this.sampleAxis(axis, (stratum + random.next()) / samples);
+      });
+    });
+    return points;
+  }
+
+  // Map u in [0, 1) onto the axis
+  sampleAxis(axis, u) {
+    if (axis.values) {
+      return axis.values[Math.min(Math.floor(u * axis.values.length), axis.values.length - 1)];
+    }
+    if (axis.integer) {
+      return Math.min(axis.min + Math.floor(u * (axis.max - axis.min + 1)), axis.max);
+    }
+    return axis.min + u * (axis.max - axis.min);
+  }
+
+  // Array-valued template parameters take the swept value as a one-element list
+  wrapPoint(point, axes) {
+    const wrapped = {};
+    axes.forEach(axis => {
+      wrapped[axis.name] = axis.list ? [point[axis.name]] : point[axis.name];
+    });
+    return wrapped;
+  }
+
+  start(plan, concurrency) {
+    const sweep = {
+      id: `sweep_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      ...plan,
+      status: 'running',
+      total: plan.points.length * plan.repetitions,
+      finished: 0,
+      createdAt: Date.now(),
+      completedAt: null,
+      active: new Set()
+    };
+    this.sweeps.set(sweep.id, sweep);
+    this.onUpdate(sweep, 'status');
+
+    this.execute(sweep, concurrency).catch(error => {
+      console.error(`Sweep ${sweep.id} failed:`, error);
+      this.finish(sweep, 'failed');
+    });
+    return sweep;
+  }
+
+  // Keep up to `concurrency` runs in flight until every run is done or the sweep is cancelled
+  async execute(sweep, concurrency) {
+    const runs = sweep.points.flatMap(point => point.runs);
+    let next = 0;
+    const worker = async () => {
+      while (next < runs.length && sweep.status === 'running') {
+        await this.executeRun(sweep, runs[next++]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    if (sweep.status === 'running') {
+      this.finish(sweep, 'completed');
+    }
+  }
+
+  async executeRun(sweep, run) {
+    let experiment = null;
+    try {
+      experiment = this.framework.createExperiment(sweep.template, run.parameters, run.seed);
+      experiment.sweepId = sweep.id;
+      sweep.active.add(experiment.id);
+      this.framework.runExperiment(experiment.id);
+      await this.framework.whenFinished(experiment.id);
+
+      if (experiment.status === 'completed') {
+        run.analysis = this.framework.analyzeExperiment(experiment.id);
+      }
+      run.status = experiment.status;
+      run.error = experiment.error;
+      run.resultId = experiment.resultId;
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+    } finally {
+      if (experiment) {
+        sweep.active.delete(experiment.id);
+        this.framework.deleteExperiment(experiment.id);
+      }
+      sweep.finished++;
+      this.onUpdate(sweep, 'progress');
+    }
+  }
+
+  cancel(id) {
+    const sweep = this.sweeps.get(id);
+    if (!sweep || sweep.status !== 'running') return false;
+
+    this.finish(sweep, 'cancelled');
+    sweep.active.forEach(experimentId => this.framework.cancelExperiment(experimentId));
+    return true;
+  }
+
+  remove(id) {
+    this.cancel(id);
+    return this.sweeps.delete(id);
+  }
+
+  finish(sweep, status) {
+    sweep.status = status;
+    sweep.completedAt = Date.now();
+    this.onUpdate(sweep, 'status');
+  }
+
+  get(id) {
+    return this.sweeps.get(id);
+  }
+
+  list() {
+    return Array.from(this.sweeps.values());
+  }
+
+  // One row per point: the swept values, how many runs produced an analysis, and the mean and
+  // standard deviation over repetitions of every metric. Metrics default to all numeric
+  // analysis values outside lists.
+  buildTable(sweep) {
+    const leavesByPoint = sweep.points.map(point =>
+      point.runs.filter(run => run.analysis).map(run => flatten(run.analysis))
+    );
+
+    let metrics = sweep.metrics;
+    if (!metrics) {
+      const found = new Set();
+      leavesByPoint.flat().forEach(leaves => Object.entries(leaves).forEach(([path, value]) => {
+        if (typeof value === 'number' && !path.includes('[')) found.add(path);
+      }));
+      metrics = Array.from(found);
+    }
+
+    const columns = [...sweep.axes, 'runs', 'analyzed'];
+    metrics.forEach(metric => columns.push(`${metric}.mean`, `${metric}.std`));
+
+    const rows = sweep.points.map((point, index) => {
+      const row = { ...point.parameters, runs: point.runs.length, analyzed: leavesByPoint[index].length };
+      metrics.forEach(metric => {
+        const values = leavesByPoint[index]
+          .map(leaves => leaves[metric])
+          .filter(value => typeof value === 'number' && Number.isFinite(value));
+        const mean = values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+        row[`${metric}.mean`] = mean;
+        row[`${metric}.std`] = values.length > 0
+          ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length)
+          : null;
+      });
+      return row;
+    });
+
+    return { columns: columns, rows: rows };
+  }
+
+  toCsv({ columns, rows }) {
+    const cell = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.map(cell).join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\n') + '\n';
+  }
+
+  // JSON view; points and their runs are only included when includeRuns is set
+  describe(sweep, includeRuns = false) {
+    const description = {
+      id: sweep.id,
+      template: sweep.template,
+      sampling: sweep.sampling,
+      seed: sweep.seed,
+      repetitions: sweep.repetitions,
+      axes: sweep.axes,
+      status: sweep.status,
+      total: sweep.total,
+      finished: sweep.finished,
+      progress: sweep.total > 0 ? sweep.finished / sweep.total : 1,
+      createdAt: sweep.createdAt,
+      completedAt: sweep.completedAt
+    };
+
+    if (includeRuns) {
+      description.points = sweep.points.map(point => ({
+        index: point.index,
+        parameters: point.parameters,
+        runs: point.runs.map(({ analysis, ...run }) => run)
+      }));
+    }
+    return description;
+  }
+}
+
+module.exports = {
+  ExperimentSweepRunner,
+  SAMPLING_METHODS,
+  MAX_SWEEP_RUNS
+};
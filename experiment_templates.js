@@ -0,0 +1,200 @@
+// Experiment Templates from Disk
+// This file implements loading user-defined experiment templates from JS modules in a
+// directory: each module is validated when it loads, registered with the experiment
+// framework under its file name, and reloaded or removed when the file changes
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+const RELOAD_DELAY = 100;
+
+class ExperimentTemplateLoader {
+  // onChange() is called after any template was added, replaced or removed
+  constructor(framework, directory, { onChange = () => {} } = {}) {
+    this.framework = framework;
+    this.directory = directory;
+    this.onChange = onChange;
+
+    this.loaded = new Map(); // file -> template type
+    this.errors = new Map(); // file -> messages
+    this.timers = new Map();
+    this.watcher = null;
+  }
+
+  loadAll() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.directory).filter(file => file.endsWith('.js')).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    files.forEach(file => this.load(file));
+    return this.list();
+  }
+
+  // Load (or reload) one file. A file that fails validation leaves any previously loaded
+  // version of it registered, so a half-saved edit does not remove a working template.
+  load(file) {
+    const type = path.basename(file, '.js');
+    const fullPath = path.join(this.directory, file);
+
+    if (!TEMPLATE_NAME_PATTERN.test(type)) {
+      return this.fail(file, [`file name must match ${TEMPLATE_NAME_PATTERN} (it becomes the template type)`]);
+    }
+
+    let definition;
+    try {
+      delete require.cache[require.resolve(fullPath)];
+      definition = require(fullPath);
+    } catch (error) {
+      return this.fail(file, [`could not be loaded: ${error.message}`]);
+    }
+
+    const errors = this.validate(definition);
+    if (errors.length > 0) {
+      return this.fail(file, errors);
+    }
+
+    try {
+      this.framework.registerTemplate(type, {
+        name: definition.name || type,
+        description: definition.description || '',
+        parameters: definition.parameters,
+        setup: definition.setup,
+        run: definition.run,
+        analyze: definition.analyze,
+        source: file
+      });
+    } catch (error) {
+      return this.fail(file, [error.message]);
+    }
+
+    this.loaded.set(file, type);
+    this.errors.delete(file);
+    console.log(`🧪 Loaded experiment template ${type} from ${file}`);
+    return true;
+  }
+
+  fail(file, errors) {
+    this.errors.set(file, errors);
+    console.error(`Experiment template ${file} rejected: ${errors.join('; ')}`);
+    return false;
+  }
+
+  unload(file) {
+    const type = this.loaded.get(file);
+    this.loaded.delete(file);
+    this.errors.delete(file);
+    if (type) {
+      this.framework.unregisterTemplate(type);
+      console.log(`🧪 Removed experiment template ${type}`);
+    }
+  }
+
+  // Parameter definitions follow the built-in templates: numeric { min, max, default,
+  // type?: 'integer' } or { options, default } with options all strings or all numbers, where
+  // an array default makes the parameter a list of such values
+  validate(definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object') {
+      return ['module must export an object'];
+    }
+
+    ['setup', 'run', 'analyze'].forEach(name => {
+      if (typeof definition[name] !== 'function') errors.push(`${name} must be a function`);
+    });
+    ['name', 'description'].forEach(name => {
+      if (definition[name] !== undefined && typeof definition[name] !== 'string') errors.push(`${name} must be a string`);
+    });
+
+    const parameters = definition.parameters;
+    if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+      errors.push('parameters must be an object of parameter definitions');
+      return errors;
+    }
+
+    Object.entries(parameters).forEach(([name, parameter]) => {
+      const field = `parameters.${name}`;
+      if (!parameter || typeof parameter !== 'object') {
+        errors.push(`${field} must be an object`);
+        return;
+      }
+
+      const defaults = Array.isArray(parameter.default) ? parameter.default : [parameter.default];
+      if (defaults.length === 0) {
+        errors.push(`${field}.default must not be an empty list`);
+      }
+
+      if (parameter.options !== undefined) {
+        const kind = Array.isArray(parameter.options) && parameter.options.length > 0 &&
+          (parameter.options.every(option => typeof option === 'string') ||
+            parameter.options.every(option => Number.isFinite(option)));
+        if (!kind) {
+          errors.push(`${field}.options must be a non-empty list of strings or of finite numbers`);
+        } else if (!defaults.every(value => parameter.options.includes(value))) {
+          errors.push(`${field}.default must be one of ${parameter.options.join(', ')}`);
+        }
+        return;
+      }
+
+      if (parameter.type !== undefined && parameter.type !== 'integer' && parameter.type !== 'number') {
+        errors.push(`${field}.type must be integer or number`);
+      }
+      if (!Number.isFinite(parameter.min) || !Number.isFinite(parameter.max) || parameter.min > parameter.max) {
+        errors.push(`${field} must have finite min and max with min <= max, or options`);
+      } else if (!defaults.every(value => typeof value === 'number' && value >= parameter.min && value <= parameter.max &&
+        (parameter.type !== 'integer' || Number.isInteger(value)))) {
+        errors.push(`${field}.default must be ${parameter.type === 'integer' ? 'an integer' : 'a number'} between ${parameter.min} and ${parameter.max}`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Reload files as they change; editors often emit several events per save, so each file
+  // is reloaded once things have been quiet for a moment
+  watch() {
+    if (this.watcher) return;
+    try {
+      this.watcher = fs.watch(this.directory, (eventType, file) => {
+        if (!file || !file.endsWith('.js')) return;
+        clearTimeout(this.timers.get(file));
+        this.timers.set(file, setTimeout(() => {
+          this.timers.delete(file);
+          this.reload(file);
+        }, RELOAD_DELAY));
+      });
+    } catch (error) {
+      console.error(`Cannot watch experiment templates in ${this.directory}: ${error.message}`);
+    }
+  }
+
+  reload(file) {
+    if (fs.existsSync(path.join(this.directory, file))) {
+      this.load(file);
+    } else {
+      this.unload(file);
+    }
+    this.onChange();
+  }
+
+  close() {
+    if (this.watcher) this.watcher.close();
+    this.watcher = null;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  list() {
+    return {
+      loaded: Array.from(this.loaded.entries()).map(([file, type]) => ({ file: file, type: type })),
+      errors: Array.from(this.errors.entries()).map(([file, errors]) => ({ file: file, errors: errors }))
+    };
+  }
+}
+
+module.exports = {
+  ExperimentTemplateLoader,
+  TEMPLATE_NAME_PATTERN
+};
@@ -0,0 +1,70 @@
+// Radioactive Decay Experiment Template
+// This file is an example of a user-defined experiment template: every .js file in this
+// directory is loaded as a template named after the file, and reloaded when it changes.
+// setup(parameters, context) and run(setup, context) receive context.random, the
+// experiment's seeded generator; run may be a generator yielding { progress, data }.
+
+module.exports = {
+  name: 'Radioactive Decay',
+  description: 'Count undecayed nuclei over time and fit the half-life',
+  parameters: {
+    nuclei: { type: 'integer', min: 10, max: 100000, default: 1000 },
+    halfLife: { min: 0.1, max: 100, default: 5 },
+    duration: { min: 1, max: 500, default: 25 },
+    timeStep: { min: 0.01, max: 10, default: 0.5 }
+  },
+
+  setup(parameters) {
+    return {
+      parameters: parameters,
+      decayProbability: 1 - Math.pow(2, -parameters.timeStep / parameters.halfLife)
+    };
+  },
+
+  *run(setup, context) {
+    const { nuclei, duration, timeStep } = setup.parameters;
+    const steps = Math.ceil(duration / timeStep);
+    const counts = [{ time: 0, remaining: nuclei }];
+    let remaining = nuclei;
+
+    for (let step = 1; step <= steps; step++) {
+      let decayed = 0;
+      for (let i = 0; i < remaining; i++) {
+        if (context.random.next() < setup.decayProbability) decayed++;
+      }
+      remaining -= decayed;
+      counts.push({ time: step * timeStep, remaining: remaining });
+      yield { progress: step / steps, data: { time: step * timeStep, remaining: remaining } };
+    }
+
+    return { counts: counts, initial: nuclei };
+  },
+
+  // Least-squares fit of ln(N) against t gives the decay constant; it needs two time points
+  // with nuclei left
+  analyze(data) {
+    const remainingFraction = data.counts[data.counts.length - 1].remaining / data.initial;
+    const points = data.counts.filter(point => point.remaining > 0);
+    const n = points.length;
+    if (n < 2) {
+      return {
+        error: 'Not enough data to fit the half-life',
+        decayConstant: null,
+        fittedHalfLife: null,
+        remainingFraction: remainingFraction
+      };
+    }
+
+    const meanT = points.reduce((sum, p) => sum + p.time, 0) / n;
+    const meanLog = points.reduce((sum, p) => sum + Math.log(p.remaining), 0) / n;
+    const slope = points.reduce((sum, p) => sum + (p.time - meanT) * (Math.log(p.remaining) - meanLog), 0) /
+      points.reduce((sum, p) => sum + (p.time - meanT) ** 2, 0);
+    const decayConstant = -slope;
+
+    return {
+      decayConstant: decayConstant,
+      fittedHalfLife: decayConstant > 0 ? Math.LN2 / decayConstant : null,
+      remainingFraction: remainingFraction
+    };
+  }
+};
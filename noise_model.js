@@ -0,0 +1,207 @@
+// Noise Channels and Noise Models
+// This file implements the standard single-qubit noise channels as Kraus operators and a
+// noise model saying which channels follow which gates, which act on particular qubits and
+// how often each qubit's measurement is misread. Channels are applied exactly by the
+// density-matrix backend, so the only randomness left is in measurement; the stabilizer
+// backend instead samples the Pauli errors of the Pauli channels.
+
+const CHANNEL_TYPES = ['depolarizing', 'amplitude_damping', 'phase_damping', 'bit_flip', 'phase_flip'];
+
+// Rule key that matches every gate
+const ANY_GATE = '*';
+
+// Kraus operators with [re, im] entries. Depolarizing with probability p maps ρ to
+// (1 - p) ρ + p I/2; amplitude damping relaxes |1⟩ to |0⟩ with probability γ; phase damping
+// shrinks coherences by √(1 - λ) without exchanging energy.
+function krausOperators(type, probability) {
+  const p = probability;
+  const scaled = (matrix, factor) => matrix.map(row => row.map(value => [value[0] * factor, value[1] * factor]));
+  const I = [[[1, 0], [0, 0]], [[0, 0], [1, 0]]];
+  const X = [[[0, 0], [1, 0]], [[1, 0], [0, 0]]];
+  const Y = [[[0, 0], [0, -1]], [[0, 1], [0, 0]]];
+  const Z = [[[1, 0], [0, 0]], [[0, 0], [-1, 0]]];
+
+  switch (type) {
+    case 'depolarizing':
+      return [
+        scaled(I, Math.sqrt(1 - 3 * p / 4)),
+        scaled(X, Math.sqrt(p / 4)),
+        scaled(Y, Math.sqrt(p / 4)),
+        scaled(Z, Math.sqrt(p / 4))
+      ];
+    case 'amplitude_damping':
+      return [
+        [[[1, 0], [0, 0]], [[0, 0], [Math.sqrt(1 - p), 0]]],
+        [[[0, 0], [Math.sqrt(p), 0]], [[0, 0], [0, 0]]]
+      ];
+    case 'phase_damping':
+      return [
+        [[[1, 0], [0, 0]], [[0, 0], [Math.sqrt(1 - p), 0]]],
+        [[[0, 0], [0, 0]], [[0, 0], [Math.sqrt(p), 0]]]
+      ];
+    case 'bit_flip':
+      return [scaled(I, Math.sqrt(1 - p)), scaled(X, Math.sqrt(p))];
+    case 'phase_flip':
+      return [scaled(I, Math.sqrt(1 - p)), scaled(Z, Math.sqrt(p))];
+    default:
+      throw new Error(`Unknown noise channel: ${type}`);
+  }
+}
+
+function checkProbability(value, name) {
+  if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+    throw new Error(`${name} must be a probability between 0 and 1`);
+  }
+}
+
+// { type, probability } with its Kraus operators
+function createChannel(type, probability) {
+  if (!CHANNEL_TYPES.includes(type)) {
+    throw new Error(`channel type must be one of ${CHANNEL_TYPES.join(', ')}`);
+  }
+  checkProbability(probability, `${type} probability`);
+  return { type: type, probability: probability, kraus: krausOperators(type, probability) };
+}
+
+// Superoperator Σ K ⊗ K* of a channel: a 4 × 4 matrix on (row bit, column bit) of ρ
+function channelSuperoperator(channel) {
+  const superoperator = Array.from({length: 4}, () => Array.from({length: 4}, () => [0, 0]));
+  for (const k of channel.kraus) {
+    for (let a = 0; a < 2; a++) {
+      for (let b = 0; b < 2; b++) {
+        for (let c = 0; c < 2; c++) {
+          for (let d = 0; d < 2; d++) {
+            // K[a][c] · conj(K[b][d])
+            const [xRe, xIm] = k[a][c];
+            const [yRe, yIm] = k[b][d];
+            const entry = superoperator[2 * a + b][2 * c + d];
+            entry[0] += xRe * yRe + xIm * yIm;
+            entry[1] += xIm * yRe - xRe * yIm;
+          }
+        }
+      }
+    }
+  }
+  return superoperator;
+}
+
+// Probabilities { x, y, z } of the Pauli errors a channel applies, or null when it is not a
+// Pauli channel (amplitude damping). Phase damping shrinks coherences by √(1 - λ), the same
+// as a phase flip with probability (1 - √(1 - λ)) / 2.
+function pauliProbabilities(channel) {
+  const p = channel.probability;
+  switch (channel.type) {
+    case 'depolarizing':
+      return { x: p / 4, y: p / 4, z: p / 4 };
+    case 'bit_flip':
+      return { x: p, y: 0, z: 0 };
+    case 'phase_flip':
+      return { x: 0, y: 0, z: p };
+    case 'phase_damping':
+      return { x: 0, y: 0, z: (1 - Math.sqrt(1 - p)) / 2 };
+    default:
+      return p === 0 ? { x: 0, y: 0, z: 0 } : null;
+  }
+}
+
+// Which channels act where. A config object may list them up front:
+// {
+//   gates: { H: [{ type: 'depolarizing', probability: 0.001 }], '*': [...] },
+//   qubits: { 0: [{ type: 'amplitude_damping', probability: 0.01 }] },
+//   readout: { probability: 0.02 } or { 0: { p0to1: 0.01, p1to0: 0.03 } }
+// }
+class NoiseModel {
+  constructor(config = {}) {
+    this.gateNoise = new Map();
+    this.qubitNoise = new Map();
+    this.readoutErrors = new Map();
+    this.defaultReadoutError = null;
+
+    Object.entries(config.gates || {}).forEach(([gateName, channels]) => {
+      channels.forEach(channel => this.addGateNoise(gateName, channel));
+    });
+    Object.entries(config.qubits || {}).forEach(([qubit, channels]) => {
+      channels.forEach(channel => this.addQubitNoise(Number(qubit), channel));
+    });
+
+    const readout = config.readout || {};
+    if (readout.probability !== undefined || readout.p0to1 !== undefined || readout.p1to0 !== undefined) {
+      this.setReadoutError(readout);
+    } else {
+      Object.entries(readout).forEach(([qubit, error]) => this.setReadoutError(error, Number(qubit)));
+    }
+  }
+
+  static toChannel(channel) {
+    return channel.kraus ? channel : createChannel(channel.type, channel.probability);
+  }
+
+  // After every gate with this name (or any gate, for '*'), on each qubit it acts on
+  addGateNoise(gateName, channel) {
+    if (!this.gateNoise.has(gateName)) this.gateNoise.set(gateName, []);
+    this.gateNoise.get(gateName).push(NoiseModel.toChannel(channel));
+    return this;
+  }
+
+  // After every gate that acts on this qubit
+  addQubitNoise(qubit, channel) {
+    if (!Number.isInteger(qubit) || qubit < 0) {
+      throw new Error('qubit must be a non-negative integer');
+    }
+    if (!this.qubitNoise.has(qubit)) this.qubitNoise.set(qubit, []);
+    this.qubitNoise.get(qubit).push(NoiseModel.toChannel(channel));
+    return this;
+  }
+
+  // A probability flips either outcome; p0to1 / p1to0 set each direction. Without a qubit
+  // it applies to every qubit that has no error of its own.
+  setReadoutError(error, qubit = null) {
+    const symmetric = typeof error === 'number' ? error : error.probability;
+    const readout = {
+      p0to1: error.p0to1 !== undefined ? error.p0to1 : symmetric,
+      p1to0: error.p1to0 !== undefined ? error.p1to0 : symmetric
+    };
+    checkProbability(readout.p0to1, 'p0to1');
+    checkProbability(readout.p1to0, 'p1to0');
+
+    if (qubit === null) {
+      this.defaultReadoutError = readout;
+    } else {
+      this.readoutErrors.set(qubit, readout);
+    }
+    return this;
+  }
+
+  // [{ channel, qubit }] to apply after one circuit gate entry
+  channelsAfter(gateInfo) {
+    const qubits = [...gateInfo.controlQubits, ...gateInfo.targetQubits];
+    const gateChannels = [
+      ...(this.gateNoise.get(gateInfo.gate.name) || []),
+      ...(this.gateNoise.get(ANY_GATE) || [])
+    ];
+    const applied = [];
+    for (const qubit of qubits) {
+      gateChannels.forEach(channel => applied.push({ channel: channel, qubit: qubit }));
+      (this.qubitNoise.get(qubit) || []).forEach(channel => applied.push({ channel: channel, qubit: qubit }));
+    }
+    return applied;
+  }
+
+  // The bit recorded for a measurement whose true outcome was `outcome`
+  readout(qubit, outcome, random) {
+    const error = this.readoutErrors.get(qubit) || this.defaultReadoutError;
+    if (!error) return outcome;
+    const flip = outcome === 0 ? error.p0to1 : error.p1to0;
+    return random.next() < flip ? 1 - outcome : outcome;
+  }
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  ANY_GATE,
+  NoiseModel,
+  createChannel,
+  krausOperators,
+  channelSuperoperator,
+  pauliProbabilities
+};
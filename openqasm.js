@@ -0,0 +1,941 @@
+// OpenQASM Import and Export
+// This file implements a parser that turns OpenQASM 2.0 programs (and the common subset of
+// OpenQASM 3) into QuantumCircuit gate lists built from the simulator's gate classes, and an
+// exporter that writes a QuantumCircuit back out as OpenQASM 2.0 or 3. Registers are
+// flattened into one qubit index space in declaration order.
+
+const {
+  QuantumCircuit,
+  QuantumGate,
+  HadamardGate,
+  PauliXGate,
+  PauliYGate,
+  PauliZGate,
+  PhaseGate,
+  TGate,
+  CNOTGate,
+  SWAPGate,
+  CZGate,
+  CHGate,
+  CCNOTGate,
+  CSWAPGate,
+  RotationGate,
+  PhaseShiftGate,
+  MAX_STABILIZER_QUBITS
+} = require('./quantum_computing_simulator');
+
+const QASM_VERSIONS = [2, 3];
+const STANDARD_LIBRARIES = ['qelib1.inc', 'stdgates.inc'];
+// Gates OpenQASM 2.0 defines without qelib1.inc
+const CORE_GATES_V2 = ['U', 'CX'];
+// Gate applications (and measurements and resets) allowed after expanding user-defined gates,
+// which can nest exponentially
+const MAX_GATE_APPLICATIONS = 100000;
+// Qubits, and separately classical bits, a program may declare: no backend runs more qubits
+// than the stabilizer backend
+const MAX_REGISTER_BITS = MAX_STABILIZER_QUBITS;
+
+class QasmError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'QasmError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// U(θ, φ, λ) = Rz(φ) Ry(θ) Rz(λ) up to a global phase; `gamma` adds the phase e^{iγ}
+function uGate(theta, phi, lambda, gamma = 0) {
+  const c = Math.cos(theta / 2);
+  const s = Math.sin(theta / 2);
+  const phase = (angle, scale) => [scale * Math.cos(angle + gamma), scale * Math.sin(angle + gamma)];
+  const gate = new QuantumGate('U', [
+    [phase(0, c), phase(lambda, -s)],
+    [phase(phi, s), phase(phi + lambda, c)]
+  ]);
+  gate.parameters = gamma === 0 ? [theta, phi, lambda] : [theta, phi, lambda, gamma];
+  return gate;
+}
+
+function sxGate(inverse) {
+  const sign = inverse ? -1 : 1;
+  return new QuantumGate(inverse ? 'SXdg' : 'SX', [
+    [[0.5, sign * 0.5], [0.5, -sign * 0.5]],
+    [[0.5, -sign * 0.5], [0.5, sign * 0.5]]
+  ]);
+}
+
+// Built-in and standard-library gates: parameter count, qubit count, how many of the
+// leading qubits are controls, and the gate to add (null for the identity)
+const BUILTIN_GATES = {
+  U: { params: 3, qubits: 1, build: ([t, p, l]) => uGate(t, p, l) },
+  CX: { params: 0, qubits: 2, build: () => new CNOTGate() },
+  u3: { params: 3, qubits: 1, build: ([t, p, l]) => uGate(t, p, l) },
+  u: { params: 3, qubits: 1, build: ([t, p, l]) => uGate(t, p, l) },
+  u2: { params: 2, qubits: 1, build: ([p, l]) => uGate(Math.PI / 2, p, l) },
+  u1: { params: 1, qubits: 1, build: ([l]) => new PhaseShiftGate(l) },
+  p: { params: 1, qubits: 1, build: ([l]) => new PhaseShiftGate(l) },
+  phase: { params: 1, qubits: 1, build: ([l]) => new PhaseShiftGate(l) },
+  id: { params: 0, qubits: 1, build: () => null },
+  u0: { params: 1, qubits: 1, build: () => null },
+  x: { params: 0, qubits: 1, build: () => new PauliXGate() },
+  y: { params: 0, qubits: 1, build: () => new PauliYGate() },
+  z: { params: 0, qubits: 1, build: () => new PauliZGate() },
+  h: { params: 0, qubits: 1, build: () => new HadamardGate() },
+  s: { params: 0, qubits: 1, build: () => new PhaseGate() },
+  sdg: { params: 0, qubits: 1, build: () => new PhaseShiftGate(-Math.PI / 2) },
+  t: { params: 0, qubits: 1, build: () => new TGate() },
+  tdg: { params: 0, qubits: 1, build: () => new PhaseShiftGate(-Math.PI / 4) },
+  sx: { params: 0, qubits: 1, build: () => sxGate(false) },
+  sxdg: { params: 0, qubits: 1, build: () => sxGate(true) },
+  rx: { params: 1, qubits: 1, build: ([a]) => new RotationGate('x', a) },
+  ry: { params: 1, qubits: 1, build: ([a]) => new RotationGate('y', a) },
+  rz: { params: 1, qubits: 1, build: ([a]) => new RotationGate('z', a) },
+  cx: { params: 0, qubits: 2, build: () => new CNOTGate() },
+  cy: { params: 0, qubits: 2, controls: 1, build: () => new PauliYGate() },
+  cz: { params: 0, qubits: 2, build: () => new CZGate() },
+  ch: { params: 0, qubits: 2, build: () => new CHGate() },
+  csx: { params: 0, qubits: 2, controls: 1, build: () => sxGate(false) },
+  swap: { params: 0, qubits: 2, build: () => new SWAPGate() },
+  crx: { params: 1, qubits: 2, controls: 1, build: ([a]) => new RotationGate('x', a) },
+  cry: { params: 1, qubits: 2, controls: 1, build: ([a]) => new RotationGate('y', a) },
+  crz: { params: 1, qubits: 2, controls: 1, build: ([a]) => new RotationGate('z', a) },
+  cp: { params: 1, qubits: 2, controls: 1, build: ([l]) => new PhaseShiftGate(l) },
+  cu1: { params: 1, qubits: 2, controls: 1, build: ([l]) => new PhaseShiftGate(l) },
+  cphase: { params: 1, qubits: 2, controls: 1, build: ([l]) => new PhaseShiftGate(l) },
+  cu3: { params: 3, qubits: 2, controls: 1, build: ([t, p, l]) => uGate(t, p, l) },
+  cu: { params: 4, qubits: 2, controls: 1, build: ([t, p, l, g]) => uGate(t, p, l, g) },
+  ccx: { params: 0, qubits: 3, build: () => new CCNOTGate() },
+  cswap: { params: 0, qubits: 3, build: () => new CSWAPGate() }
+};
+
+const CONSTANTS = { pi: Math.PI, 'π': Math.PI, tau: 2 * Math.PI, 'τ': 2 * Math.PI, euler: Math.E, 'ℇ': Math.E };
+
+const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  arcsin: Math.asin,
+  arccos: Math.acos,
+  arctan: Math.atan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  exp: Math.exp,
+  ln: Math.log,
+  sqrt: Math.sqrt
+};
+
+// Statements the parser recognises but the simulator cannot run
+const UNSUPPORTED_KEYWORDS = [
+  'opaque', 'if', 'else', 'for', 'while', 'def', 'defcal', 'cal', 'defcalgrammar', 'box', 'delay',
+  'input', 'output', 'const', 'let', 'int', 'uint', 'float', 'angle', 'bool', 'complex', 'duration',
+  'stretch', 'array', 'gphase', 'return', 'break', 'continue', 'end', 'extern', 'pragma'
+];
+
+const SYMBOLS = ['->', '**', '==', '[', ']', '(', ')', '{', '}', ';', ',', '+', '-', '*', '/', '^', '@', '=', ':'];
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = (count) => {
+    for (let i = 0; i < count; i++) {
+      if (source[index] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      index++;
+    }
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    const rest = source.slice(index, index + 2);
+
+    if (/\s/.test(char)) {
+      advance(1);
+    } else if (rest === '//') {
+      while (index < source.length && source[index] !== '\n') advance(1);
+    } else if (rest === '/*') {
+      const end = source.indexOf('*/', index + 2);
+      if (end === -1) throw new QasmError('Unterminated comment', line, column);
+      advance(end + 2 - index);
+    } else if (/[0-9.]/.test(char)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(index));
+      if (!match) throw new QasmError(`Unexpected character '${char}'`, line, column);
+      tokens.push({ type: 'number', value: Number(match[0]), text: match[0], line, column });
+      advance(match[0].length);
+    } else if (/[A-Za-z_πτℇ]/.test(char)) {
+      const match = /^[A-Za-z_πτℇ][A-Za-z0-9_]*/.exec(source.slice(index));
+      tokens.push({ type: 'identifier', value: match[0], text: match[0], line, column });
+      advance(match[0].length);
+    } else if (char === '"') {
+      const end = source.indexOf('"', index + 1);
+      if (end === -1) throw new QasmError('Unterminated string', line, column);
+      tokens.push({ type: 'string', value: source.slice(index + 1, end), text: source.slice(index, end + 1), line, column });
+      advance(end + 1 - index);
+    } else {
+      const symbol = SYMBOLS.find(candidate => source.startsWith(candidate, index));
+      if (!symbol) throw new QasmError(`Unexpected character '${char}'`, line, column);
+      tokens.push({ type: 'symbol', value: symbol, text: symbol, line, column });
+      advance(symbol.length);
+    }
+  }
+
+  tokens.push({ type: 'eof', value: null, text: 'end of input', line, column });
+  return tokens;
+}
+
+class QasmParser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.position = 0;
+    this.version = 3;
+    this.libraryIncluded = false;
+    this.quantumRegisters = new Map();
+    this.classicalRegisters = new Map();
+    this.numQubits = 0;
+    this.numClbits = 0;
+    this.gateDefinitions = new Map();
+    this.gateApplications = 0;
+    // Gates and measurements in program order, replayed into the circuit once its size is known
+    this.instructions = [];
+  }
+
+  parse() {
+    this.parseHeader();
+    while (this.peek().type !== 'eof') {
+      this.parseStatement();
+    }
+
+    const circuit = new QuantumCircuit(this.numQubits);
+    for (const instruction of this.instructions) {
+      if (instruction.type === 'gate') {
+        circuit.addGate(instruction.gate, instruction.targetQubits, instruction.controlQubits);
+      } else if (instruction.type === 'measure') {
+        circuit.addMeasurement(instruction.qubit, instruction.clbit);
+      } else {
+        circuit.addReset(instruction.qubit);
+      }
+    }
+    circuit.numClbits = Math.max(circuit.numClbits, this.numClbits);
+    return circuit;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.position++;
+    return token;
+  }
+
+  error(message, token = this.peek()) {
+    return new QasmError(message, token.line, token.column);
+  }
+
+  accept(value) {
+    if (this.peek().value === value && this.peek().type !== 'string') {
+      return this.next();
+    }
+    return null;
+  }
+
+  expect(value) {
+    const token = this.accept(value);
+    if (!token) throw this.error(`Expected '${value}' but found '${this.peek().text}'`);
+    return token;
+  }
+
+  expectIdentifier() {
+    const token = this.next();
+    if (token.type !== 'identifier') throw this.error(`Expected a name but found '${token.text}'`, token);
+    return token;
+  }
+
+  expectInteger() {
+    const token = this.next();
+    if (token.type !== 'number' || !Number.isInteger(token.value)) {
+      throw this.error(`Expected a non-negative integer but found '${token.text}'`, token);
+    }
+    return token;
+  }
+
+  parseHeader() {
+    if (!this.accept('OPENQASM')) return;
+    const token = this.next();
+    const version = Math.floor(token.type === 'number' ? token.value : NaN);
+    if (!QASM_VERSIONS.includes(version)) {
+      throw this.error(`Unsupported OpenQASM version '${token.text}'`, token);
+    }
+    this.version = version;
+    this.expect(';');
+  }
+
+  parseStatement() {
+    const token = this.peek();
+    if (token.type !== 'identifier') {
+      throw this.error(`Unexpected '${token.text}'`);
+    }
+
+    switch (token.value) {
+      case 'OPENQASM':
+        throw this.error('OPENQASM must be the first statement');
+      case 'include':
+        return this.parseInclude();
+      case 'qreg':
+      case 'creg':
+        return this.parseRegisterV2();
+      case 'qubit':
+      case 'bit':
+        return this.parseRegisterV3();
+      case 'gate':
+        return this.parseGateDefinition();
+      case 'measure':
+        return this.parseMeasureArrow();
+      case 'reset':
+        return this.parseReset();
+      case 'barrier':
+        this.next();
+        this.parseArgumentList().forEach(argument => this.resolveQubits(argument));
+        this.expect(';');
+        return;
+      default:
+        break;
+    }
+
+    if (UNSUPPORTED_KEYWORDS.includes(token.value)) {
+      throw this.error(`Unsupported instruction '${token.value}'`);
+    }
+    if (this.classicalRegisters.has(token.value)) {
+      return this.parseMeasureAssignment();
+    }
+
+    const call = this.parseGateCall(null);
+    this.expandCall(call, new Map(), null);
+  }
+
+  parseInclude() {
+    this.next();
+    const file = this.next();
+    if (file.type !== 'string') throw this.error(`Expected a file name but found '${file.text}'`, file);
+    if (!STANDARD_LIBRARIES.includes(file.value)) {
+      throw this.error(`Cannot include '${file.value}': only ${STANDARD_LIBRARIES.join(' and ')} are available`, file);
+    }
+    this.libraryIncluded = true;
+    this.expect(';');
+  }
+
+  // qreg q[5];  creg c[5];
+  parseRegisterV2() {
+    const kind = this.next().value === 'qreg' ? 'quantum' : 'classical';
+    const name = this.expectIdentifier();
+    this.expect('[');
+    const size = this.expectInteger();
+    this.expect(']');
+    this.expect(';');
+    this.declareRegister(kind, name, size.value);
+  }
+
+  // qubit[5] q;  bit c;
+  parseRegisterV3() {
+    const kind = this.next().value === 'qubit' ? 'quantum' : 'classical';
+    let size = 1;
+    if (this.accept('[')) {
+      size = this.expectInteger().value;
+      this.expect(']');
+    }
+    const name = this.expectIdentifier();
+    this.expect(';');
+    this.declareRegister(kind, name, size);
+  }
+
+  declareRegister(kind, nameToken, size) {
+    const name = nameToken.value;
+    if (this.quantumRegisters.has(name) || this.classicalRegisters.has(name)) {
+      throw this.error(`Register '${name}' is already declared`, nameToken);
+    }
+    if (size < 1) throw this.error(`Register '${name}' must have at least one bit`, nameToken);
+    const declared = kind === 'quantum' ? this.numQubits : this.numClbits;
+    if (declared + size > MAX_REGISTER_BITS) {
+      throw this.error(`Programs can declare at most ${MAX_REGISTER_BITS} ${kind === 'quantum' ? 'qubits' : 'classical bits'}`, nameToken);
+    }
+
+    if (kind === 'quantum') {
+      this.quantumRegisters.set(name, { offset: this.numQubits, size: size });
+      this.numQubits += size;
+    } else {
+      this.classicalRegisters.set(name, { offset: this.numClbits, size: size });
+      this.numClbits += size;
+    }
+  }
+
+  // gate name(a, b) q0, q1 { ... }
+  parseGateDefinition() {
+    this.next();
+    const nameToken = this.expectIdentifier();
+    const name = nameToken.value;
+    if (this.gateDefinitions.has(name) || (BUILTIN_GATES[name] && (this.libraryIncluded || name === 'U' || name === 'CX'))) {
+      throw this.error(`Gate '${name}' is already defined`, nameToken);
+    }
+
+    const params = [];
+    if (this.accept('(')) {
+      if (!this.accept(')')) {
+        do {
+          params.push(this.expectIdentifier().value);
+        } while (this.accept(','));
+        this.expect(')');
+      }
+    }
+
+    const qubits = [];
+    do {
+      qubits.push(this.expectIdentifier().value);
+    } while (this.accept(','));
+    if (new Set(qubits).size !== qubits.length) {
+      throw this.error(`Gate '${name}' lists a qubit argument twice`, nameToken);
+    }
+
+    const scope = { params: new Set(params), qubits: new Set(qubits) };
+    const body = [];
+    this.expect('{');
+    while (!this.accept('}')) {
+      if (this.peek().type === 'eof') throw this.error(`Unterminated definition of gate '${name}'`);
+      if (this.accept('barrier')) {
+        this.parseArgumentList().forEach(argument => this.resolveFormal(argument, scope));
+        this.expect(';');
+        continue;
+      }
+      if (UNSUPPORTED_KEYWORDS.includes(this.peek().value) || this.peek().value === 'measure' || this.peek().value === 'reset') {
+        throw this.error(`Unsupported instruction '${this.peek().text}' in gate '${name}'`);
+      }
+      body.push(this.parseGateCall(scope));
+    }
+
+    this.gateDefinitions.set(name, { params: params, qubits: qubits, body: body });
+  }
+
+  // [ctrl @ | ctrl(n) @ | inv @]* name(params) args ;
+  parseGateCall(scope) {
+    const modifiers = { controls: 0, inverse: false };
+    while (['ctrl', 'inv', 'negctrl', 'pow'].includes(this.peek().value) && this.peek(1).value !== '[') {
+      const modifier = this.next();
+      if (modifier.value === 'negctrl' || modifier.value === 'pow') {
+        throw this.error(`Unsupported gate modifier '${modifier.value}'`, modifier);
+      }
+      if (modifier.value === 'ctrl') {
+        let count = 1;
+        if (this.accept('(')) {
+          count = this.expectInteger().value;
+          this.expect(')');
+          if (count < 1) throw this.error('ctrl needs at least one control qubit', modifier);
+        }
+        modifiers.controls += count;
+      } else {
+        modifiers.inverse = !modifiers.inverse;
+      }
+      this.expect('@');
+    }
+
+    const nameToken = this.expectIdentifier();
+    const definition = this.gateDefinitions.get(nameToken.value) || BUILTIN_GATES[nameToken.value];
+    if (!definition) {
+      throw this.error(`Unsupported gate '${nameToken.value}'`, nameToken);
+    }
+    if (this.version === 2 && !this.libraryIncluded && !this.gateDefinitions.has(nameToken.value) &&
+      !CORE_GATES_V2.includes(nameToken.value)) {
+      throw this.error(`Gate '${nameToken.value}' needs include "qelib1.inc";`, nameToken);
+    }
+
+    const params = [];
+    if (this.accept('(')) {
+      if (!this.accept(')')) {
+        do {
+          params.push(this.parseParameter(scope));
+        } while (this.accept(','));
+        this.expect(')');
+      }
+    }
+    const paramCount = Array.isArray(definition.params) ? definition.params.length : definition.params;
+    if (params.length !== paramCount) {
+      throw this.error(`Gate '${nameToken.value}' takes ${paramCount} parameter(s) but was given ${params.length}`, nameToken);
+    }
+
+    const args = this.parseArgumentList();
+    const qubitCount = (Array.isArray(definition.qubits) ? definition.qubits.length : definition.qubits) + modifiers.controls;
+    if (args.length !== qubitCount) {
+      throw this.error(`Gate '${nameToken.value}' acts on ${qubitCount} qubit(s) but was given ${args.length}`, nameToken);
+    }
+    if (scope) args.forEach(argument => this.resolveFormal(argument, scope));
+    this.expect(';');
+
+    return { name: nameToken.value, token: nameToken, modifiers: modifiers, params: params, args: args };
+  }
+
+  // name or name[index]
+  parseArgument() {
+    const token = this.expectIdentifier();
+    let index = null;
+    if (this.accept('[')) {
+      index = this.expectInteger().value;
+      this.expect(']');
+    }
+    return { name: token.value, index: index, token: token };
+  }
+
+  parseArgumentList() {
+    const args = [this.parseArgument()];
+    while (this.accept(',')) args.push(this.parseArgument());
+    return args;
+  }
+
+  resolveFormal(argument, scope) {
+    if (argument.index !== null || !scope.qubits.has(argument.name)) {
+      throw this.error(`'${argument.token.text}' is not a qubit argument of this gate`, argument.token);
+    }
+    return argument.name;
+  }
+
+  resolveQubits(argument) {
+    return this.resolveRegister(argument, this.quantumRegisters, 'quantum');
+  }
+
+  resolveRegister(argument, registers, kind) {
+    const register = registers.get(argument.name);
+    if (!register) {
+      throw this.error(`Unknown ${kind} register '${argument.name}'`, argument.token);
+    }
+    if (argument.index === null) {
+      return Array.from({length: register.size}, (_, i) => register.offset + i);
+    }
+    if (argument.index >= register.size) {
+      throw this.error(`Index ${argument.index} is out of range for '${argument.name}' of size ${register.size}`, argument.token);
+    }
+    return [register.offset + argument.index];
+  }
+
+  // Whole registers in a statement are applied bit by bit; all must have the same size
+  broadcast(lists, token) {
+    const sizes = [...new Set(lists.filter(list => list.length > 1).map(list => list.length))];
+    if (sizes.length > 1) throw this.error('Registers in one statement must have the same size', token);
+    const count = sizes.length === 1 ? sizes[0] : 1;
+    return Array.from({length: count}, (_, i) => lists.map(list => (list.length === 1 ? list[0] : list[i])));
+  }
+
+  // Add a parsed call. At top level (bindings null) its arguments name registers; inside a
+  // gate body they name the definition's qubit arguments, bound in `bindings`.
+  expandCall(call, env, bindings, outer = { controls: [], inverse: false }) {
+    const params = call.params.map(param => param(env));
+    const tuples = bindings
+      ? [call.args.map(argument => bindings.get(argument.name))]
+      : this.broadcast(call.args.map(argument => this.resolveQubits(argument)), call.token);
+
+    for (const qubits of tuples) {
+      const all = [...outer.controls, ...qubits];
+      if (new Set(all).size !== all.length) {
+        throw this.error(`Gate '${call.name}' is applied to the same qubit twice`, call.token);
+      }
+      const controls = all.slice(0, outer.controls.length + call.modifiers.controls);
+      const operands = all.slice(controls.length);
+      this.emitGate(call, params, controls, operands, outer.inverse !== call.modifiers.inverse);
+    }
+  }
+
+  // Gates, measurements and resets all count toward MAX_GATE_APPLICATIONS
+  countApplications(count, token) {
+    this.gateApplications += count;
+    if (this.gateApplications > MAX_GATE_APPLICATIONS) {
+      throw this.error(`Program expands to more than ${MAX_GATE_APPLICATIONS} gate applications`, token);
+    }
+  }
+
+  emitGate(call, params, controls, operands, inverse) {
+    this.countApplications(1, call.token);
+    const definition = this.gateDefinitions.get(call.name);
+    if (definition) {
+      const env = new Map(definition.params.map((name, i) => [name, params[i]]));
+      const bindings = new Map(definition.qubits.map((name, i) => [name, operands[i]]));
+      const body = inverse ? [...definition.body].reverse() : definition.body;
+      for (const statement of body) {
+        this.expandCall(statement, env, bindings, { controls: controls, inverse: inverse });
+      }
+      return;
+    }
+
+    const builtin = BUILTIN_GATES[call.name];
+    let gate = builtin.build(params);
+    if (!gate) return;
+    if (inverse) gate = inverseGate(gate);
+    const implicitControls = builtin.controls || 0;
+    this.instructions.push({
+      type: 'gate',
+      gate: gate,
+      controlQubits: [...controls, ...operands.slice(0, implicitControls)],
+      targetQubits: operands.slice(implicitControls)
+    });
+  }
+
+  // measure q -> c;
+  parseMeasureArrow() {
+    const token = this.next();
+    const source = this.parseArgument();
+    this.expect('->');
+    const target = this.parseArgument();
+    this.expect(';');
+    this.addMeasurements(source, target, token);
+  }
+
+  // c = measure q;  c[0] = measure q[0];
+  parseMeasureAssignment() {
+    const target = this.parseArgument();
+    this.expect('=');
+    const token = this.peek();
+    if (!this.accept('measure')) {
+      throw this.error('Only measurement results can be assigned to classical bits', token);
+    }
+    const source = this.parseArgument();
+    this.expect(';');
+    this.addMeasurements(source, target, token);
+  }
+
+  addMeasurements(source, target, token) {
+    const qubits = this.resolveQubits(source);
+    const clbits = this.resolveRegister(target, this.classicalRegisters, 'classical');
+    if (qubits.length !== clbits.length) {
+      throw this.error(`Cannot measure ${qubits.length} qubit(s) into ${clbits.length} bit(s)`, token);
+    }
+    this.countApplications(qubits.length, token);
+    qubits.forEach((qubit, i) => this.instructions.push({ type: 'measure', qubit: qubit, clbit: clbits[i] }));
+  }
+
+  parseReset() {
+    const token = this.next();
+    const qubits = this.resolveQubits(this.parseArgument());
+    this.expect(';');
+    this.countApplications(qubits.length, token);
+    qubits.forEach(qubit => this.instructions.push({ type: 'reset', qubit: qubit }));
+  }
+
+  // A gate parameter. It is evaluated when the call is expanded (once per use inside a gate
+  // body), so overflow such as rz(1e400) or pi/0 is reported there, at the expression.
+  parseParameter(scope) {
+    const token = this.peek();
+    const expression = this.parseExpression(scope);
+    return (env) => {
+      const value = expression(env);
+      if (!Number.isFinite(value)) {
+        throw this.error('Gate parameter must evaluate to a finite number', token);
+      }
+      return value;
+    };
+  }
+
+  // Arithmetic on angles; returns a function of the gate-parameter environment
+  parseExpression(scope) {
+    let left = this.parseTerm(scope);
+    while (this.peek().value === '+' || this.peek().value === '-') {
+      const operator = this.next().value;
+      const lhs = left;
+      const rhs = this.parseTerm(scope);
+      left = operator === '+' ? (env) => lhs(env) + rhs(env) : (env) => lhs(env) - rhs(env);
+    }
+    return left;
+  }
+
+  parseTerm(scope) {
+    let left = this.parseUnary(scope);
+    while (this.peek().value === '*' || this.peek().value === '/') {
+      const operator = this.next().value;
+      const lhs = left;
+      const rhs = this.parseUnary(scope);
+      left = operator === '*' ? (env) => lhs(env) * rhs(env) : (env) => lhs(env) / rhs(env);
+    }
+    return left;
+  }
+
+  parseUnary(scope) {
+    if (this.accept('-')) {
+      const operand = this.parseUnary(scope);
+      return (env) => -operand(env);
+    }
+    if (this.accept('+')) return this.parseUnary(scope);
+    return this.parsePower(scope);
+  }
+
+  parsePower(scope) {
+    const base = this.parsePrimary(scope);
+    if (this.accept('^') || this.accept('**')) {
+      const exponent = this.parseUnary(scope);
+      return (env) => Math.pow(base(env), exponent(env));
+    }
+    return base;
+  }
+
+  parsePrimary(scope) {
+    const token = this.next();
+    if (token.type === 'number') {
+      return () => token.value;
+    }
+    if (token.value === '(') {
+      const inner = this.parseExpression(scope);
+      this.expect(')');
+      return inner;
+    }
+    if (token.type === 'identifier') {
+      if (FUNCTIONS[token.value]) {
+        const fn = FUNCTIONS[token.value];
+        this.expect('(');
+        const argument = this.parseExpression(scope);
+        this.expect(')');
+        return (env) => fn(argument(env));
+      }
+      if (scope && scope.params.has(token.value)) {
+        return (env) => env.get(token.value);
+      }
+      if (CONSTANTS[token.value] !== undefined) {
+        return () => CONSTANTS[token.value];
+      }
+      throw this.error(`Unknown identifier '${token.value}' in expression`, token);
+    }
+    throw this.error(`Expected an expression but found '${token.text}'`, token);
+  }
+}
+
+// The conjugate transpose, keeping the gate class where one exists
+function inverseGate(gate) {
+  switch (gate.name) {
+    case 'ROTATION':
+      return new RotationGate(gate.axis, -gate.angle);
+    case 'PHASE_SHIFT':
+      return new PhaseShiftGate(-gate.phase);
+    case 'S':
+      return new PhaseShiftGate(-Math.PI / 2);
+    case 'T':
+      return new PhaseShiftGate(-Math.PI / 4);
+    case 'SX':
+      return sxGate(true);
+    case 'SXdg':
+      return sxGate(false);
+    case 'U':
+      if (gate.parameters.length === 3) {
+        const [theta, phi, lambda] = gate.parameters;
+        return uGate(-theta, -lambda, -phi);
+      }
+      break;
+    case 'H':
+    case 'X':
+    case 'Y':
+    case 'Z':
+    case 'CNOT':
+    case 'SWAP':
+    case 'CZ':
+    case 'CH':
+    case 'CCNOT':
+    case 'CSWAP':
+      return gate;
+    default:
+      break;
+  }
+  const size = gate.matrix.length;
+  return new QuantumGate(`${gate.name}_dg`, Array.from({length: size}, (_, row) =>
+    Array.from({length: size}, (_, column) => [gate.matrix[column][row][0], -gate.matrix[column][row][1]])
+  ), gate.numQubits);
+}
+
+function parseQasm(source) {
+  return new QasmParser(source).parse();
+}
+
+// Exporting
+
+// Multi-qubit classes as a base gate with implicit leading controls
+const CONTROLLED_CLASSES = {
+  CNOT: { base: 'X', controls: 1 },
+  CCNOT: { base: 'X', controls: 2 },
+  CZ: { base: 'Z', controls: 1 },
+  CH: { base: 'H', controls: 1 },
+  CSWAP: { base: 'SWAP', controls: 1 }
+};
+
+const SIMPLE_NAMES = { X: 'x', Y: 'y', Z: 'z', H: 'h', S: 's', T: 't', SWAP: 'swap', SX: 'sx', SXdg: 'sxdg' };
+
+// Gates with a single-control form in both qelib1.inc and stdgates.inc
+const SINGLE_CONTROL_NAMES = { x: 'cx', y: 'cy', z: 'cz', h: 'ch', swap: 'cswap', rx: 'crx', ry: 'cry', rz: 'crz' };
+
+// Multiples of π with small denominators are written as such, anything else in full
+function formatAngle(value) {
+  if (value === 0) return '0';
+  for (let denominator = 1; denominator <= 64; denominator *= 2) {
+    const numerator = value * denominator / Math.PI;
+    if (Math.abs(numerator - Math.round(numerator)) < 1e-12) {
+      const n = Math.round(numerator);
+      const sign = n < 0 ? '-' : '';
+      const magnitude = Math.abs(n) === 1 ? 'pi' : `${Math.abs(n)}*pi`;
+      return denominator === 1 ? `${sign}${magnitude}` : `${sign}${magnitude}/${denominator}`;
+    }
+  }
+  return String(value);
+}
+
+// θ, φ, λ and the global phase γ with gate = e^{iγ} U(θ, φ, λ)
+function decomposeSingleQubit(matrix) {
+  const [[a, b], [c, d]] = matrix;
+  const magnitude = ([re, im]) => Math.hypot(re, im);
+  const argument = ([re, im]) => Math.atan2(im, re);
+  const theta = 2 * Math.atan2(magnitude(c), magnitude(a));
+
+  if (magnitude(c) < 1e-12) {
+    const gamma = argument(a);
+    return [theta, 0, argument(d) - gamma, gamma];
+  }
+  if (magnitude(a) < 1e-12) {
+    const gamma = argument(c);
+    return [theta, 0, argument([-b[0], -b[1]]) - gamma, gamma];
+  }
+  const gamma = argument(a);
+  return [theta, argument(c) - gamma, argument([-b[0], -b[1]]) - gamma, gamma];
+}
+
+// Base gate name, its parameters and its qubits (controls first) for one gate entry
+function describeGate(gateInfo) {
+  const { gate, targetQubits, controlQubits } = gateInfo;
+  const implicit = CONTROLLED_CLASSES[gate.name];
+  const implicitControls = implicit ? implicit.controls : 0;
+  const controls = [...controlQubits, ...targetQubits.slice(0, implicitControls)];
+  const targets = targetQubits.slice(implicitControls);
+  const base = implicit ? implicit.base : gate.name;
+
+  if (SIMPLE_NAMES[base]) {
+    return { name: SIMPLE_NAMES[base], params: [], controls, targets };
+  }
+  if (base === 'ROTATION') {
+    return { name: `r${gate.axis}`, params: [gate.angle], controls, targets };
+  }
+  if (base === 'PHASE_SHIFT') {
+    return { name: 'p', params: [gate.phase], controls, targets };
+  }
+  if (targets.length === 1 && gate.matrix.length === 2) {
+    const params = base === 'U' && gate.parameters ? gate.parameters : decomposeSingleQubit(gate.matrix);
+    return { name: 'U', params: params, controls, targets };
+  }
+  throw new Error(`Gate '${gate.name}' on ${targets.length} qubits has no OpenQASM equivalent`);
+}
+
+function exportGate(gateInfo, version) {
+  let { name, params, controls, targets } = describeGate(gateInfo);
+  const qubit = (index) => `q[${index}]`;
+  const call = (gateName, values, qubits) =>
+    `${gateName}${values.length > 0 ? `(${values.map(formatAngle).join(', ')})` : ''} ${qubits.map(qubit).join(', ')};`;
+
+  // S and T are phase gates once controlled, the only form both versions share
+  if (controls.length > 0 && (name === 's' || name === 't')) {
+    params = [name === 's' ? Math.PI / 2 : Math.PI / 4];
+    name = 'p';
+  }
+  const phaseName = version === 2 ? 'u1' : 'p';
+
+  if (name === 'U') {
+    const [theta, phi, lambda, gamma = 0] = params;
+    if (controls.length === 0) {
+      return call(version === 2 ? 'u3' : 'U', [theta, phi, lambda], targets);
+    }
+    if (controls.length === 1 && version === 2) {
+      const lines = [call('cu3', [theta, phi, lambda], [...controls, ...targets])];
+      if (gamma !== 0) lines.push(call('u1', [gamma], controls));
+      return lines.join('\n');
+    }
+    if (controls.length === 1) {
+      return call('cu', [theta, phi, lambda, gamma], [...controls, ...targets]);
+    }
+    if (version === 2) {
+      throw new Error(`A gate with ${controls.length} controls needs OpenQASM 3`);
+    }
+    const lines = [`ctrl(${controls.length}) @ ${call('U', [theta, phi, lambda], [...controls, ...targets])}`];
+    if (gamma !== 0) {
+      const last = controls.length - 1;
+      const modifier = last > 1 ? `ctrl(${last}) @ ` : (last === 1 ? 'ctrl @ ' : '');
+      lines.push(`${modifier}${call('p', [gamma], controls)}`);
+    }
+    return lines.join('\n');
+  }
+
+  if (controls.length === 0) {
+    return call(name === 'p' ? phaseName : name, params, targets);
+  }
+  if (controls.length === 1 && name === 'p') {
+    return call(version === 2 ? 'cu1' : 'cp', params, [...controls, ...targets]);
+  }
+  if (controls.length === 1 && SINGLE_CONTROL_NAMES[name]) {
+    return call(SINGLE_CONTROL_NAMES[name], params, [...controls, ...targets]);
+  }
+  if (controls.length === 1 && name === 'sx' && version === 2) {
+    return call('csx', params, [...controls, ...targets]);
+  }
+  if (controls.length === 2 && name === 'x') {
+    return call('ccx', params, [...controls, ...targets]);
+  }
+  if (version === 2) {
+    throw new Error(`'${name}' with ${controls.length} control(s) needs OpenQASM 3`);
+  }
+  const modifier = controls.length === 1 ? 'ctrl @ ' : `ctrl(${controls.length}) @ `;
+  return `${modifier}${call(name, params, [...controls, ...targets])}`;
+}
+
+// Write a circuit as OpenQASM with one register `q` of all its qubits and one register `c`
+// of its classical bits
+function exportQasm(circuit, { version = 2 } = {}) {
+  if (!QASM_VERSIONS.includes(version)) {
+    throw new Error(`version must be one of ${QASM_VERSIONS.join(', ')}`);
+  }
+
+  const lines = version === 2
+    ? ['OPENQASM 2.0;', 'include "qelib1.inc";', `qreg q[${circuit.numQubits}];`]
+    : ['OPENQASM 3.0;', 'include "stdgates.inc";', `qubit[${circuit.numQubits}] q;`];
+  if (circuit.numClbits > 0) {
+    lines.push(version === 2 ? `creg c[${circuit.numClbits}];` : `bit[${circuit.numClbits}] c;`);
+  }
+
+  let next = 0;
+  const writeMeasurements = (position) => {
+    while (next < circuit.measurements.length && circuit.measurements[next].position <= position) {
+      const measurement = circuit.measurements[next++];
+      if (measurement.type === 'reset') {
+        lines.push(`reset q[${measurement.qubit}];`);
+      } else if (version === 2) {
+        lines.push(`measure q[${measurement.qubit}] -> c[${measurement.clbit}];`);
+      } else {
+        lines.push(`c[${measurement.clbit}] = measure q[${measurement.qubit}];`);
+      }
+    }
+  };
+
+  circuit.gates.forEach((gateInfo, index) => {
+    writeMeasurements(index);
+    // A one-qubit gate given several targets acts on each of them
+    const entries = gateInfo.gate.numQubits === 1 && gateInfo.targetQubits.length > 1
+      ? gateInfo.targetQubits.map(target => ({ ...gateInfo, targetQubits: [target] }))
+      : [gateInfo];
+    entries.forEach(entry => lines.push(exportGate(entry, version)));
+  });
+  writeMeasurements(Infinity);
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  QasmError,
+  QASM_VERSIONS,
+  MAX_GATE_APPLICATIONS,
+  MAX_REGISTER_BITS,
+  BUILTIN_GATES,
+  parseQasm,
+  exportQasm
+};
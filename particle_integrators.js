@@ -0,0 +1,251 @@
+// Pluggable Numerical Integrators for Particle Motion
+// This file implements explicit Euler, symplectic Euler, velocity Verlet, RK4 and the
+// Boris pusher with adaptive sub-stepping, and reports the per-step energy residual
+// used to detect numerically unstable runs
+
+const INTEGRATION_METHODS = ['euler', 'symplectic-euler', 'velocity-verlet', 'rk4', 'boris'];
+
+const DEFAULT_INTEGRATION = {
+  method: 'symplectic-euler',
+  adaptive: true,
+  maxSubsteps: 8,
+  maxDisplacement: 0.05, // largest position change per sub-step
+  maxRotation: 0.1 // largest gyration angle (radians) per sub-step
+};
+
+class ParticleIntegrator {
+  constructor() {
+    this.methods = new Map([
+      ['euler', this.explicitEulerStep.bind(this)],
+      ['symplectic-euler', this.symplecticEulerStep.bind(this)],
+      ['velocity-verlet', this.velocityVerletStep.bind(this)],
+      ['rk4', this.rk4Step.bind(this)],
+      ['boris', this.borisStep.bind(this)]
+    ]);
+  }
+
+  createDefault() {
+    return { ...DEFAULT_INTEGRATION };
+  }
+
+  // Merge user options over the current settings, collecting validation errors
+  resolveOptions(options, current = DEFAULT_INTEGRATION) {
+    const errors = [];
+    const resolved = { ...current };
+
+    if (options.method !== undefined) {
+      if (INTEGRATION_METHODS.includes(options.method)) {
+        resolved.method = options.method;
+      } else {
+        errors.push(`integrator must be one of ${INTEGRATION_METHODS.join(', ')}`);
+      }
+    }
+
+    if (options.adaptive !== undefined) {
+      if (typeof options.adaptive === 'boolean') {
+        resolved.adaptive = options.adaptive;
+      } else {
+        errors.push('adaptive must be a boolean');
+      }
+    }
+
+    if (options.maxSubsteps !== undefined) {
+      if (Number.isInteger(options.maxSubsteps) && options.maxSubsteps >= 1 && options.maxSubsteps <= 64) {
+        resolved.maxSubsteps = options.maxSubsteps;
+      } else {
+        errors.push('maxSubsteps must be an integer between 1 and 64');
+      }
+    }
+
+    if (options.maxDisplacement !== undefined) {
+      if (typeof options.maxDisplacement === 'number' && options.maxDisplacement > 0 && options.maxDisplacement <= 10) {
+        resolved.maxDisplacement = options.maxDisplacement;
+      } else {
+        errors.push('maxDisplacement must be a number greater than 0 and at most 10');
+      }
+    }
+
+    return { options: resolved, errors: errors };
+  }
+
+  // Advance a particle by dt under acceleration(position, velocity, time) plus the Lorentz
+  // force of a uniform magnetic field scaled by chargeToMass.
+  // Returns the sub-step count, the specific kinetic energy before and after the step and the
+  // energy residual (change in specific kinetic energy minus the work done by the
+  // non-magnetic forces).
+  advance(particle, dt, forces, options) {
+    const step = this.methods.get(options.method) || this.methods.get(DEFAULT_INTEGRATION.method);
+    const substeps = options.adaptive ? this.chooseSubsteps(particle, dt, forces, options) : 1;
+    const h = dt / substeps;
+    const initialEnergy = this.specificKineticEnergy(particle.velocity);
+    let work = 0;
+    let time = forces.time;
+
+    for (let i = 0; i < substeps; i++) {
+      const before = { ...particle.position };
+      step(particle, h, forces, time);
+
+      const midpoint = {
+        x: (before.x + particle.position.x) / 2,
+        y: (before.y + particle.position.y) / 2,
+        z: (before.z + particle.position.z) / 2
+      };
+      const a = forces.acceleration(midpoint, particle.velocity, time + h / 2);
+      work += a.x * (particle.position.x - before.x) +
+        a.y * (particle.position.y - before.y) +
+        a.z * (particle.position.z - before.z);
+      time += h;
+    }
+
+    const finalEnergy = this.specificKineticEnergy(particle.velocity);
+    return {
+      substeps: substeps,
+      initialEnergy: initialEnergy,
+      energy: finalEnergy,
+      residual: finalEnergy - initialEnergy - work
+    };
+  }
+
+  chooseSubsteps(particle, dt, forces, options) {
+    const speed = this.magnitude(particle.velocity);
+    const accel = this.magnitude(forces.acceleration(particle.position, particle.velocity, forces.time));
+    const gyration = Math.abs(forces.chargeToMass) * this.magnitude(forces.magneticField);
+
+    const needed = Math.max(
+      speed * dt / options.maxDisplacement,
+      Math.sqrt(accel * dt * dt / options.maxDisplacement),
+      gyration * dt / (options.maxRotation || DEFAULT_INTEGRATION.maxRotation)
+    );
+
+    if (!Number.isFinite(needed)) return options.maxSubsteps;
+    return Math.min(options.maxSubsteps, Math.max(1, Math.ceil(needed)));
+  }
+
+  // Total acceleration including the magnetic part, for the non-Boris methods
+  totalAcceleration(forces, position, velocity, time) {
+    const a = forces.acceleration(position, velocity, time);
+    const lorentz = this.cross(velocity, forces.magneticField);
+    return {
+      x: a.x + forces.chargeToMass * lorentz.x,
+      y: a.y + forces.chargeToMass * lorentz.y,
+      z: a.z + forces.chargeToMass * lorentz.z
+    };
+  }
+
+  explicitEulerStep(particle, h, forces, time) {
+    const { position, velocity } = particle;
+    const a = this.totalAcceleration(forces, position, velocity, time);
+
+    position.x += velocity.x * h;
+    position.y += velocity.y * h;
+    position.z += velocity.z * h;
+    velocity.x += a.x * h;
+    velocity.y += a.y * h;
+    velocity.z += a.z * h;
+  }
+
+  symplecticEulerStep(particle, h, forces, time) {
+    const { position, velocity } = particle;
+    const a = this.totalAcceleration(forces, position, velocity, time);
+
+    velocity.x += a.x * h;
+    velocity.y += a.y * h;
+    velocity.z += a.z * h;
+    position.x += velocity.x * h;
+    position.y += velocity.y * h;
+    position.z += velocity.z * h;
+  }
+
+  velocityVerletStep(particle, h, forces, time) {
+    const { position, velocity } = particle;
+    const a0 = this.totalAcceleration(forces, position, velocity, time);
+
+    position.x += velocity.x * h + 0.5 * a0.x * h * h;
+    position.y += velocity.y * h + 0.5 * a0.y * h * h;
+    position.z += velocity.z * h + 0.5 * a0.z * h * h;
+
+    // Velocity-dependent (magnetic) forces need a predicted end-of-step velocity
+    const predicted = { x: velocity.x + a0.x * h, y: velocity.y + a0.y * h, z: velocity.z + a0.z * h };
+    const a1 = this.totalAcceleration(forces, position, predicted, time + h);
+
+    velocity.x += 0.5 * (a0.x + a1.x) * h;
+    velocity.y += 0.5 * (a0.y + a1.y) * h;
+    velocity.z += 0.5 * (a0.z + a1.z) * h;
+  }
+
+  rk4Step(particle, h, forces, time) {
+    const derivative = (x, v, t) => ({ dx: v, dv: this.totalAcceleration(forces, x, v, t) });
+    const offset = (base, delta, scale) => ({
+      x: base.x + delta.x * scale,
+      y: base.y + delta.y * scale,
+      z: base.z + delta.z * scale
+    });
+
+    const x0 = { ...particle.position };
+    const v0 = { ...particle.velocity };
+    const k1 = derivative(x0, v0, time);
+    const k2 = derivative(offset(x0, k1.dx, h / 2), offset(v0, k1.dv, h / 2), time + h / 2);
+    const k3 = derivative(offset(x0, k2.dx, h / 2), offset(v0, k2.dv, h / 2), time + h / 2);
+    const k4 = derivative(offset(x0, k3.dx, h), offset(v0, k3.dv, h), time + h);
+
+    ['x', 'y', 'z'].forEach(axis => {
+      particle.position[axis] = x0[axis] + h / 6 * (k1.dx[axis] + 2 * k2.dx[axis] + 2 * k3.dx[axis] + k4.dx[axis]);
+      particle.velocity[axis] = v0[axis] + h / 6 * (k1.dv[axis] + 2 * k2.dv[axis] + 2 * k3.dv[axis] + k4.dv[axis]);
+    });
+  }
+
+  // Boris pusher: half electric kick, exact-magnitude magnetic rotation, half electric kick
+  borisStep(particle, h, forces, time) {
+    const { position, velocity } = particle;
+    const a = forces.acceleration(position, velocity, time + h / 2);
+    const B = forces.magneticField;
+
+    const vMinus = {
+      x: velocity.x + a.x * h / 2,
+      y: velocity.y + a.y * h / 2,
+      z: velocity.z + a.z * h / 2
+    };
+
+    const t = {
+      x: forces.chargeToMass * B.x * h / 2,
+      y: forces.chargeToMass * B.y * h / 2,
+      z: forces.chargeToMass * B.z * h / 2
+    };
+    const tSquared = t.x * t.x + t.y * t.y + t.z * t.z;
+    const s = { x: 2 * t.x / (1 + tSquared), y: 2 * t.y / (1 + tSquared), z: 2 * t.z / (1 + tSquared) };
+
+    const vPrimeCross = this.cross(vMinus, t);
+    const vPrime = { x: vMinus.x + vPrimeCross.x, y: vMinus.y + vPrimeCross.y, z: vMinus.z + vPrimeCross.z };
+    const vPlusCross = this.cross(vPrime, s);
+
+    velocity.x = vMinus.x + vPlusCross.x + a.x * h / 2;
+    velocity.y = vMinus.y + vPlusCross.y + a.y * h / 2;
+    velocity.z = vMinus.z + vPlusCross.z + a.z * h / 2;
+
+    position.x += velocity.x * h;
+    position.y += velocity.y * h;
+    position.z += velocity.z * h;
+  }
+
+  specificKineticEnergy(velocity) {
+    return 0.5 * (velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+  }
+
+  magnitude(vector) {
+    return Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+  }
+
+  cross(a, b) {
+    return {
+      x: a.y * b.z - a.z * b.y,
+      y: a.z * b.x - a.x * b.z,
+      z: a.x * b.y - a.y * b.x
+    };
+  }
+}
+
+module.exports = {
+  ParticleIntegrator,
+  INTEGRATION_METHODS,
+  DEFAULT_INTEGRATION
+};
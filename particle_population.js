@@ -0,0 +1,273 @@
+// Configurable Particle Population
+// This file implements validated per-type particle counts together with initial position
+// (uniform box, gaussian cloud, shell, lattice) and velocity (uniform, Maxwell-Boltzmann)
+// distributions, so experiments can start from a controlled initial condition
+
+const DEFAULT_PARTICLE_COUNTS = {
+  electron: 35,
+  photon: 25,
+  quark: 20,
+  neutrino: 10,
+  gluon: 15,
+  wBoson: 8,
+  zBoson: 8,
+  higgs: 5
+};
+
+const POSITION_DISTRIBUTIONS = {
+  uniform: { size: 20 },
+  gaussian: { sigma: 3 },
+  shell: { radius: 8, thickness: 0 },
+  lattice: { spacing: 1 }
+};
+
+const VELOCITY_DISTRIBUTIONS = {
+  uniform: { range: 2 },
+  'maxwell-boltzmann': { temperature: null, scale: 1, masslessSpeed: 5 },
+  zero: {}
+};
+
+const DEFAULT_LIMITS = {
+  maxPerType: 5000,
+  maxTotal: 10000,
+  maxExtent: 1000,
+  maxSpeed: 100,
+  maxTemperature: 1e6
+};
+
+const BOLTZMANN_CONSTANT = 1.380649e-23;
+const ELECTRON_MASS = 9.1093837015e-31;
+// An electron at 300 K has unit thermal speed per axis in simulation units
+const THERMAL_REFERENCE = Math.sqrt(BOLTZMANN_CONSTANT * 300 / ELECTRON_MASS);
+
+class ParticlePopulation {
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.defaultPosition = this.resolvePosition(undefined, 'position', []);
+    this.defaultVelocity = this.resolveVelocity(undefined, 'velocity', []);
+  }
+
+  createDefault() {
+    return this.resolve({ counts: DEFAULT_PARTICLE_COUNTS }, Object.keys(DEFAULT_PARTICLE_COUNTS)).population;
+  }
+
+  // Validate a population request and normalise it into fully specified per-type entries.
+  // Omitted counts fall back to the current population.
+  resolve(config, particleTypes, current = null) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return { population: null, errors: ['Population must be an object'] };
+    }
+
+    const basePosition = this.resolvePosition(config.position, 'position', errors);
+    const baseVelocity = this.resolveVelocity(config.velocity, 'velocity', errors);
+    const counts = config.counts !== undefined ? config.counts : this.getCounts(current || this.createDefault());
+
+    if (!counts || typeof counts !== 'object' || Array.isArray(counts)) {
+      errors.push('counts must be an object of particle type to count');
+      return { population: null, errors: errors };
+    }
+
+    const types = {};
+    let total = 0;
+
+    Object.entries(counts).forEach(([type, entry]) => {
+      if (!particleTypes.includes(type)) {
+        errors.push(`counts.${type}: unknown particle type`);
+        return;
+      }
+
+      const spec = typeof entry === 'object' && entry !== null ? entry : { count: entry };
+      const count = spec.count;
+
+      if (!Number.isInteger(count) || count < 0 || count > this.limits.maxPerType) {
+        errors.push(`counts.${type}: count must be an integer between 0 and ${this.limits.maxPerType}`);
+        return;
+      }
+
+      total += count;
+      types[type] = {
+        count: count,
+        position: spec.position !== undefined ? this.resolvePosition(spec.position, `counts.${type}.position`, errors) : basePosition,
+        velocity: spec.velocity !== undefined ? this.resolveVelocity(spec.velocity, `counts.${type}.velocity`, errors) : baseVelocity
+      };
+    });
+
+    if (total > this.limits.maxTotal) {
+      errors.push(`total particle count ${total} exceeds the limit of ${this.limits.maxTotal}`);
+    }
+
+    if (errors.length > 0) {
+      return { population: null, errors: errors };
+    }
+
+    return { population: { types: types, total: total }, errors: [] };
+  }
+
+  resolvePosition(spec, path, errors) {
+    const resolved = this.resolveDistribution(spec, POSITION_DISTRIBUTIONS, 'uniform', path, errors);
+    if (!resolved) return null;
+
+    const extent = this.limits.maxExtent;
+    ['size', 'sigma', 'radius', 'spacing'].forEach(key => {
+      if (key in resolved) this.checkRange(resolved[key], 0, extent, `${path}.${key}`, errors, true);
+    });
+    if ('thickness' in resolved) {
+      this.checkRange(resolved.thickness, 0, resolved.radius, `${path}.thickness`, errors);
+    }
+
+    const center = (spec && spec.center) || { x: 0, y: 0, z: 0 };
+    ['x', 'y', 'z'].forEach(axis => {
+      this.checkRange(center[axis], -extent, extent, `${path}.center.${axis}`, errors);
+    });
+    resolved.center = { x: center.x, y: center.y, z: center.z };
+
+    return resolved;
+  }
+
+  resolveVelocity(spec, path, errors) {
+    const resolved = this.resolveDistribution(spec, VELOCITY_DISTRIBUTIONS, 'uniform', path, errors);
+    if (!resolved) return null;
+
+    if ('range' in resolved) {
+      this.checkRange(resolved.range, 0, 2 * this.limits.maxSpeed, `${path}.range`, errors);
+    }
+    if (resolved.temperature !== null && resolved.temperature !== undefined) {
+      this.checkRange(resolved.temperature, 0, this.limits.maxTemperature, `${path}.temperature`, errors);
+    }
+    if ('scale' in resolved) {
+      this.checkRange(resolved.scale, 0, this.limits.maxSpeed, `${path}.scale`, errors);
+    }
+    if ('masslessSpeed' in resolved) {
+      this.checkRange(resolved.masslessSpeed, 0, this.limits.maxSpeed, `${path}.masslessSpeed`, errors);
+    }
+
+    return resolved;
+  }
+
+  resolveDistribution(spec, distributions, fallback, path, errors) {
+    if (spec !== undefined && (spec === null || typeof spec !== 'object' || Array.isArray(spec))) {
+      errors.push(`${path} must be an object`);
+      return null;
+    }
+
+    const distribution = (spec && spec.distribution) || fallback;
+    const defaults = distributions[distribution];
+    if (!defaults) {
+      errors.push(`${path}.distribution must be one of ${Object.keys(distributions).join(', ')}`);
+      return null;
+    }
+
+    const resolved = { distribution: distribution };
+    Object.entries(defaults).forEach(([key, value]) => {
+      resolved[key] = spec && spec[key] !== undefined ? spec[key] : value;
+    });
+    return resolved;
+  }
+
+  checkRange(value, min, max, path, errors, exclusiveMin = false) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value > max || (exclusiveMin ? value <= min : value < min)) {
+      errors.push(`${path} must be a number ${exclusiveMin ? 'greater than' : 'between'} ${min}${exclusiveMin ? ' and at most' : ' and'} ${max}`);
+    }
+  }
+
+  getCounts(population) {
+    const counts = {};
+    Object.entries(population.types).forEach(([type, spec]) => {
+      counts[type] = spec.count;
+    });
+    return counts;
+  }
+
+  // Sample an initial position; index/total place lattice points without overlap across types
+  samplePosition(spec, index, total, rng) {
+    const { center } = spec;
+
+    switch (spec.distribution) {
+      case 'gaussian':
+        return {
+          x: center.x + rng.gaussian(0, spec.sigma),
+          y: center.y + rng.gaussian(0, spec.sigma),
+          z: center.z + rng.gaussian(0, spec.sigma)
+        };
+      case 'shell': {
+        const direction = this.randomDirection(rng);
+        const radius = spec.radius + (rng.next() - 0.5) * spec.thickness;
+        return {
+          x: center.x + direction.x * radius,
+          y: center.y + direction.y * radius,
+          z: center.z + direction.z * radius
+        };
+      }
+      case 'lattice': {
+        const side = Math.max(1, Math.ceil(Math.cbrt(total)));
+        const offset = (side - 1) / 2;
+        return {
+          x: center.x + (index % side - offset) * spec.spacing,
+          y: center.y + (Math.floor(index / side) % side - offset) * spec.spacing,
+          z: center.z + (Math.floor(index / (side * side)) - offset) * spec.spacing
+        };
+      }
+      default:
+        return {
+          x: center.x + (rng.next() - 0.5) * spec.size,
+          y: center.y + (rng.next() - 0.5) * spec.size,
+          z: center.z + (rng.next() - 0.5) * spec.size
+        };
+    }
+  }
+
+  // Sample an initial velocity; Maxwell-Boltzmann uses the given temperature unless the spec pins one
+  sampleVelocity(spec, mass, temperature, rng) {
+    switch (spec.distribution) {
+      case 'zero':
+        return { x: 0, y: 0, z: 0 };
+      case 'maxwell-boltzmann': {
+        if (mass === 0) {
+          // Massless particles move isotropically at a fixed speed
+          const direction = this.randomDirection(rng);
+          return {
+            x: direction.x * spec.masslessSpeed,
+            y: direction.y * spec.masslessSpeed,
+            z: direction.z * spec.masslessSpeed
+          };
+        }
+
+        const kelvin = spec.temperature !== null && spec.temperature !== undefined ? spec.temperature : temperature;
+        const sigma = spec.scale * Math.sqrt(BOLTZMANN_CONSTANT * kelvin / mass) / THERMAL_REFERENCE;
+        const velocity = { x: rng.gaussian(0, sigma), y: rng.gaussian(0, sigma), z: rng.gaussian(0, sigma) };
+
+        // Very light particles (neutrinos) would otherwise leave the box in a single tick
+        const speed = Math.sqrt(velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2);
+        if (speed > this.limits.maxSpeed) {
+          const factor = this.limits.maxSpeed / speed;
+          velocity.x *= factor;
+          velocity.y *= factor;
+          velocity.z *= factor;
+        }
+        return velocity;
+      }
+      default:
+        return {
+          x: (rng.next() - 0.5) * spec.range,
+          y: (rng.next() - 0.5) * spec.range,
+          z: (rng.next() - 0.5) * spec.range
+        };
+    }
+  }
+
+  randomDirection(rng) {
+    const z = rng.next() * 2 - 1;
+    const angle = rng.next() * Math.PI * 2;
+    const r = Math.sqrt(1 - z * z);
+    return { x: r * Math.cos(angle), y: r * Math.sin(angle), z: z };
+  }
+}
+
+module.exports = {
+  ParticlePopulation,
+  DEFAULT_PARTICLE_COUNTS,
+  POSITION_DISTRIBUTIONS,
+  VELOCITY_DISTRIBUTIONS
+};
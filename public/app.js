@@ -11,6 +11,13 @@ let stats;
 let gui;
 let clock = new THREE.Clock();
 
+// Server connection; once the first keyframe arrives the particle meshes follow the
+// server's particles by id instead of the local demo physics
+let simulationSocket = null;
+let simulationSync = null;
+let serverDriven = false;
+const particleMeshes = new Map();
+
 // Advanced rendering settings
 const renderSettings = {
   shadows: true,
@@ -445,6 +452,9 @@ function initAdvancedGUI() {
 
 // Update particle count dynamically
 function updateParticleCount(count) {
+  // The server owns the population once connected
+  if (serverDriven) return;
+  
   while (particles.length < count) {
     addRandomParticle();
   }
@@ -454,11 +464,8 @@ function updateParticleCount(count) {
   }
 }
 
-// Add random particle
-function addRandomParticle() {
-  const particleTypes = ['electron', 'photon', 'quark', 'neutrino'];
-  const type = particleTypes[Math.floor(Math.random() * particleTypes.length)];
-  
+// Mesh for one particle of the given type
+function createParticleMesh(type) {
   const geometry = new THREE.SphereGeometry(particleSettings.particleSize, 8, 6);
   const material = new THREE.MeshPhongMaterial({
     color: getParticleColor(type),
@@ -469,25 +476,109 @@ function addRandomParticle() {
   });
   
   const particle = new THREE.Mesh(geometry, material);
+  particle.velocity = new THREE.Vector3();
+  particle.type = type;
+  particle.energy = 0;
+  particle.entangled = false;
+  particle.trail = [];
+  return particle;
+}
+
+// Add random particle
+function addRandomParticle() {
+  const particleTypes = ['electron', 'photon', 'quark', 'neutrino'];
+  const type = particleTypes[Math.floor(Math.random() * particleTypes.length)];
+  
+  const particle = createParticleMesh(type);
   particle.position.set(
     (Math.random() - 0.5) * 20,
     (Math.random() - 0.5) * 20,
     (Math.random() - 0.5) * 20
   );
-  particle.velocity = new THREE.Vector3(
+  particle.velocity.set(
     (Math.random() - 0.5) * 2,
     (Math.random() - 0.5) * 2,
     (Math.random() - 0.5) * 2
   );
-  particle.type = type;
   particle.energy = Math.random() * 100;
-  particle.entangled = false;
-  particle.trail = [];
   
   particles.push(particle);
   scene.add(particle);
 }
 
+// Connect to the server and keep the scene in step with its keyframes and deltas
+function connectSimulation() {
+  if (typeof io === 'undefined' || typeof createSimulationStateSync === 'undefined') return;
+  
+  simulationSocket = io();
+  simulationSync = createSimulationStateSync(simulationSocket, applySimulationState);
+}
+
+// Called by the state sync after every applied keyframe or delta
+function applySimulationState(state) {
+  if (!serverDriven) {
+    // The demo particles give way to the server's
+    particles.forEach(particle => scene.remove(particle));
+    particles = [];
+    serverDriven = true;
+    const loading = document.getElementById('loading');
+    if (loading) loading.style.display = 'none';
+  }
+  
+  const seen = new Set();
+  state.particles.forEach(data => {
+    seen.add(data.id);
+    let mesh = particleMeshes.get(data.id);
+    if (!mesh || mesh.type !== data.type) {
+      if (mesh) scene.remove(mesh);
+      mesh = createParticleMesh(data.type);
+      particleMeshes.set(data.id, mesh);
+      scene.add(mesh);
+    }
+    if (data.position) mesh.position.set(data.position.x, data.position.y, data.position.z || 0);
+    if (data.velocity) mesh.velocity.set(data.velocity.x, data.velocity.y, data.velocity.z || 0);
+    mesh.energy = data.energy;
+    mesh.entangled = data.entangledWith !== null && data.entangledWith !== undefined;
+  });
+  
+  for (const [id, mesh] of particleMeshes) {
+    if (!seen.has(id)) {
+      scene.remove(mesh);
+      particleMeshes.delete(id);
+    }
+  }
+  particles = Array.from(particleMeshes.values());
+  
+  updateStatusPanel(state);
+}
+
+function setText(id, value) {
+  const element = document.getElementById(id);
+  if (element && value !== undefined && value !== null) element.textContent = value;
+}
+
+function updateStatusPanel(state) {
+  const format = (value, digits) => (typeof value === 'number' ? value.toFixed(digits) : value);
+  setText('particleCount', state.particles.length);
+  setText('chaosLevel', format(state.chaosLevel, 2));
+  setText('dimension', state.dimension !== undefined ? `${state.dimension}D` : undefined);
+  setText('time', format(state.time, 2));
+  setText('simulationMode', state.simulationMode);
+  setText('temperature', format(state.temperature, 0));
+  setText('pressure', format(state.pressure, 1));
+  setText('entangledCount', state.particles.filter(p => p.entangledWith !== null && p.entangledWith !== undefined).length);
+  
+  const quantum = state.quantumState;
+  if (quantum) {
+    setText('superpositionCount', quantum.superpositionCount);
+    setText('collapsedCount', quantum.collapsedCount);
+    setText('totalEnergy', format(quantum.totalEnergy, 0));
+    setText('entropy', format(quantum.entropy, 2));
+    setText('uncertainty', format(quantum.uncertainty, 2));
+    setText('coherence', format(quantum.coherence, 2));
+  }
+}
+
 // Get particle color based on type and color scheme
 function getParticleColor(type) {
   const colors = {
@@ -552,17 +643,19 @@ function animate() {
 // Update particles with advanced physics
 function updateParticles(deltaTime) {
   particles.forEach(particle => {
-    // Update position
-    particle.position.add(particle.velocity.clone().multiplyScalar(deltaTime));
-    
-    // Boundary checking with bounce
-    const bounds = 10;
-    ['x', 'y', 'z'].forEach(axis => {
-      if (Math.abs(particle.position[axis]) > bounds) {
-        particle.position[axis] = Math.sign(particle.position[axis]) * bounds;
-        particle.velocity[axis] *= -0.8; // Bounce with energy loss
-      }
-    });
+    // Server particles are positioned by the state sync
+    if (!serverDriven) {
+      particle.position.add(particle.velocity.clone().multiplyScalar(deltaTime));
+      
+      // Boundary checking with bounce
+      const bounds = 10;
+      ['x', 'y', 'z'].forEach(axis => {
+        if (Math.abs(particle.position[axis]) > bounds) {
+          particle.position[axis] = Math.sign(particle.position[axis]) * bounds;
+          particle.velocity[axis] *= -0.8; // Bounce with energy loss
+        }
+      });
+    }
     
     // Update trail
     if (particle.trail.length > particleSettings.trailLength) {
@@ -669,6 +762,7 @@ window.addEventListener('resize', () => {
 // Initialize the system
 document.addEventListener('DOMContentLoaded', () => {
   initAdvancedVisualization();
+  connectSimulation();
 });
 
 // Export functions for external use
@@ -677,5 +771,6 @@ window.quantumVisualization = {
   updateParticleCount,
   toggleAudio,
   getParticleColor,
-  addRandomParticle
+  addRandomParticle,
+  getSimulationSync: () => simulationSync
 };
@@ -0,0 +1,76 @@
+// 🔁 Simulation State Sync - rebuilds the server state from keyframes and deltas
+
+// Keeps a local copy of the simulation state, acknowledging every frame it applies
+function createSimulationStateSync(socket, onUpdate) {
+  const sync = {
+    frame: -1,
+    state: null,
+    particlesById: new Map()
+  };
+
+  function rebuildParticleIndex() {
+    sync.particlesById.clear();
+    sync.state.particles.forEach(particle => sync.particlesById.set(particle.id, particle));
+  }
+
+  function extendTrails(particles) {
+    if (!sync.state.particleTrails) return;
+
+    // Trails are not sent in deltas, so extend them from the new positions
+    particles.forEach(update => {
+      if (!update.position) return;
+      const trail = sync.state.particleTrails.find(t => t.particleId === update.id);
+      if (trail) {
+        // boundaryEvents only appears in a delta when the particle wrapped or was re-injected
+        const position = { ...update.position, time: sync.state.time };
+        if (update.boundaryEvents !== undefined) position.break = true;
+        trail.positions.push(position);
+        if (trail.positions.length > trail.maxTrailLength) {
+          trail.positions.shift();
+        }
+      }
+    });
+  }
+
+  socket.on('simulationKeyframe', (keyframe) => {
+    sync.frame = keyframe.frame;
+    sync.state = { ...keyframe.sections, particles: keyframe.particles };
+    rebuildParticleIndex();
+    socket.emit('simulationAck', sync.frame);
+    onUpdate(sync.state);
+  });
+
+  socket.on('simulationDelta', (delta) => {
+    // Without a base state we cannot apply deltas; ask for a keyframe
+    if (!sync.state) {
+      socket.emit('simulationResync');
+      return;
+    }
+
+    Object.assign(sync.state, delta.sections);
+
+    delta.particles.updated.forEach(update => {
+      const particle = sync.particlesById.get(update.id);
+      if (particle) {
+        Object.assign(particle, update);
+      } else {
+        sync.state.particles.push(update);
+        sync.particlesById.set(update.id, update);
+      }
+    });
+
+    if (delta.particles.removed.length > 0) {
+      const removed = new Set(delta.particles.removed);
+      sync.state.particles = sync.state.particles.filter(p => !removed.has(p.id));
+      removed.forEach(id => sync.particlesById.delete(id));
+    }
+
+    extendTrails(delta.particles.updated);
+
+    sync.frame = delta.frame;
+    socket.emit('simulationAck', sync.frame);
+    onUpdate(sync.state);
+  });
+
+  return sync;
+}
@@ -4,96 +4,359 @@
  * Supports up to 32 qubits with advanced quantum algorithms
  */
 
+const SeededRandom = require('./simulation_random');
+const { NoiseModel, channelSuperoperator } = require('./noise_model');
+const { MAX_STABILIZER_QUBITS, StabilizerState, isCliffordCircuit } = require('./stabilizer_simulator');
+
+// Complex numbers are stored as [re, im]; gate matrices may mix them with plain real numbers
+function toComplex(value) {
+    return Array.isArray(value) ? [value[0], value[1] || 0] : [value, 0];
+}
+
+function phaseFactor(phase) {
+    return [Math.cos(phase), Math.sin(phase)];
+}
+
+// The gate with one more control qubit, listed first: identity on the upper half
+function controlledMatrix(matrix) {
+    const size = matrix.length;
+    return Array.from({length: 2 * size}, (_, row) => Array.from({length: 2 * size}, (_, column) => {
+        if (row >= size && column >= size) return matrix[row - size][column - size];
+        return row === column ? [1, 0] : [0, 0];
+    }));
+}
+
+function rotationMatrix(axis, angle) {
+    const c = Math.cos(angle / 2);
+    const s = Math.sin(angle / 2);
+    switch (axis) {
+        case 'x':
+            return [[[c, 0], [0, -s]], [[0, -s], [c, 0]]];
+        case 'y':
+            return [[[c, 0], [-s, 0]], [[s, 0], [c, 0]]];
+        case 'z':
+            return [[[c, -s], [0, 0]], [[0, 0], [c, s]]];
+        default:
+            throw new Error(`Unknown rotation axis: ${axis}`);
+    }
+}
+
+// Index into a k-qubit operator from a basis state: the first qubit listed is the most
+// significant bit, as in the usual textbook ordering of CNOT, SWAP, ...
+function localIndex(index, qubits) {
+    let local = 0;
+    for (let k = 0; k < qubits.length; k++) {
+        local = (local << 1) | ((index >> qubits[k]) & 1);
+    }
+    return local;
+}
+
+// Inverse of localIndex: the basis-state bits of a local operator index
+function spreadIndex(local, qubits) {
+    let index = 0;
+    const last = qubits.length - 1;
+    for (let k = 0; k <= last; k++) {
+        index |= ((local >> (last - k)) & 1) << qubits[k];
+    }
+    return index;
+}
+
+// Eigenvalues of a Hermitian matrix of [re, im] entries. A + iB has the same eigenvalues as
+// the real symmetric [[A, -B], [B, A]], each twice, which cyclic Jacobi rotations diagonalise.
+function hermitianEigenvalues(matrix) {
+    const n = matrix.length;
+    const size = 2 * n;
+    const a = Array.from({length: size}, () => new Float64Array(size));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            const [re, im] = matrix[i][j];
+            a[i][j] = re;
+            a[i + n][j + n] = re;
+            a[i][j + n] = -im;
+            a[i + n][j] = im;
+        }
+    }
+
+    for (let sweep = 0; sweep < 100; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < size; p++) {
+            for (let q = p + 1; q < size; q++) offDiagonal += a[p][q] * a[p][q];
+        }
+        if (offDiagonal < 1e-24) break;
+
+        for (let p = 0; p < size; p++) {
+            for (let q = p + 1; q < size; q++) {
+                if (Math.abs(a[p][q]) < 1e-300) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < size; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < size; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+            }
+        }
+    }
+
+    const doubled = Array.from({length: size}, (_, i) => a[i][i]).sort((x, y) => x - y);
+    return doubled.filter((_, i) => i % 2 === 0);
+}
+
+function entropyOf(eigenvalues) {
+    let entropy = 0;
+    for (const eigenval of eigenvalues) {
+        if (eigenval > 1e-12) {
+            entropy -= eigenval * Math.log2(eigenval);
+        }
+    }
+    return entropy;
+}
+
 class QuantumState {
     constructor(numQubits) {
         this.numQubits = numQubits;
         this.dimension = Math.pow(2, numQubits);
-        this.amplitudes = new Float64Array(this.dimension);
+        // Interleaved complex amplitudes: re at 2i, im at 2i + 1
+        this.amplitudes = new Float64Array(2 * this.dimension);
         this.amplitudes[0] = 1.0; // Initialize to |0...0⟩
         this.phase = 0;
-        this.entanglement = new Map();
-        this.decoherence = 0;
-        this.errorRate = 0.001;
+        // Qubit pairs that shared a gate; their entanglement is computed when read
+        this.entangledPairs = new Set();
+        this.entanglementCache = null;
     }
 
-    // Quantum state manipulation methods
-    applyGate(gate, targetQubits) {
-        const matrix = gate.getMatrix();
-        const newAmplitudes = new Float64Array(this.dimension);
-        
+    // Build a state from 2^n amplitudes given as real numbers or [re, im] pairs
+    static fromAmplitudes(values) {
+        const numQubits = Math.log2(values.length);
+        if (!Number.isInteger(numQubits)) {
+            throw new Error('Number of amplitudes must be a power of two');
+        }
+        const state = new QuantumState(numQubits);
+        values.forEach((value, i) => {
+            const [re, im] = toComplex(value);
+            state.amplitudes[2 * i] = re;
+            state.amplitudes[2 * i + 1] = im;
+        });
+        state.normalize();
+        return state;
+    }
+
+    getAmplitude(index) {
+        return [this.amplitudes[2 * index], this.amplitudes[2 * index + 1]];
+    }
+
+    getAmplitudes() {
+        return Array.from({length: this.dimension}, (_, i) => this.getAmplitude(i));
+    }
+
+    getProbabilities() {
+        const probabilities = new Float64Array(this.dimension);
         for (let i = 0; i < this.dimension; i++) {
-            for (let j = 0; j < this.dimension; j++) {
-                newAmplitudes[i] += matrix[i][j] * this.amplitudes[j];
+            const re = this.amplitudes[2 * i];
+            const im = this.amplitudes[2 * i + 1];
+            probabilities[i] = re * re + im * im;
+        }
+        return probabilities;
+    }
+
+    // Quantum state manipulation methods
+    // The gate's 2^k × 2^k matrix is applied as a kernel to each group of 2^k amplitudes
+    // that differ only in the target bits, skipping groups where a control qubit is |0⟩, so
+    // a gate costs O(2^n · 2^k) instead of a full O(4^n) matrix product. Gates are ideal;
+    // noise is simulated by DensityMatrix with the channels of a NoiseModel.
+    applyGate(gate, targetQubits, controlQubits = []) {
+        // A one-qubit gate given several targets acts on each of them
+        if (gate.numQubits === 1 && targetQubits.length > 1) {
+            for (const target of targetQubits) {
+                this.applyGate(gate, [target], controlQubits);
             }
+            return;
         }
-        
-        this.amplitudes = newAmplitudes;
-        this.normalize();
-        this.updateEntanglement(targetQubits);
+
+        this.validateQubits(gate, targetQubits, controlQubits);
+        const controlMask = this.createQubitMask(controlQubits);
+        const fixedBits = Int32Array.from([...targetQubits, ...controlQubits]).sort();
+        const groups = this.dimension >> fixedBits.length;
+
+        if (targetQubits.length === 1) {
+            this.applySingleQubitKernel(gate.matrix, targetQubits[0], controlMask, fixedBits, groups);
+        } else {
+            this.applyKernel(gate.matrix, targetQubits, controlMask, fixedBits, groups);
+        }
+
+        this.trackEntanglement([...controlQubits, ...targetQubits]);
     }
 
-    normalize() {
-        let norm = 0;
-        for (let i = 0; i < this.dimension; i++) {
-            norm += Math.pow(Math.abs(this.amplitudes[i]), 2);
+    // Basis state of the g-th group with every target bit 0 and every control bit 1: a zero
+    // is inserted at each fixed bit position, lowest first
+    groupBase(g, fixedBits, controlMask) {
+        let base = g;
+        for (let k = 0; k < fixedBits.length; k++) {
+            const bit = fixedBits[k];
+            base = ((base >> bit) << (bit + 1)) | (base & ((1 << bit) - 1));
         }
-        norm = Math.sqrt(norm);
-        
-        for (let i = 0; i < this.dimension; i++) {
-            this.amplitudes[i] /= norm;
+        return base | controlMask;
+    }
+
+    applySingleQubitKernel(matrix, target, controlMask, fixedBits, groups) {
+        const [[aRe, aIm], [bRe, bIm]] = matrix[0];
+        const [[cRe, cIm], [dRe, dIm]] = matrix[1];
+        const amplitudes = this.amplitudes;
+        const step = 1 << target;
+
+        for (let g = 0; g < groups; g++) {
+            const i0 = 2 * this.groupBase(g, fixedBits, controlMask);
+            const i1 = i0 + 2 * step;
+            const re0 = amplitudes[i0];
+            const im0 = amplitudes[i0 + 1];
+            const re1 = amplitudes[i1];
+            const im1 = amplitudes[i1 + 1];
+            amplitudes[i0] = aRe * re0 - aIm * im0 + bRe * re1 - bIm * im1;
+            amplitudes[i0 + 1] = aRe * im0 + aIm * re0 + bRe * im1 + bIm * re1;
+            amplitudes[i1] = cRe * re0 - cIm * im0 + dRe * re1 - dIm * im1;
+            amplitudes[i1 + 1] = cRe * im0 + cIm * re0 + dRe * im1 + dIm * re1;
         }
     }
 
-    updateEntanglement(targetQubits) {
-        // Track quantum entanglement between qubits
-        for (let i = 0; i < targetQubits.length; i++) {
-            for (let j = i + 1; j < targetQubits.length; j++) {
-                const key = `${targetQubits[i]}-${targetQubits[j]}`;
-                this.entanglement.set(key, this.calculateEntanglement(targetQubits[i], targetQubits[j]));
+    applyKernel(matrix, targetQubits, controlMask, fixedBits, groups) {
+        const size = matrix.length;
+        const amplitudes = this.amplitudes;
+        // Offsets within a group of each local index, and the non-zero matrix entries of
+        // each row (permutation gates like CNOT and SWAP have one per row)
+        const offsets = Int32Array.from({length: size}, (_, local) => spreadIndex(local, targetQubits));
+        const rowStart = new Int32Array(size + 1);
+        const columns = [];
+        const entriesRe = [];
+        const entriesIm = [];
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                const [entryRe, entryIm] = matrix[row][column];
+                if (entryRe === 0 && entryIm === 0) continue;
+                columns.push(column);
+                entriesRe.push(entryRe);
+                entriesIm.push(entryIm);
+            }
+            rowStart[row + 1] = columns.length;
+        }
+        const entryColumns = Int32Array.from(columns);
+        const entryRe = Float64Array.from(entriesRe);
+        const entryIm = Float64Array.from(entriesIm);
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+
+        for (let g = 0; g < groups; g++) {
+            const base = this.groupBase(g, fixedBits, controlMask);
+            for (let local = 0; local < size; local++) {
+                re[local] = amplitudes[2 * (base | offsets[local])];
+                im[local] = amplitudes[2 * (base | offsets[local]) + 1];
+            }
+            for (let row = 0; row < size; row++) {
+                let sumRe = 0;
+                let sumIm = 0;
+                for (let e = rowStart[row]; e < rowStart[row + 1]; e++) {
+                    const column = entryColumns[e];
+                    sumRe += entryRe[e] * re[column] - entryIm[e] * im[column];
+                    sumIm += entryRe[e] * im[column] + entryIm[e] * re[column];
+                }
+                amplitudes[2 * (base | offsets[row])] = sumRe;
+                amplitudes[2 * (base | offsets[row]) + 1] = sumIm;
             }
         }
     }
 
-    calculateEntanglement(qubit1, qubit2) {
-        // Calculate von Neumann entropy for entanglement measure
-        const reducedDensityMatrix = this.getReducedDensityMatrix([qubit1, qubit2]);
-        const eigenvalues = this.getEigenvalues(reducedDensityMatrix);
-        
-        let entropy = 0;
-        for (const eigenval of eigenvalues) {
-            if (eigenval > 0) {
-                entropy -= eigenval * Math.log2(eigenval);
+    validateQubits(gate, targetQubits, controlQubits) {
+        const size = gate.matrix.length;
+        if (size !== Math.pow(2, targetQubits.length)) {
+            throw new Error(`Gate ${gate.name} acts on ${Math.log2(size)} qubit(s) but was given ${targetQubits.length} target(s)`);
+        }
+        const qubits = [...targetQubits, ...controlQubits];
+        for (const qubit of qubits) {
+            if (!Number.isInteger(qubit) || qubit < 0 || qubit >= this.numQubits) {
+                throw new Error(`Qubit ${qubit} is out of range for a ${this.numQubits}-qubit state`);
             }
         }
-        return entropy;
+        if (new Set(qubits).size !== qubits.length) {
+            throw new Error(`Gate ${gate.name} must act on distinct target and control qubits`);
+        }
     }
 
-    getReducedDensityMatrix(qubits) {
-        // Implement partial trace to get reduced density matrix
-        const matrix = [];
-        const qubitIndices = qubits.map(q => Math.pow(2, q));
-        
-        for (let i = 0; i < qubitIndices.length; i++) {
-            matrix[i] = [];
-            for (let j = 0; j < qubitIndices.length; j++) {
-                matrix[i][j] = this.calculateReducedElement(qubits, i, j);
+    normalize() {
+        const norm = Math.sqrt(this.getNorm());
+        if (norm === 0) return;
+
+        for (let i = 0; i < this.amplitudes.length; i++) {
+            this.amplitudes[i] /= norm;
+        }
+    }
+
+    getNorm() {
+        let norm = 0;
+        for (let i = 0; i < this.amplitudes.length; i++) {
+            norm += this.amplitudes[i] * this.amplitudes[i];
+        }
+        return norm;
+    }
+
+    trackEntanglement(qubits) {
+        for (let i = 0; i < qubits.length; i++) {
+            for (let j = i + 1; j < qubits.length; j++) {
+                this.entangledPairs.add(`${qubits[i]}-${qubits[j]}`);
             }
         }
-        
-        return matrix;
+        this.entanglementCache = null;
     }
 
-    calculateReducedElement(qubits, i, j) {
-        // Calculate element (i,j) of reduced density matrix
-        let element = 0;
+    // Entanglement of every tracked qubit pair, recomputed only after the state has changed
+    get entanglement() {
+        if (!this.entanglementCache) {
+            this.entanglementCache = new Map();
+            for (const key of this.entangledPairs) {
+                const [qubit1, qubit2] = key.split('-').map(Number);
+                this.entanglementCache.set(key, this.calculateEntanglement(qubit1, qubit2));
+            }
+        }
+        return this.entanglementCache;
+    }
+
+    calculateEntanglement(qubit1, qubit2) {
+        // Von Neumann entropy of the pair's reduced state: how entangled it is with the rest
+        return this.getVonNeumannEntropy([qubit1, qubit2]);
+    }
+
+    // Partial trace over every qubit not listed; entries are [re, im] and the first listed
+    // qubit is the most significant bit of the row and column index
+    getReducedDensityMatrix(qubits) {
+        const size = Math.pow(2, qubits.length);
         const mask = this.createQubitMask(qubits);
-        
-        for (let k = 0; k < this.dimension; k++) {
-            const kPrime = this.applyQubitMask(k, mask, i, j);
-            element += this.amplitudes[k] * this.amplitudes[kPrime];
+        const matrix = Array.from({length: size}, () => Array.from({length: size}, () => [0, 0]));
+
+        for (let i = 0; i < this.dimension; i++) {
+            const reI = this.amplitudes[2 * i];
+            const imI = this.amplitudes[2 * i + 1];
+            if (reI === 0 && imI === 0) continue;
+
+            const a = localIndex(i, qubits);
+            const rest = i & ~mask;
+            for (let b = 0; b < size; b++) {
+                const j = rest | spreadIndex(b, qubits);
+                const reJ = this.amplitudes[2 * j];
+                const imJ = this.amplitudes[2 * j + 1];
+                // ψ_i ψ_j*
+                matrix[a][b][0] += reI * reJ + imI * imJ;
+                matrix[a][b][1] += imI * reJ - reI * imJ;
+            }
         }
-        
-        return element;
+
+        return matrix;
     }
 
     createQubitMask(qubits) {
@@ -104,40 +367,17 @@ class QuantumState {
         return mask;
     }
 
-    applyQubitMask(index, mask, i, j) {
-        // Apply qubit mask to transform index
-        let result = index & ~mask;
-        result |= (i << this.getQubitPosition(qubits[0]));
-        result |= (j << this.getQubitPosition(qubits[1]));
-        return result;
-    }
-
-    getQubitPosition(qubit) {
-        return qubit;
-    }
-
     getEigenvalues(matrix) {
-        // Simple eigenvalue calculation using power iteration
-        const eigenvalues = [];
-        const size = matrix.length;
-        
-        for (let i = 0; i < size; i++) {
-            let eigenvalue = 0;
-            for (let j = 0; j < size; j++) {
-                eigenvalue += matrix[i][j] * matrix[j][i];
-            }
-            eigenvalues.push(Math.sqrt(eigenvalue));
-        }
-        
-        return eigenvalues;
+        return hermitianEigenvalues(matrix);
     }
 
-    measure(qubit) {
+    // random is any source with next() in [0, 1), e.g. a SeededRandom
+    measure(qubit, random = null) {
         // Quantum measurement with collapse
         const probability = this.calculateMeasurementProbability(qubit);
-        const random = Math.random();
-        
-        if (random < probability) {
+        const sample = random ? random.next() : Math.random();
+
+        if (sample < probability) {
             this.collapseToState(qubit, 1);
             return 1;
         } else {
@@ -149,119 +389,265 @@ class QuantumState {
     calculateMeasurementProbability(qubit) {
         let probability = 0;
         const qubitMask = 1 << qubit;
-        
+
         for (let i = 0; i < this.dimension; i++) {
             if (i & qubitMask) {
-                probability += Math.pow(Math.abs(this.amplitudes[i]), 2);
+                probability += this.amplitudes[2 * i] * this.amplitudes[2 * i] +
+                    this.amplitudes[2 * i + 1] * this.amplitudes[2 * i + 1];
             }
         }
-        
+
         return probability;
     }
 
     collapseToState(qubit, value) {
         const qubitMask = 1 << qubit;
-        const newAmplitudes = new Float64Array(this.dimension);
-        
+
         for (let i = 0; i < this.dimension; i++) {
-            if ((i & qubitMask) === (value << qubit)) {
-                newAmplitudes[i] = this.amplitudes[i];
+            if ((i & qubitMask) !== (value << qubit)) {
+                this.amplitudes[2 * i] = 0;
+                this.amplitudes[2 * i + 1] = 0;
             }
         }
-        
-        this.amplitudes = newAmplitudes;
+
         this.normalize();
+        this.entanglementCache = null;
     }
 
     // Advanced quantum state analysis
+    // |⟨this|other⟩|²
     getFidelity(otherState) {
-        let fidelity = 0;
+        if (otherState.dimension !== this.dimension) {
+            throw new Error('Fidelity needs states with the same number of qubits');
+        }
+        let re = 0;
+        let im = 0;
         for (let i = 0; i < this.dimension; i++) {
-            fidelity += this.amplitudes[i] * otherState.amplitudes[i];
+            const aRe = this.amplitudes[2 * i];
+            const aIm = this.amplitudes[2 * i + 1];
+            const bRe = otherState.amplitudes[2 * i];
+            const bIm = otherState.amplitudes[2 * i + 1];
+            re += aRe * bRe + aIm * bIm;
+            im += aRe * bIm - aIm * bRe;
         }
-        return Math.pow(Math.abs(fidelity), 2);
+        return re * re + im * im;
     }
 
-    getPurity() {
+    // Tr(ρ²) of the listed qubits' reduced state; the whole register is a pure state
+    getPurity(qubits = null) {
+        if (!qubits || qubits.length === this.numQubits) return 1;
+
         let purity = 0;
-        for (let i = 0; i < this.dimension; i++) {
-            purity += Math.pow(Math.abs(this.amplitudes[i]), 4);
+        for (const row of this.getReducedDensityMatrix(qubits)) {
+            for (const [re, im] of row) {
+                purity += re * re + im * im;
+            }
         }
         return purity;
     }
 
-    getVonNeumannEntropy() {
-        const eigenvalues = this.getEigenvalues(this.getDensityMatrix());
-        let entropy = 0;
-        
-        for (const eigenval of eigenvalues) {
-            if (eigenval > 0) {
-                entropy -= eigenval * Math.log2(eigenval);
-            }
-        }
-        
-        return entropy;
+    // -Tr(ρ log₂ ρ) of the listed qubits' reduced state, 0 for the whole (pure) register
+    getVonNeumannEntropy(qubits = null) {
+        if (!qubits || qubits.length === this.numQubits) return 0;
+        return entropyOf(this.getEigenvalues(this.getReducedDensityMatrix(qubits)));
     }
 
+    // |ψ⟩⟨ψ| with [re, im] entries, indexed by basis state
     getDensityMatrix() {
-        const matrix = [];
-        for (let i = 0; i < this.dimension; i++) {
-            matrix[i] = [];
-            for (let j = 0; j < this.dimension; j++) {
-                matrix[i][j] = this.amplitudes[i] * this.amplitudes[j];
-            }
-        }
-        return matrix;
+        const qubits = Array.from({length: this.numQubits}, (_, i) => this.numQubits - 1 - i);
+        return this.getReducedDensityMatrix(qubits);
     }
 }
 
-class QuantumGate {
-    constructor(name, matrix, numQubits = 1) {
-        this.name = name;
-        this.matrix = matrix;
+// Largest register the density-matrix backend accepts: ρ holds 4^n complex entries
+const MAX_DENSITY_MATRIX_QUBITS = 12;
+
+// Largest register 'auto' simulates as a state vector of 2^n complex amplitudes
+const MAX_STATE_VECTOR_QUBITS = 24;
+
+const SIMULATION_BACKENDS = ['auto', 'statevector', 'density_matrix', 'stabilizer'];
+
+// Mixed state of n qubits for noisy circuits. ρ is stored vectorised as a 2n-qubit
+// QuantumState, Σ ρ[r][c] |r⟩|c⟩, with the row index in the high n bits: a gate U becomes
+// U on the row qubits and U* on the column qubits, and a Kraus channel becomes its 4 × 4
+// superoperator on one row/column qubit pair, so both reuse the state-vector kernels.
+class DensityMatrix {
+    constructor(numQubits) {
+        if (numQubits > MAX_DENSITY_MATRIX_QUBITS) {
+            throw new Error(`The density-matrix backend supports at most ${MAX_DENSITY_MATRIX_QUBITS} qubits`);
+        }
         this.numQubits = numQubits;
-        this.errorRate = 0.001;
-        this.decoherenceTime = 1000; // nanoseconds
+        this.dimension = Math.pow(2, numQubits);
+        this.vector = new QuantumState(2 * numQubits); // |0...0⟩⟨0...0|
+    }
+
+    static fromState(state) {
+        const density = new DensityMatrix(state.numQubits);
+        const amplitudes = density.vector.amplitudes;
+        for (let r = 0; r < state.dimension; r++) {
+            for (let c = 0; c < state.dimension; c++) {
+                const [aRe, aIm] = state.getAmplitude(r);
+                const [bRe, bIm] = state.getAmplitude(c);
+                const index = 2 * (r * state.dimension + c);
+                amplitudes[index] = aRe * bRe + aIm * bIm;
+                amplitudes[index + 1] = aIm * bRe - aRe * bIm;
+            }
+        }
+        return density;
     }
 
-    getMatrix() {
-        return this.applyNoise(this.matrix);
+    rowQubits(qubits) {
+        return qubits.map(qubit => qubit + this.numQubits);
     }
 
-    applyNoise(matrix) {
-        if (this.errorRate === 0) return matrix;
-        
-        const noisyMatrix = [];
-        for (let i = 0; i < matrix.length; i++) {
-            noisyMatrix[i] = [];
-            for (let j = 0; j < matrix[i].length; j++) {
-                const noise = (Math.random() - 0.5) * this.errorRate;
-                noisyMatrix[i][j] = matrix[i][j] + noise;
+    getEntry(row, column) {
+        const index = 2 * (row * this.dimension + column);
+        return [this.vector.amplitudes[index], this.vector.amplitudes[index + 1]];
+    }
+
+    applyGate(gate, targetQubits, controlQubits = []) {
+        this.vector.applyGate(gate, this.rowQubits(targetQubits), this.rowQubits(controlQubits));
+        this.vector.applyGate(conjugateGate(gate), targetQubits, controlQubits);
+    }
+
+    applyChannel(channel, qubit) {
+        if (!channelGates.has(channel)) {
+            channelGates.set(channel, new QuantumGate(channel.type, channelSuperoperator(channel), 2));
+        }
+        this.vector.applyGate(channelGates.get(channel), [qubit + this.numQubits, qubit]);
+    }
+
+    getTrace() {
+        let trace = 0;
+        for (let i = 0; i < this.dimension; i++) trace += this.getEntry(i, i)[0];
+        return trace;
+    }
+
+    getProbabilities() {
+        const probabilities = new Float64Array(this.dimension);
+        for (let i = 0; i < this.dimension; i++) probabilities[i] = this.getEntry(i, i)[0];
+        return probabilities;
+    }
+
+    measure(qubit, random = null) {
+        const probability = this.calculateMeasurementProbability(qubit);
+        const outcome = (random ? random.next() : Math.random()) < probability ? 1 : 0;
+        this.collapseToState(qubit, outcome);
+        return outcome;
+    }
+
+    calculateMeasurementProbability(qubit) {
+        let probability = 0;
+        for (let i = 0; i < this.dimension; i++) {
+            if ((i >> qubit) & 1) probability += this.getEntry(i, i)[0];
+        }
+        return probability / this.getTrace();
+    }
+
+    // P ρ P / Tr(P ρ) for the projector P onto the qubit's value
+    collapseToState(qubit, value) {
+        const amplitudes = this.vector.amplitudes;
+        for (let r = 0; r < this.dimension; r++) {
+            for (let c = 0; c < this.dimension; c++) {
+                if (((r >> qubit) & 1) !== value || ((c >> qubit) & 1) !== value) {
+                    const index = 2 * (r * this.dimension + c);
+                    amplitudes[index] = 0;
+                    amplitudes[index + 1] = 0;
+                }
             }
         }
-        
-        return this.normalizeMatrix(noisyMatrix);
+        const trace = this.getTrace();
+        if (trace > 0) {
+            for (let i = 0; i < amplitudes.length; i++) amplitudes[i] /= trace;
+        }
     }
 
-    normalizeMatrix(matrix) {
-        // Normalize matrix to maintain unitarity
-        const norm = this.calculateMatrixNorm(matrix);
-        for (let i = 0; i < matrix.length; i++) {
-            for (let j = 0; j < matrix[i].length; j++) {
-                matrix[i][j] /= norm;
+    // Partial trace over every qubit not listed, in the same layout as
+    // QuantumState.getReducedDensityMatrix
+    getReducedDensityMatrix(qubits) {
+        const size = Math.pow(2, qubits.length);
+        const mask = qubits.reduce((bits, qubit) => bits | (1 << qubit), 0);
+        const matrix = Array.from({length: size}, () => Array.from({length: size}, () => [0, 0]));
+
+        for (let r = 0; r < this.dimension; r++) {
+            const rest = r & ~mask;
+            const a = localIndex(r, qubits);
+            for (let b = 0; b < size; b++) {
+                const [re, im] = this.getEntry(r, rest | spreadIndex(b, qubits));
+                matrix[a][b][0] += re;
+                matrix[a][b][1] += im;
             }
         }
         return matrix;
     }
 
-    calculateMatrixNorm(matrix) {
-        let norm = 0;
-        for (let i = 0; i < matrix.length; i++) {
-            for (let j = 0; j < matrix[i].length; j++) {
-                norm += Math.pow(Math.abs(matrix[i][j]), 2);
+    getDensityMatrix() {
+        return Array.from({length: this.dimension}, (_, r) =>
+            Array.from({length: this.dimension}, (_, c) => this.getEntry(r, c)));
+    }
+
+    // Tr(ρ²) of the whole register or of the listed qubits' reduced state
+    getPurity(qubits = null) {
+        if (!qubits || qubits.length === this.numQubits) {
+            return this.vector.getNorm();
+        }
+        let purity = 0;
+        for (const row of this.getReducedDensityMatrix(qubits)) {
+            for (const [re, im] of row) purity += re * re + im * im;
+        }
+        return purity;
+    }
+
+    getVonNeumannEntropy(qubits = null) {
+        const matrix = !qubits || qubits.length === this.numQubits
+            ? this.getDensityMatrix()
+            : this.getReducedDensityMatrix(qubits);
+        return entropyOf(hermitianEigenvalues(matrix));
+    }
+
+    // ⟨ψ|ρ|ψ⟩ against a pure QuantumState
+    getFidelity(state) {
+        if (!(state instanceof QuantumState) || state.dimension !== this.dimension) {
+            throw new Error('Fidelity of a density matrix needs a QuantumState with the same number of qubits');
+        }
+        let re = 0;
+        for (let r = 0; r < this.dimension; r++) {
+            const [aRe, aIm] = state.getAmplitude(r);
+            for (let c = 0; c < this.dimension; c++) {
+                const [bRe, bIm] = state.getAmplitude(c);
+                const [pRe, pIm] = this.getEntry(r, c);
+                // conj(ψ_r) ρ_rc ψ_c, real part only: the imaginary parts cancel
+                const xRe = aRe * pRe + aIm * pIm;
+                const xIm = aRe * pIm - aIm * pRe;
+                re += xRe * bRe - xIm * bIm;
             }
         }
-        return Math.sqrt(norm);
+        return re;
+    }
+}
+
+// Element-wise complex conjugates of gate matrices and superoperators of noise channels,
+// built once per gate or channel object
+const conjugateGates = new WeakMap();
+const channelGates = new WeakMap();
+
+function conjugateGate(gate) {
+    if (!conjugateGates.has(gate)) {
+        const conjugate = new QuantumGate(`${gate.name}*`, gate.matrix.map(row => row.map(([re, im]) => [re, -im])), gate.numQubits);
+        conjugateGates.set(gate, conjugate);
+    }
+    return conjugateGates.get(gate);
+}
+
+class QuantumGate {
+    constructor(name, matrix, numQubits = 1) {
+        this.name = name;
+        this.matrix = matrix.map(row => row.map(toComplex));
+        this.numQubits = numQubits;
+    }
+
+    getMatrix() {
+        return this.matrix;
     }
 }
 
@@ -277,8 +663,8 @@ const PAULI_X = new QuantumGate('X', [
 ]);
 
 const PAULI_Y = new QuantumGate('Y', [
-    [0, -1i],
-    [1i, 0]
+    [0, [0, -1]],
+    [[0, 1], 0]
 ]);
 
 const PAULI_Z = new QuantumGate('Z', [
@@ -288,12 +674,12 @@ const PAULI_Z = new QuantumGate('Z', [
 
 const PHASE = new QuantumGate('S', [
     [1, 0],
-    [0, 1i]
+    [0, [0, 1]]
 ]);
 
 const T_GATE = new QuantumGate('T', [
     [1, 0],
-    [0, Math.exp(Math.PI * 1i / 4)]
+    [0, phaseFactor(Math.PI / 4)]
 ]);
 
 const CNOT = new QuantumGate('CNOT', [
@@ -314,8 +700,12 @@ class QuantumCircuit {
     constructor(numQubits) {
         this.numQubits = numQubits;
         this.gates = [];
+        // Mid-circuit measurements and resets, each run before the gate at `position`
         this.measurements = [];
-        this.state = new QuantumState(numQubits);
+        this.numClbits = 0;
+        this.classicalBits = [];
+        // Created by execute() for the chosen backend
+        this.state = null;
         this.errorCorrection = new ErrorCorrection();
         this.optimization = new CircuitOptimization();
     }
@@ -329,6 +719,17 @@ class QuantumCircuit {
         });
     }
 
+    // Measure a qubit into classical bit clbit after the gates added so far
+    addMeasurement(qubit, clbit = qubit) {
+        this.measurements.push({ type: 'measure', qubit: qubit, clbit: clbit, position: this.gates.length });
+        this.numClbits = Math.max(this.numClbits, clbit + 1);
+    }
+
+    // Return a qubit to |0⟩ after the gates added so far
+    addReset(qubit) {
+        this.measurements.push({ type: 'reset', qubit: qubit, position: this.gates.length });
+    }
+
     calculateGateDepth() {
         let maxDepth = 0;
         for (const gateInfo of this.gates) {
@@ -337,56 +738,95 @@ class QuantumCircuit {
         return maxDepth + 1;
     }
 
-    execute() {
-        this.state = new QuantumState(this.numQubits);
+    // With a noise model (a NoiseModel or its config) the circuit runs on a DensityMatrix and
+    // each gate is followed by the model's channels; measurements and readout errors draw
+    // from a SeededRandom, so the same seed reproduces the same classical bits. The
+    // stabilizer backend runs Clifford-only circuits of any size, sampling Pauli noise.
+    execute({ noiseModel = null, seed, backend = 'auto' } = {}) {
+        this.noiseModel = noiseModel && !(noiseModel instanceof NoiseModel) ? new NoiseModel(noiseModel) : noiseModel;
+        this.random = new SeededRandom(seed);
+        this.backend = this.selectBackend(backend);
+        this.state = this.createState(this.backend);
+        this.classicalBits = new Array(this.numClbits).fill(0);
+        let next = 0;
+        const runMeasurements = (position) => {
+            while (next < this.measurements.length && this.measurements[next].position <= position) {
+                this.runMeasurement(this.measurements[next++]);
+            }
+        };
         
-        for (const gateInfo of this.gates) {
-            if (gateInfo.controlQubits.length > 0) {
-                this.applyControlledGate(gateInfo);
-            } else {
-                this.state.applyGate(gateInfo.gate, gateInfo.targetQubits);
+        this.gates.forEach((gateInfo, index) => {
+            runMeasurements(index);
+            this.state.applyGate(gateInfo.gate, gateInfo.targetQubits, gateInfo.controlQubits);
+            if (this.noiseModel) {
+                this.noiseModel.channelsAfter(gateInfo).forEach(({ channel, qubit }) => this.state.applyChannel(channel, qubit, this.random));
             }
             
             // Apply error correction
             this.errorCorrection.correct(this.state);
-        }
+        });
+        runMeasurements(Infinity);
         
         return this.state;
     }
 
-    applyControlledGate(gateInfo) {
-        const controlMask = this.createControlMask(gateInfo.controlQubits);
-        const targetMask = this.createTargetMask(gateInfo.targetQubits);
-        
-        // Apply controlled operation
-        for (let i = 0; i < this.state.dimension; i++) {
-            if ((i & controlMask) === controlMask) {
-                // Control qubits are in |1⟩ state, apply target gate
-                this.state.applyGate(gateInfo.gate, gateInfo.targetQubits);
+    // 'auto' keeps the dense backends while they fit and falls back to the stabilizer
+    // backend for larger Clifford-only circuits
+    selectBackend(backend) {
+        if (!SIMULATION_BACKENDS.includes(backend)) {
+            throw new Error(`backend must be one of ${SIMULATION_BACKENDS.join(', ')}`);
+        }
+        if (backend === 'auto') {
+            const denseLimit = this.noiseModel ? MAX_DENSITY_MATRIX_QUBITS : MAX_STATE_VECTOR_QUBITS;
+            if (this.numQubits <= denseLimit) return this.noiseModel ? 'density_matrix' : 'statevector';
+            if (this.numQubits > MAX_STABILIZER_QUBITS) {
+                throw new Error(`No backend can run this circuit: ${this.numQubits} qubits exceed the ` +
+                    `stabilizer limit of ${MAX_STABILIZER_QUBITS}`);
             }
+            if (isCliffordCircuit(this)) return 'stabilizer';
+            throw new Error(`No backend can run this circuit: ${this.numQubits} qubits exceed the ` +
+                `${this.noiseModel ? 'density-matrix' : 'state-vector'} limit of ${denseLimit} and the ` +
+                'circuit contains non-Clifford gates, which the stabilizer backend cannot apply');
+        }
+        if (backend === 'stabilizer' && this.numQubits > MAX_STABILIZER_QUBITS) {
+            throw new Error(`The stabilizer backend supports at most ${MAX_STABILIZER_QUBITS} qubits`);
+        }
+        if (backend === 'statevector' && this.noiseModel) {
+            throw new Error('The state-vector backend cannot apply a noise model');
         }
+        if (backend === 'statevector' && this.numQubits > MAX_STATE_VECTOR_QUBITS) {
+            throw new Error(`The state-vector backend supports at most ${MAX_STATE_VECTOR_QUBITS} qubits`);
+        }
+        return backend;
     }
 
-    createControlMask(controlQubits) {
-        let mask = 0;
-        for (const qubit of controlQubits) {
-            mask |= (1 << qubit);
+    createState(backend) {
+        switch (backend) {
+            case 'stabilizer':
+                return new StabilizerState(this.numQubits);
+            case 'density_matrix':
+                return new DensityMatrix(this.numQubits);
+            default:
+                return new QuantumState(this.numQubits);
         }
-        return mask;
     }
 
-    createTargetMask(targetQubits) {
-        let mask = 0;
-        for (const qubit of targetQubits) {
-            mask |= (1 << qubit);
+    runMeasurement(measurement) {
+        const outcome = this.state.measure(measurement.qubit, this.random);
+        if (measurement.type === 'measure') {
+            this.classicalBits[measurement.clbit] = this.noiseModel
+                ? this.noiseModel.readout(measurement.qubit, outcome, this.random)
+                : outcome;
+        } else if (outcome === 1) {
+            this.state.applyGate(PAULI_X, [measurement.qubit]);
         }
-        return mask;
     }
 
     measureAll() {
         const results = [];
         for (let i = 0; i < this.numQubits; i++) {
-            results.push(this.state.measure(i));
+            const outcome = this.state.measure(i, this.random);
+            results.push(this.noiseModel ? this.noiseModel.readout(i, outcome, this.random) : outcome);
         }
         return results;
     }
@@ -494,6 +934,97 @@ class ErrorCorrection {
     applyShorCorrection(state, error) {
         // Apply Shor code correction
     }
+
+    // Syndrome-extraction circuit for a lattice of cells { stabilizers: [{ type, qubits }] }
+    // with qubits given as { x, y }, as QuantumErrorCorrectionSystem.createSurfaceCodeLattice
+    // builds. Data qubit (x, y) is y · width + x and each stabilizer gets an ancilla after the
+    // data qubits. Every round measures each stabilizer into its own classical bit and resets
+    // its ancilla; the data qubits are measured after the last round.
+    createSurfaceCodeCircuit(lattice, rounds = 1) {
+        const width = lattice[0].length;
+        const dataQubits = width * lattice.length;
+        const stabilizers = [];
+        const seen = new Set();
+        lattice.forEach(row => row.forEach(cell => cell.stabilizers.forEach(stabilizer => {
+            const qubits = stabilizer.qubits.map(({ x, y }) => y * width + x);
+            const key = `${stabilizer.type}:${[...qubits].sort((a, b) => a - b).join(',')}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                stabilizers.push({ type: stabilizer.type, qubits: qubits, ancilla: dataQubits + stabilizers.length });
+            }
+        })));
+
+        const circuit = new QuantumCircuit(dataQubits + stabilizers.length);
+        for (let round = 0; round < rounds; round++) {
+            stabilizers.forEach((stabilizer, index) => {
+                const { ancilla } = stabilizer;
+                if (stabilizer.type === 'X') {
+                    circuit.addGate(HADAMARD, [ancilla]);
+                    stabilizer.qubits.forEach(qubit => circuit.addGate(CNOT, [ancilla, qubit]));
+                    circuit.addGate(HADAMARD, [ancilla]);
+                } else {
+                    stabilizer.qubits.forEach(qubit => circuit.addGate(CNOT, [qubit, ancilla]));
+                }
+                circuit.addMeasurement(ancilla, round * stabilizers.length + index);
+                circuit.addReset(ancilla);
+            });
+        }
+        for (let qubit = 0; qubit < dataQubits; qubit++) {
+            circuit.addMeasurement(qubit, rounds * stabilizers.length + qubit);
+        }
+
+        circuit.surfaceCode = { width: width, height: lattice.length, dataQubits: dataQubits, stabilizers: stabilizers, rounds: rounds };
+        return circuit;
+    }
+
+    // Syndromes per round, final data bits and detection events: a stabilizer whose outcome
+    // differs from the previous round. Z stabilizers start at +1 on |0...0⟩; X stabilizers
+    // are random in the first round, so they only count from the second.
+    readSurfaceCodeSyndromes(circuit, classicalBits = circuit.classicalBits) {
+        const { stabilizers, rounds, dataQubits } = circuit.surfaceCode;
+        const syndromes = [];
+        const detectionEvents = [];
+        for (let round = 0; round < rounds; round++) {
+            syndromes.push(classicalBits.slice(round * stabilizers.length, (round + 1) * stabilizers.length));
+            stabilizers.forEach((stabilizer, index) => {
+                const previous = round > 0 ? syndromes[round - 1][index] : (stabilizer.type === 'Z' ? 0 : null);
+                if (previous !== null && syndromes[round][index] !== previous) {
+                    detectionEvents.push({ round: round, stabilizer: index });
+                }
+            });
+        }
+        const detectors = stabilizers.reduce((sum, stabilizer) => sum + (stabilizer.type === 'Z' ? rounds : rounds - 1), 0);
+
+        return {
+            syndromes: syndromes,
+            dataBits: classicalBits.slice(rounds * stabilizers.length, rounds * stabilizers.length + dataQubits),
+            detectionEvents: detectionEvents,
+            detectors: detectors
+        };
+    }
+
+    // Run the syndrome-extraction circuit shot by shot on the stabilizer backend
+    sampleSurfaceCode(lattice, { rounds = 3, shots = 1, noiseModel = null, seed } = {}) {
+        const circuit = this.createSurfaceCodeCircuit(lattice, rounds);
+        const random = new SeededRandom(seed);
+        const samples = [];
+        for (let shot = 0; shot < shots; shot++) {
+            circuit.execute({ noiseModel: noiseModel, seed: random.int(4294967296), backend: 'stabilizer' });
+            samples.push(this.readSurfaceCodeSyndromes(circuit));
+        }
+        const detections = samples.reduce((sum, sample) => sum + sample.detectionEvents.length, 0);
+        const detectors = samples.length > 0 ? samples[0].detectors * shots : 0;
+
+        return {
+            seed: random.getSeed(),
+            qubits: circuit.numQubits,
+            stabilizers: circuit.surfaceCode.stabilizers,
+            rounds: rounds,
+            shots: shots,
+            samples: samples,
+            detectionRate: detectors > 0 ? detections / detectors : 0
+        };
+    }
 }
 
 class CircuitOptimization {
@@ -567,8 +1098,8 @@ class CircuitOptimization {
     }
 
     combineGates(gate1, gate2) {
-        // Combine two gates into one
-        const combinedMatrix = this.multiplyMatrices(gate1.gate.matrix, gate2.gate.matrix);
+        // Combine two gates into one; gate1 acts first, so it is the right-hand factor
+        const combinedMatrix = this.multiplyMatrices(gate2.gate.matrix, gate1.gate.matrix);
         const combinedGate = new QuantumGate(
             `${gate1.gate.name}+${gate2.gate.name}`,
             combinedMatrix,
@@ -590,10 +1121,15 @@ class CircuitOptimization {
         for (let i = 0; i < size; i++) {
             result[i] = [];
             for (let j = 0; j < size; j++) {
-                result[i][j] = 0;
+                let re = 0;
+                let im = 0;
                 for (let k = 0; k < size; k++) {
-                    result[i][j] += matrix1[i][k] * matrix2[k][j];
+                    const [aRe, aIm] = matrix1[i][k];
+                    const [bRe, bIm] = matrix2[k][j];
+                    re += aRe * bRe - aIm * bIm;
+                    im += aRe * bIm + aIm * bRe;
                 }
+                result[i][j] = [re, im];
             }
         }
         
@@ -613,8 +1149,11 @@ class CircuitOptimization {
 
 // Advanced quantum algorithms
 class QuantumAlgorithms {
+    // oracle is either a gate on all qubits or the marked basis state(s), which are phase
+    // flipped with a multi-controlled Z so large registers never need a 2^n × 2^n matrix
     static groverSearch(oracle, numQubits, iterations) {
         const circuit = new QuantumCircuit(numQubits);
+        const qubits = Array.from({length: numQubits}, (_, i) => i);
         
         // Initialize superposition
         for (let i = 0; i < numQubits; i++) {
@@ -624,20 +1163,25 @@ class QuantumAlgorithms {
         // Grover iteration
         for (let iter = 0; iter < iterations; iter++) {
             // Oracle
-            circuit.addGate(oracle, Array.from({length: numQubits}, (_, i) => i));
+            if (oracle instanceof QuantumGate) {
+                circuit.addGate(oracle, qubits);
+            } else {
+                for (const marked of [].concat(oracle)) {
+                    this.addPhaseFlip(circuit, marked);
+                }
+            }
             
-            // Diffusion operator
+            // Diffusion operator, -(2|s⟩⟨s| - I): textbook up to a global phase
             for (let i = 0; i < numQubits; i++) {
                 circuit.addGate(HADAMARD, [i]);
             }
             
-            circuit.addGate(PAULI_X, Array.from({length: numQubits}, (_, i) => i));
+            circuit.addGate(PAULI_X, qubits);
             
             // Multi-controlled Z gate
-            circuit.addGate(new QuantumGate('MCZ', this.createMultiControlledZ(numQubits), numQubits), 
-                          Array.from({length: numQubits}, (_, i) => i));
+            this.addMultiControlledZ(circuit, qubits);
             
-            circuit.addGate(PAULI_X, Array.from({length: numQubits}, (_, i) => i));
+            circuit.addGate(PAULI_X, qubits);
             
             for (let i = 0; i < numQubits; i++) {
                 circuit.addGate(HADAMARD, [i]);
@@ -647,6 +1191,26 @@ class QuantumAlgorithms {
         return circuit;
     }
 
+    // Flip the sign of one basis state: X on its 0 bits turns it into |1...1⟩ for the
+    // multi-controlled Z
+    static addPhaseFlip(circuit, basisState) {
+        if (!Number.isInteger(basisState) || basisState < 0 || basisState >= Math.pow(2, circuit.numQubits)) {
+            throw new Error(`Marked state ${basisState} is not a basis state of ${circuit.numQubits} qubits`);
+        }
+        const zeros = [];
+        for (let i = 0; i < circuit.numQubits; i++) {
+            if (!((basisState >> i) & 1)) zeros.push(i);
+        }
+        if (zeros.length > 0) circuit.addGate(PAULI_X, zeros);
+        this.addMultiControlledZ(circuit, Array.from({length: circuit.numQubits}, (_, i) => i));
+        if (zeros.length > 0) circuit.addGate(PAULI_X, zeros);
+    }
+
+    // Z on the last qubit controlled by all the others: -1 on |1...1⟩ only
+    static addMultiControlledZ(circuit, qubits) {
+        circuit.addGate(PAULI_Z, [qubits[qubits.length - 1]], qubits.slice(0, -1));
+    }
+
     static createMultiControlledZ(numQubits) {
         // Create multi-controlled Z gate matrix
         const dimension = Math.pow(2, numQubits);
@@ -666,22 +1230,27 @@ class QuantumAlgorithms {
         return matrix;
     }
 
+    static createPhaseGate(phase) {
+        return new PhaseShiftGate(phase);
+    }
+
+    // |x⟩ → Σ_y e^{2πixy/2^n}|y⟩/√2^n with qubit 0 the least significant bit: the highest
+    // qubit is transformed first and the final swaps undo the reversed output order
     static quantumFourierTransform(numQubits) {
         const circuit = new QuantumCircuit(numQubits);
         
-        for (let i = 0; i < numQubits; i++) {
+        for (let i = numQubits - 1; i >= 0; i--) {
             circuit.addGate(HADAMARD, [i]);
             
-            for (let j = i + 1; j < numQubits; j++) {
-                const phase = Math.PI / Math.pow(2, j - i);
-                const phaseGate = new QuantumGate('R', [
-                    [1, 0],
-                    [0, Math.exp(1i * phase)]
-                ]);
-                circuit.addGate(phaseGate, [j], [i]);
+            for (let j = i - 1; j >= 0; j--) {
+                circuit.addGate(this.createPhaseGate(Math.PI / Math.pow(2, i - j)), [i], [j]);
             }
         }
         
+        for (let i = 0; i < Math.floor(numQubits / 2); i++) {
+            circuit.addGate(SWAP, [i, numQubits - 1 - i]);
+        }
+        
         return circuit;
     }
 
@@ -711,17 +1280,17 @@ class QuantumAlgorithms {
         return circuit;
     }
 
+    // The QFT's gates in reverse order with conjugated phases
     static inverseQuantumFourierTransform(numQubits) {
         const circuit = new QuantumCircuit(numQubits);
         
-        for (let i = numQubits - 1; i >= 0; i--) {
-            for (let j = numQubits - 1; j > i; j--) {
-                const phase = -Math.PI / Math.pow(2, j - i);
-                const phaseGate = new QuantumGate('R', [
-                    [1, 0],
-                    [0, Math.exp(1i * phase)]
-                ]);
-                circuit.addGate(phaseGate, [j], [i]);
+        for (let i = 0; i < Math.floor(numQubits / 2); i++) {
+            circuit.addGate(SWAP, [i, numQubits - 1 - i]);
+        }
+        
+        for (let i = 0; i < numQubits; i++) {
+            for (let j = 0; j < i; j++) {
+                circuit.addGate(this.createPhaseGate(-Math.PI / Math.pow(2, i - j)), [i], [j]);
             }
             
             circuit.addGate(HADAMARD, [i]);
@@ -735,10 +1304,10 @@ class QuantumAlgorithms {
         
         // Create Bell state between qubits 1 and 2
         circuit.addGate(HADAMARD, [1]);
-        circuit.addGate(CNOT, [1, 2], [1]);
+        circuit.addGate(CNOT, [1, 2]);
         
         // Bell measurement on qubits 0 and 1
-        circuit.addGate(CNOT, [0, 1], [0]);
+        circuit.addGate(CNOT, [0, 1]);
         circuit.addGate(HADAMARD, [0]);
         
         // Conditional operations on qubit 2
@@ -805,25 +1374,6 @@ class QuantumBenchmark {
     }
 }
 
-// Export the quantum computing simulator
-module.exports = {
-    QuantumState,
-    QuantumGate,
-    QuantumCircuit,
-    ErrorCorrection,
-    CircuitOptimization,
-    QuantumAlgorithms,
-    QuantumBenchmark,
-    HADAMARD,
-    PAULI_X,
-    PAULI_Y,
-    PAULI_Z,
-    PHASE,
-    T_GATE,
-    CNOT,
-    SWAP
-};
-
 
 // Advanced Quantum Computing Simulator with Quantum Algorithms and Gates
 class AdvancedQuantumComputingSimulator {
@@ -964,7 +1514,16 @@ class AdvancedQuantumComputingSimulator {
   }
 
   createQuantumCircuit(id, properties) {
-    const circuit = new QuantumCircuit(id, properties);
+    const circuit = new QuantumCircuitRecord(id, properties);
+    this.quantumCircuits.set(id, circuit);
+    return circuit;
+  }
+
+  // Register a gate-level QuantumCircuit, e.g. one imported with parseQasm()
+  addCircuit(id, circuit) {
+    circuit.id = id;
+    circuit.executions = [];
+    circuit.optimizations = [];
     this.quantumCircuits.set(id, circuit);
     return circuit;
   }
@@ -975,7 +1534,11 @@ class AdvancedQuantumComputingSimulator {
       case 'apply_gate':
         return this.applyQuantumGate(parameters.gate, parameters.qubits, parameters.parameters);
       case 'execute_circuit':
-        return this.executeQuantumCircuit(parameters.circuitId, parameters.input);
+        return this.executeQuantumCircuit(parameters.circuitId, parameters.input, {
+          noiseModel: parameters.noiseModel,
+          seed: parameters.seed,
+          backend: parameters.backend
+        });
       case 'run_algorithm':
         return this.runQuantumAlgorithm(parameters.algorithm, parameters.input, parameters.parameters);
       case 'measure_qubit':
@@ -1046,11 +1609,14 @@ class AdvancedQuantumComputingSimulator {
     };
   }
 
-  executeQuantumCircuit(circuitId, input) {
+  executeQuantumCircuit(circuitId, input, options = {}) {
     const circuit = this.quantumCircuits.get(circuitId);
     if (!circuit) {
       return { success: false, error: 'Circuit not found' };
     }
+    if (circuit instanceof QuantumCircuit) {
+      return this.executeGateCircuit(circuit, options);
+    }
     
     // Create circuit execution event
     const execution = {
@@ -1084,6 +1650,33 @@ class AdvancedQuantumComputingSimulator {
     };
   }
 
+  // Run a gate-level circuit on the backend chosen by QuantumCircuit.execute (a state vector,
+  // a density matrix when a noise model is given, or a stabilizer tableau for large Clifford
+  // circuits); without measurements of its own every qubit is measured at the end
+  executeGateCircuit(circuit, options = {}) {
+    circuit.execute(options);
+    const execution = {
+      type: 'circuit_execution',
+      circuitId: circuit.id,
+      timestamp: Date.now(),
+      gateCount: circuit.gates.length,
+      backend: circuit.backend,
+      noisy: Boolean(circuit.noiseModel),
+      seed: circuit.random.getSeed()
+    };
+    
+    const classicalBits = circuit.measurements.some(measurement => measurement.type === 'measure')
+      ? circuit.classicalBits
+      : circuit.measureAll();
+    circuit.executions.push(execution);
+    
+    return {
+      success: true,
+      execution: execution,
+      classicalBits: classicalBits
+    };
+  }
+
   initializeCircuitInput(circuit, input) {
     for (let i = 0; i < circuit.qubits.length; i++) {
       const qubit = this.qubits.get(circuit.qubits[i]);
@@ -1639,9 +2232,11 @@ class QuantumQubit {
 }
 
 // Quantum Gate Classes
-class HadamardGate {
+// Each carries its unitary, so it can be added to a QuantumCircuit as well as applied to the
+// simulator's qubit records
+class HadamardGate extends QuantumGate {
   constructor() {
-    this.name = 'H';
+    super('H', HADAMARD.matrix);
     this.complexity = 1;
     this.coherenceImpact = 0.05;
     this.entanglementCreation = 0.0;
@@ -1666,9 +2261,9 @@ class HadamardGate {
   }
 }
 
-class PauliXGate {
+class PauliXGate extends QuantumGate {
   constructor() {
-    this.name = 'X';
+    super('X', PAULI_X.matrix);
     this.complexity = 1;
     this.coherenceImpact = 0.02;
     this.entanglementCreation = 0.0;
@@ -1694,9 +2289,9 @@ class PauliXGate {
   }
 }
 
-class CNOTGate {
+class CNOTGate extends QuantumGate {
   constructor() {
-    this.name = 'CNOT';
+    super('CNOT', CNOT.matrix, 2);
     this.complexity = 2;
     this.coherenceImpact = 0.1;
     this.entanglementCreation = 0.8;
@@ -1736,6 +2331,7 @@ class PauliYGate extends PauliXGate {
   constructor() {
     super();
     this.name = 'Y';
+    this.matrix = PAULI_Y.matrix;
   }
 }
 
@@ -1743,6 +2339,7 @@ class PauliZGate extends PauliXGate {
   constructor() {
     super();
     this.name = 'Z';
+    this.matrix = PAULI_Z.matrix;
   }
 }
 
@@ -1750,6 +2347,7 @@ class PhaseGate extends PauliXGate {
   constructor() {
     super();
     this.name = 'S';
+    this.matrix = PHASE.matrix;
   }
 }
 
@@ -1757,6 +2355,7 @@ class TGate extends PauliXGate {
   constructor() {
     super();
     this.name = 'T';
+    this.matrix = T_GATE.matrix;
   }
 }
 
@@ -1764,6 +2363,7 @@ class SWAPGate extends CNOTGate {
   constructor() {
     super();
     this.name = 'SWAP';
+    this.matrix = SWAP.matrix;
   }
 }
 
@@ -1771,6 +2371,7 @@ class CZGate extends CNOTGate {
   constructor() {
     super();
     this.name = 'CZ';
+    this.matrix = controlledMatrix(PAULI_Z.matrix);
   }
 }
 
@@ -1778,6 +2379,7 @@ class CHGate extends CNOTGate {
   constructor() {
     super();
     this.name = 'CH';
+    this.matrix = controlledMatrix(HADAMARD.matrix);
   }
 }
 
@@ -1785,6 +2387,8 @@ class CCNOTGate extends CNOTGate {
   constructor() {
     super();
     this.name = 'CCNOT';
+    this.matrix = controlledMatrix(CNOT.matrix);
+    this.numQubits = 3;
   }
 }
 
@@ -1792,25 +2396,34 @@ class CSWAPGate extends CNOTGate {
   constructor() {
     super();
     this.name = 'CSWAP';
+    this.matrix = controlledMatrix(SWAP.matrix);
+    this.numQubits = 3;
   }
 }
 
+// exp(-i angle σ/2) about the x, y or z axis
 class RotationGate extends PauliXGate {
-  constructor() {
+  constructor(axis = 'z', angle = 0) {
     super();
     this.name = 'ROTATION';
+    this.axis = axis;
+    this.angle = angle;
+    this.matrix = rotationMatrix(axis, angle);
   }
 }
 
+// diag(1, e^{i phase})
 class PhaseShiftGate extends PauliXGate {
-  constructor() {
+  constructor(phase = 0) {
     super();
     this.name = 'PHASE_SHIFT';
+    this.phase = phase;
+    this.matrix = [[[1, 0], [0, 0]], [[0, 0], phaseFactor(phase)]];
   }
 }
 
-// Quantum Circuit Class
-class QuantumCircuit {
+// Named circuit of the simulator: gate names applied to its qubit ids
+class QuantumCircuitRecord {
   constructor(id, properties) {
     this.id = id;
     this.qubits = properties.qubits;
@@ -1981,14 +2594,45 @@ class QuantumMeasurement {
   }
 }
 
-// Export the enhanced quantum computing simulator
+// Export the quantum computing simulator
 module.exports = {
+  QuantumState,
+  DensityMatrix,
+  MAX_DENSITY_MATRIX_QUBITS,
+  MAX_STATE_VECTOR_QUBITS,
+  MAX_STABILIZER_QUBITS,
+  SIMULATION_BACKENDS,
+  QuantumGate,
+  QuantumCircuit,
+  ErrorCorrection,
+  CircuitOptimization,
+  QuantumAlgorithms,
+  QuantumBenchmark,
+  HADAMARD,
+  PAULI_X,
+  PAULI_Y,
+  PAULI_Z,
+  PHASE,
+  T_GATE,
+  CNOT,
+  SWAP,
   AdvancedQuantumComputingSimulator,
   QuantumQubit,
   HadamardGate,
   PauliXGate,
+  PauliYGate,
+  PauliZGate,
+  PhaseGate,
+  TGate,
   CNOTGate,
-  QuantumCircuit,
+  SWAPGate,
+  CZGate,
+  CHGate,
+  CCNOTGate,
+  CSWAPGate,
+  RotationGate,
+  PhaseShiftGate,
+  QuantumCircuitRecord,
   GroverAlgorithm,
   ShorAlgorithm,
   DeutschJozsaAlgorithm,
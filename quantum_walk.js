@@ -0,0 +1,393 @@
+// Quantum Walks on Graphs
+// This file implements discrete-time (coined) and continuous-time quantum walks on lines,
+// cycles, 2D grids and user-supplied adjacency lists, each run side by side with the
+// matching classical random walk, tracking the spread from the start vertex and the time
+// the walkers first reach a target vertex
+
+const GRAPH_TYPES = ['line', 'cycle', 'grid', 'custom'];
+const WALK_TYPES = ['discrete', 'continuous'];
+const COINS = ['dft', 'grover'];
+const MAX_VERTICES = 2500;
+
+// Largest Runge-Kutta step, in units of 1 / (rate · maximum degree)
+const MAX_RK_STEP = 0.1;
+
+// Most Runge-Kutta work (substeps × vertices) one continuous step may take; the walk runs
+// inside the simulation tick, so larger rate · timeStep · degree products are rejected
+const MAX_RK_WORK = 10000;
+
+// neighbors[v] lists the vertices adjacent to v. Custom adjacency lists are made symmetric
+// (every edge is undirected) and must not contain self-loops.
+function buildGraph(type, size, adjacency = null) {
+  const neighbors = [];
+  if (type === 'line' || type === 'cycle') {
+    if (!Number.isInteger(size) || size < 2 || size > MAX_VERTICES) {
+      throw new Error(`size must be an integer between 2 and ${MAX_VERTICES}`);
+    }
+    for (let v = 0; v < size; v++) {
+      neighbors.push([]);
+      if (v > 0) neighbors[v].push(v - 1);
+      if (v < size - 1) neighbors[v].push(v + 1);
+    }
+    if (type === 'cycle' && size > 2) {
+      neighbors[0].unshift(size - 1);
+      neighbors[size - 1].push(0);
+    }
+  } else if (type === 'grid') {
+    if (!Number.isInteger(size) || size < 2 || size * size > MAX_VERTICES) {
+      throw new Error(`size must be an integer between 2 and ${Math.floor(Math.sqrt(MAX_VERTICES))} for a grid`);
+    }
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const list = [];
+        if (x > 0) list.push(y * size + x - 1);
+        if (x < size - 1) list.push(y * size + x + 1);
+        if (y > 0) list.push((y - 1) * size + x);
+        if (y < size - 1) list.push((y + 1) * size + x);
+        neighbors.push(list);
+      }
+    }
+  } else if (type === 'custom') {
+    if (!Array.isArray(adjacency) || adjacency.length < 2 || adjacency.length > MAX_VERTICES) {
+      throw new Error(`adjacency must list between 2 and ${MAX_VERTICES} vertices`);
+    }
+    const edges = adjacency.map(() => new Set());
+    adjacency.forEach((list, v) => {
+      if (!Array.isArray(list)) throw new Error(`adjacency[${v}] must be a list of vertices`);
+      list.forEach(u => {
+        if (!Number.isInteger(u) || u < 0 || u >= adjacency.length || u === v) {
+          throw new Error(`adjacency[${v}] must only contain other vertices between 0 and ${adjacency.length - 1}`);
+        }
+        edges[v].add(u);
+        edges[u].add(v);
+      });
+    });
+    edges.forEach(set => neighbors.push(Array.from(set).sort((a, b) => a - b)));
+  } else {
+    throw new Error(`graph must be one of ${GRAPH_TYPES.join(', ')}`);
+  }
+
+  const isolated = neighbors.findIndex(list => list.length === 0);
+  if (isolated !== -1) {
+    throw new Error(`vertex ${isolated} has no edges`);
+  }
+  return { type: type, size: size, neighbors: neighbors };
+}
+
+// Breadth-first distances from start; unreachable vertices get Infinity
+function graphDistances(graph, start) {
+  const distances = new Array(graph.neighbors.length).fill(Infinity);
+  distances[start] = 0;
+  const queue = [start];
+  for (let head = 0; head < queue.length; head++) {
+    const v = queue[head];
+    graph.neighbors[v].forEach(u => {
+      if (distances[u] === Infinity) {
+        distances[u] = distances[v] + 1;
+        queue.push(u);
+      }
+    });
+  }
+  return distances;
+}
+
+// Coined walk on the arcs (v → u) of the graph: a coin mixes the amplitudes leaving each
+// vertex, then the flip-flop shift moves the amplitude on v → u to u → v. The DFT coin
+// reduces to the Hadamard coin on vertices of degree 2; the Grover coin is 2/d J - I.
+class DiscreteQuantumWalk {
+  constructor(graph, start, coin = 'dft') {
+    this.graph = graph;
+    this.coin = coin;
+    this.offsets = [];
+    this.reverse = [];
+
+    let arcs = 0;
+    graph.neighbors.forEach(list => {
+      this.offsets.push(arcs);
+      arcs += list.length;
+    });
+    graph.neighbors.forEach((list, v) => {
+      list.forEach((u, j) => {
+        this.reverse[this.offsets[v] + j] = this.offsets[u] + graph.neighbors[u].indexOf(v);
+      });
+    });
+
+    this.re = new Float64Array(arcs);
+    this.im = new Float64Array(arcs);
+    // Coin state i^j / √d, the symmetric start of the Hadamard walk on a line
+    const degree = graph.neighbors[start].length;
+    for (let j = 0; j < degree; j++) {
+      const phase = j * Math.PI / 2;
+      this.re[this.offsets[start] + j] = Math.cos(phase) / Math.sqrt(degree);
+      this.im[this.offsets[start] + j] = Math.sin(phase) / Math.sqrt(degree);
+    }
+    this.nextRe = new Float64Array(arcs);
+    this.nextIm = new Float64Array(arcs);
+  }
+
+  step() {
+    const { re, im, nextRe, nextIm } = this;
+    this.graph.neighbors.forEach((list, v) => {
+      const offset = this.offsets[v];
+      const degree = list.length;
+
+      if (this.coin === 'grover') {
+        let sumRe = 0;
+        let sumIm = 0;
+        for (let k = 0; k < degree; k++) {
+          sumRe += re[offset + k];
+          sumIm += im[offset + k];
+        }
+        for (let j = 0; j < degree; j++) {
+          const target = this.reverse[offset + j];
+          nextRe[target] = 2 * sumRe / degree - re[offset + j];
+          nextIm[target] = 2 * sumIm / degree - im[offset + j];
+        }
+        return;
+      }
+
+      const scale = 1 / Math.sqrt(degree);
+      for (let j = 0; j < degree; j++) {
+        let sumRe = 0;
+        let sumIm = 0;
+        for (let k = 0; k < degree; k++) {
+          const angle = 2 * Math.PI * j * k / degree;
+          const c = Math.cos(angle);
+          const s = Math.sin(angle);
+          sumRe += c * re[offset + k] - s * im[offset + k];
+          sumIm += c * im[offset + k] + s * re[offset + k];
+        }
+        const target = this.reverse[offset + j];
+        nextRe[target] = sumRe * scale;
+        nextIm[target] = sumIm * scale;
+      }
+    });
+
+    this.re = nextRe;
+    this.im = nextIm;
+    this.nextRe = re;
+    this.nextIm = im;
+  }
+
+  probabilities() {
+    return this.graph.neighbors.map((list, v) => {
+      let p = 0;
+      for (let j = 0; j < list.length; j++) {
+        const arc = this.offsets[v] + j;
+        p += this.re[arc] * this.re[arc] + this.im[arc] * this.im[arc];
+      }
+      return p;
+    });
+  }
+}
+
+// ψ' = -i γ L ψ with the graph Laplacian L = D - A, integrated with fourth-order Runge-Kutta
+class ContinuousQuantumWalk {
+  constructor(graph, start, rate = 1) {
+    this.graph = graph;
+    this.rate = rate;
+    this.re = new Float64Array(graph.neighbors.length);
+    this.im = new Float64Array(graph.neighbors.length);
+    this.re[start] = 1;
+  }
+
+  // (dRe, dIm) = -i γ L (re, im)
+  derivative(re, im) {
+    const n = re.length;
+    const dRe = new Float64Array(n);
+    const dIm = new Float64Array(n);
+    this.graph.neighbors.forEach((list, v) => {
+      let lRe = list.length * re[v];
+      let lIm = list.length * im[v];
+      list.forEach(u => {
+        lRe -= re[u];
+        lIm -= im[u];
+      });
+      dRe[v] = this.rate * lIm;
+      dIm[v] = -this.rate * lRe;
+    });
+    return [dRe, dIm];
+  }
+
+  evolve(time) {
+    [this.re, this.im] = rungeKutta([this.re, this.im], time, maxStep(this.graph, this.rate), (state) => this.derivative(...state));
+    // Runge-Kutta is not exactly unitary; keep the walk normalised
+    const norm = Math.sqrt(this.re.reduce((sum, v, i) => sum + v * v + this.im[i] * this.im[i], 0));
+    for (let i = 0; i < this.re.length; i++) {
+      this.re[i] /= norm;
+      this.im[i] /= norm;
+    }
+  }
+
+  probabilities() {
+    return Array.from(this.re, (v, i) => v * v + this.im[i] * this.im[i]);
+  }
+}
+
+// Simple random walk to a uniformly chosen neighbour each step, or with rate γ along every
+// edge in continuous time (p' = -γ L p), matching the quantum walk it is compared with
+class ClassicalWalk {
+  constructor(graph, start, rate = 1) {
+    this.graph = graph;
+    this.rate = rate;
+    this.p = new Float64Array(graph.neighbors.length);
+    this.p[start] = 1;
+  }
+
+  step() {
+    const next = new Float64Array(this.p.length);
+    this.graph.neighbors.forEach((list, v) => {
+      const share = this.p[v] / list.length;
+      list.forEach(u => { next[u] += share; });
+    });
+    this.p = next;
+  }
+
+  evolve(time) {
+    [this.p] = rungeKutta([this.p], time, maxStep(this.graph, this.rate), ([p]) => {
+      const dp = new Float64Array(p.length);
+      this.graph.neighbors.forEach((list, v) => {
+        dp[v] = -this.rate * list.length * p[v];
+        list.forEach(u => { dp[v] += this.rate * p[u]; });
+      });
+      return [dp];
+    });
+  }
+
+  probabilities() {
+    return Array.from(this.p);
+  }
+}
+
+function maxStep(graph, rate) {
+  const maxDegree = graph.neighbors.reduce((max, list) => Math.max(max, list.length), 1);
+  return MAX_RK_STEP / (Math.abs(rate) * maxDegree || 1);
+}
+
+function rungeKuttaSubsteps(time, maxH) {
+  return Math.max(1, Math.ceil(time / maxH));
+}
+
+// Advance a list of equally sized arrays by `time` with RK4 substeps no longer than maxH
+function rungeKutta(state, time, maxH, derivative) {
+  const substeps = rungeKuttaSubsteps(time, maxH);
+  const h = time / substeps;
+  const combine = (base, delta, factor) => base.map((array, a) => array.map((v, i) => v + factor * delta[a][i]));
+
+  for (let s = 0; s < substeps; s++) {
+    const k1 = derivative(state);
+    const k2 = derivative(combine(state, k1, h / 2));
+    const k3 = derivative(combine(state, k2, h / 2));
+    const k4 = derivative(combine(state, k3, h));
+    state = state.map((array, a) => array.map((v, i) => v + h / 6 * (k1[a][i] + 2 * k2[a][i] + 2 * k3[a][i] + k4[a][i])));
+  }
+  return state;
+}
+
+// A quantum walk and its classical counterpart started on the same vertex
+class QuantumWalkComparison {
+  // options: { walkType, graph, size, adjacency, start, target, coin, hoppingRate, timeStep,
+  // hittingThreshold }. start defaults to the middle vertex and target to the vertex
+  // farthest from start.
+  constructor(options) {
+    const { walkType = 'discrete', graph: graphType = 'line', size = 201, adjacency = null, coin = 'dft',
+      hoppingRate = 1, timeStep = 0.1, hittingThreshold = 0.1 } = options;
+    if (!WALK_TYPES.includes(walkType)) throw new Error(`walkType must be one of ${WALK_TYPES.join(', ')}`);
+    if (!COINS.includes(coin)) throw new Error(`coin must be one of ${COINS.join(', ')}`);
+
+    this.graph = buildGraph(graphType, size, adjacency);
+    const vertices = this.graph.neighbors.length;
+    const middle = graphType === 'grid' ? Math.floor(size / 2) * size + Math.floor(size / 2) : Math.floor(vertices / 2);
+    this.start = options.start ?? middle;
+    if (!Number.isInteger(this.start) || this.start < 0 || this.start >= vertices) {
+      throw new Error(`start must be a vertex between 0 and ${vertices - 1}`);
+    }
+
+    this.distances = graphDistances(this.graph, this.start);
+    const reachable = this.distances.map((d, v) => (d === Infinity ? -1 : d));
+    this.target = options.target ?? reachable.indexOf(Math.max(...reachable));
+    if (!Number.isInteger(this.target) || this.target < 0 || this.target >= vertices) {
+      throw new Error(`target must be a vertex between 0 and ${vertices - 1}`);
+    }
+
+    if (walkType === 'continuous') {
+      const allowedSubsteps = Math.floor(MAX_RK_WORK / vertices);
+      if (rungeKuttaSubsteps(timeStep, maxStep(this.graph, hoppingRate)) > allowedSubsteps) {
+        const maxDegree = this.graph.neighbors.reduce((max, list) => Math.max(max, list.length), 1);
+        throw new Error(`hoppingRate × timeStep × maximum degree (${+(hoppingRate * timeStep * maxDegree).toFixed(3)}) must be at most ${+(allowedSubsteps * MAX_RK_STEP).toFixed(3)} on ${vertices} vertices`);
+      }
+    }
+
+    this.walkType = walkType;
+    this.timeStep = timeStep;
+    this.hittingThreshold = hittingThreshold;
+    this.quantum = walkType === 'discrete'
+      ? new DiscreteQuantumWalk(this.graph, this.start, coin)
+      : new ContinuousQuantumWalk(this.graph, this.start, hoppingRate);
+    this.classical = new ClassicalWalk(this.graph, this.start, hoppingRate);
+    this.steps = 0;
+    this.time = 0;
+    this.hittingTime = { quantum: null, classical: null };
+    this.snapshot = this.measure();
+  }
+
+  // One coin-and-shift step, or timeStep of continuous evolution
+  advance() {
+    if (this.walkType === 'discrete') {
+      this.quantum.step();
+      this.classical.step();
+      this.time += 1;
+    } else {
+      this.quantum.evolve(this.timeStep);
+      this.classical.evolve(this.timeStep);
+      this.time += this.timeStep;
+    }
+    this.steps++;
+    this.snapshot = this.measure();
+    return this.snapshot;
+  }
+
+  // Distributions, RMS graph distance from the start and first times the target's
+  // probability reached hittingThreshold
+  measure() {
+    const quantum = this.quantum.probabilities();
+    const classical = this.classical.probabilities();
+    const spread = (p) => Math.sqrt(p.reduce((sum, value, v) => (this.distances[v] === Infinity ? sum : sum + value * this.distances[v] ** 2), 0));
+
+    if (this.hittingTime.quantum === null && quantum[this.target] >= this.hittingThreshold) this.hittingTime.quantum = this.time;
+    if (this.hittingTime.classical === null && classical[this.target] >= this.hittingThreshold) this.hittingTime.classical = this.time;
+
+    return {
+      step: this.steps,
+      time: this.time,
+      distribution: quantum,
+      classicalDistribution: classical,
+      spread: { quantum: spread(quantum), classical: spread(classical) },
+      targetProbability: { quantum: quantum[this.target], classical: classical[this.target] },
+      hittingTime: { ...this.hittingTime }
+    };
+  }
+}
+
+// Sums of consecutive vertex probabilities so that at most maxBins values remain
+function binDistribution(distribution, maxBins) {
+  const binSize = Math.max(1, Math.ceil(distribution.length / maxBins));
+  const bins = new Array(Math.ceil(distribution.length / binSize)).fill(0);
+  distribution.forEach((p, v) => { bins[Math.floor(v / binSize)] += p; });
+  return { binSize: binSize, bins: bins };
+}
+
+module.exports = {
+  GRAPH_TYPES,
+  WALK_TYPES,
+  COINS,
+  MAX_VERTICES,
+  MAX_RK_WORK,
+  binDistribution,
+  buildGraph,
+  graphDistances,
+  DiscreteQuantumWalk,
+  ContinuousQuantumWalk,
+  ClassicalWalk,
+  QuantumWalkComparison
+};
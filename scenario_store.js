@@ -0,0 +1,368 @@
+// Simulation Snapshots and Scenario Files
+// This file implements the versioned JSON scenario format for the physics-relevant parts of
+// the simulation state, its validation, and a directory of named scenarios on disk
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SCENARIO_FORMAT = 'alphathrone-scenario';
+const SCENARIO_VERSION = 1;
+const SCENARIO_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Top-level simulation state keys captured in a scenario
+const SCENARIO_STATE_KEYS = [
+  'time',
+  'chaosLevel',
+  'dimension',
+  'temperature',
+  'pressure',
+  'magneticField',
+  'simulationMode',
+  'activeTypes',
+  'population',
+  'integration',
+  'boundary',
+  'fields',
+  'particles',
+  'entanglementGroups',
+  'experiments',
+  'spinNetworks',
+  'quantumGates'
+];
+
+// Allowed values of the scalar settings, matching the REST API limits
+const SIMULATION_MODES = ['quantum', 'classical', 'relativistic'];
+const QUANTUM_GATE_TYPES = ['H', 'X', 'Y', 'Z', 'CNOT', 'SWAP'];
+const SCENARIO_RANGES = {
+  chaosLevel: { min: 0, max: 1 },
+  dimension: { min: 2, max: 4, integer: true },
+  temperature: { min: 0, max: 1000 },
+  pressure: { min: 0, max: 10 }
+};
+
+const isFiniteVector = (value) => Boolean(value) && typeof value === 'object' &&
+  ['x', 'y', 'z'].every(axis => Number.isFinite(value[axis]));
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Particle properties a scenario may set; restoring rebuilds every other property from the
+// particle type, and missing entries of the nested objects keep their rebuilt values
+const PARTICLE_SCALAR_KEYS = ['energy', 'mass', 'charge', 'spin', 'lifetime', 'fieldCoupling', 'boundaryEvents'];
+const PARTICLE_OBJECT_KEYS = {
+  quantumState: { phase: 'number', amplitude: 'number', spin: 'number', superposition: 'boolean', spinDirection: 'vector' },
+  waveFunction: { real: 'number', imaginary: 'number' },
+  experimentData: { tunnelingX: 'number' }
+};
+const VALUE_KINDS = {
+  number: { test: Number.isFinite, requirement: 'must be a finite number' },
+  boolean: { test: value => typeof value === 'boolean', requirement: 'must be a boolean' },
+  vector: { test: isFiniteVector, requirement: 'must have finite x, y and z' }
+};
+
+// Upgraders from older scenario versions, keyed by the version they upgrade from
+const SCENARIO_MIGRATIONS = {};
+
+class ScenarioError extends Error {
+  constructor(message, details = [], status = 400) {
+    super(message);
+    this.name = 'ScenarioError';
+    this.details = details;
+    this.status = status;
+  }
+}
+
+class ScenarioStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  // Serialize the physics-relevant state plus the PRNG position into a scenario document
+  createScenario(state, random, metadata = {}) {
+    const scenarioState = {};
+    SCENARIO_STATE_KEYS.forEach(key => {
+      if (state[key] !== undefined) {
+        scenarioState[key] = state[key];
+      }
+    });
+
+    return JSON.parse(JSON.stringify({
+      format: SCENARIO_FORMAT,
+      version: SCENARIO_VERSION,
+      name: metadata.name || null,
+      description: metadata.description || '',
+      savedAt: new Date().toISOString(),
+      random: random,
+      state: scenarioState
+    }));
+  }
+
+  // Upgrade and validate a scenario document; throws ScenarioError listing every problem
+  parseScenario(scenario, particleTypes) {
+    if (!scenario || typeof scenario !== 'object' || scenario.format !== SCENARIO_FORMAT) {
+      throw new ScenarioError(`Scenario must be an object with format "${SCENARIO_FORMAT}"`);
+    }
+
+    let upgraded = scenario;
+    while (upgraded.version < SCENARIO_VERSION && SCENARIO_MIGRATIONS[upgraded.version]) {
+      upgraded = SCENARIO_MIGRATIONS[upgraded.version](upgraded);
+    }
+
+    if (upgraded.version !== SCENARIO_VERSION) {
+      throw new ScenarioError(`Unsupported scenario version: ${scenario.version}`);
+    }
+
+    const errors = [];
+    const state = upgraded.state;
+
+    if (!state || typeof state !== 'object') {
+      throw new ScenarioError('Scenario is missing its state', ['state must be an object']);
+    }
+
+    if (!Array.isArray(state.particles)) {
+      errors.push('state.particles must be an array');
+    } else {
+      const ids = new Set();
+      state.particles.forEach((particle, index) => {
+        const where = `state.particles[${index}]`;
+        if (!particle || typeof particle !== 'object') {
+          errors.push(`${where} must be an object`);
+          return;
+        }
+        if (!particleTypes.includes(particle.type)) {
+          errors.push(`${where}.type must be one of ${particleTypes.join(', ')}`);
+        }
+        if (particle.id === undefined || ids.has(particle.id)) {
+          errors.push(`${where}.id must be present and unique`);
+        }
+        ids.add(particle.id);
+        ['position', 'velocity'].forEach(vector => {
+          if (!isFiniteVector(particle[vector])) {
+            errors.push(`${where}.${vector} must have finite x, y and z`);
+          }
+        });
+        PARTICLE_SCALAR_KEYS.forEach(key => {
+          if (particle[key] !== undefined && !Number.isFinite(particle[key])) {
+            errors.push(`${where}.${key} must be a finite number`);
+          }
+        });
+        Object.entries(PARTICLE_OBJECT_KEYS).forEach(([key, shape]) => {
+          const value = particle[key];
+          if (value === undefined) return;
+          if (!isPlainObject(value)) {
+            errors.push(`${where}.${key} must be an object`);
+            return;
+          }
+          Object.entries(shape).forEach(([property, kind]) => {
+            if (value[property] !== undefined && !VALUE_KINDS[kind].test(value[property])) {
+              errors.push(`${where}.${key}.${property} ${VALUE_KINDS[kind].requirement}`);
+            }
+          });
+        });
+      });
+
+      state.particles.forEach((particle, index) => {
+        if (!particle || particle.entangledWith === undefined || particle.entangledWith === null) return;
+        if (particle.entangledWith === particle.id || !ids.has(particle.entangledWith)) {
+          errors.push(`state.particles[${index}].entangledWith must be null or the id of another particle`);
+        }
+      });
+    }
+
+    if (state.time !== undefined && !Number.isFinite(state.time)) {
+      errors.push('state.time must be a finite number');
+    }
+
+    Object.entries(SCENARIO_RANGES).forEach(([key, { min, max, integer }]) => {
+      const value = state[key];
+      if (value === undefined) return;
+      if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+        errors.push(`state.${key} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+      }
+    });
+
+    if (state.magneticField !== undefined && !isFiniteVector(state.magneticField)) {
+      errors.push('state.magneticField must have finite x, y and z');
+    }
+
+    if (state.simulationMode !== undefined && !SIMULATION_MODES.includes(state.simulationMode)) {
+      errors.push(`state.simulationMode must be one of ${SIMULATION_MODES.join(', ')}`);
+    }
+
+    if (state.activeTypes !== undefined) {
+      if (!Array.isArray(state.activeTypes) || !state.activeTypes.every(type => particleTypes.includes(type)) ||
+        new Set(state.activeTypes).size !== state.activeTypes.length) {
+        errors.push(`state.activeTypes must be a list of distinct particle types (${particleTypes.join(', ')})`);
+      }
+    }
+
+    if (state.spinNetworks !== undefined) {
+      if (!Array.isArray(state.spinNetworks)) {
+        errors.push('state.spinNetworks must be an array');
+      } else {
+        state.spinNetworks.forEach((network, index) => {
+          const where = `state.spinNetworks[${index}]`;
+          if (!network || typeof network !== 'object') {
+            errors.push(`${where} must be an object`);
+            return;
+          }
+          if (!Number.isInteger(network.id)) errors.push(`${where}.id must be an integer`);
+          ['spin', 'energy', 'time'].forEach(key => {
+            if (!Number.isFinite(network[key])) errors.push(`${where}.${key} must be a finite number`);
+          });
+          ['nodes', 'edges'].forEach(key => {
+            if (!Array.isArray(network[key])) errors.push(`${where}.${key} must be an array`);
+          });
+        });
+      }
+    }
+
+    if (state.quantumGates !== undefined) {
+      if (!Array.isArray(state.quantumGates)) {
+        errors.push('state.quantumGates must be an array');
+      } else {
+        state.quantumGates.forEach((gate, index) => {
+          const where = `state.quantumGates[${index}]`;
+          if (!gate || typeof gate !== 'object') {
+            errors.push(`${where} must be an object`);
+            return;
+          }
+          if (!QUANTUM_GATE_TYPES.includes(gate.type)) {
+            errors.push(`${where}.type must be one of ${QUANTUM_GATE_TYPES.join(', ')}`);
+          }
+          if (!isFiniteVector(gate.position)) errors.push(`${where}.position must have finite x, y and z`);
+          if (typeof gate.active !== 'boolean') errors.push(`${where}.active must be a boolean`);
+          if (!Array.isArray(gate.targetParticles)) errors.push(`${where}.targetParticles must be an array`);
+        });
+      }
+    }
+
+    if (state.fields !== undefined) {
+      if (!isPlainObject(state.fields)) {
+        errors.push('state.fields must be an object');
+      } else {
+        Object.entries(state.fields).forEach(([name, field]) => {
+          if (!isPlainObject(field) || !Object.values(field).every(Number.isFinite)) {
+            errors.push(`state.fields.${name} must be an object of finite numbers`);
+          }
+        });
+      }
+    }
+
+    if (state.experiments !== undefined && (typeof state.experiments !== 'object' || state.experiments === null)) {
+      errors.push('state.experiments must be an object');
+    }
+
+    if (state.entanglementGroups !== undefined) {
+      if (!Array.isArray(state.entanglementGroups)) {
+        errors.push('state.entanglementGroups must be an array');
+      } else {
+        const particleIds = new Set(Array.isArray(state.particles) ? state.particles.map(particle => particle && particle.id) : []);
+        state.entanglementGroups.forEach((group, index) => {
+          const where = `state.entanglementGroups[${index}]`;
+          if (!isPlainObject(group)) {
+            errors.push(`${where} must be an object`);
+            return;
+          }
+          if (!Number.isInteger(group.id)) errors.push(`${where}.id must be an integer`);
+          if (!Array.isArray(group.particles) || group.particles.length < 2 ||
+            new Set(group.particles).size !== group.particles.length || !group.particles.every(id => particleIds.has(id))) {
+            errors.push(`${where}.particles must list at least two distinct ids of particles in the scenario`);
+          }
+          if (group.correlation !== undefined && !(Number.isFinite(group.correlation) && group.correlation >= 0 && group.correlation <= 1)) {
+            errors.push(`${where}.correlation must be a number between 0 and 1`);
+          }
+          if (group.type !== undefined && typeof group.type !== 'string') errors.push(`${where}.type must be a string`);
+        });
+      }
+    }
+
+    const random = upgraded.random;
+    if (random !== undefined && !(random && Number.isInteger(random.seed) && Number.isInteger(random.state))) {
+      errors.push('random must contain integer seed and state');
+    }
+
+    if (errors.length > 0) {
+      throw new ScenarioError('Invalid scenario', errors);
+    }
+
+    return upgraded;
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const scenarios = [];
+    for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+      try {
+        const scenario = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+        scenarios.push({
+          name: path.basename(file, '.json'),
+          description: scenario.description || '',
+          savedAt: scenario.savedAt || null,
+          version: scenario.version,
+          particleCount: scenario.state && Array.isArray(scenario.state.particles) ? scenario.state.particles.length : 0
+        });
+      } catch (error) {
+        // Skip unreadable files rather than failing the whole listing
+      }
+    }
+    return scenarios;
+  }
+
+  async load(name) {
+    const file = this.resolvePath(name);
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ScenarioError(`Scenario not found: ${name}`, [], 404);
+      }
+      if (error instanceof SyntaxError) {
+        throw new ScenarioError(`Scenario file is not valid JSON: ${name}`);
+      }
+      throw error;
+    }
+  }
+
+  async save(name, scenario) {
+    const file = this.resolvePath(name);
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ ...scenario, name: name }, null, 2));
+    return file;
+  }
+
+  async remove(name) {
+    try {
+      await fs.unlink(this.resolvePath(name));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  resolvePath(name) {
+    if (typeof name !== 'string' || !SCENARIO_NAME_PATTERN.test(name)) {
+      throw new ScenarioError('Scenario names may only contain letters, digits, "_" and "-" (max 64)');
+    }
+    return path.join(this.directory, `${name}.json`);
+  }
+}
+
+module.exports = {
+  ScenarioStore,
+  ScenarioError,
+  SCENARIO_STATE_KEYS,
+  PARTICLE_SCALAR_KEYS,
+  PARTICLE_OBJECT_KEYS,
+  SIMULATION_MODES,
+  QUANTUM_GATE_TYPES,
+  SCENARIO_FORMAT,
+  SCENARIO_VERSION
+};
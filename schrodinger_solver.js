@@ -0,0 +1,318 @@
+// Time-Dependent Schrödinger Solver
+// This file implements a split-operator (Strang splitting) solver for one- and
+// two-dimensional wave functions on a periodic grid, in units where ħ = m = 1: half a
+// potential step in position space, a full kinetic step in momentum space via FFT, and
+// another half potential step. It also provides the potentials and initial states used by
+// the wave_evolution experiment template.
+
+const POTENTIAL_TYPES = ['harmonic', 'square', 'coulomb', 'free'];
+const INITIAL_STATES = ['gaussian', 'square', 'exponential'];
+
+// Smallest possible Δx·Δp in these units
+const HEISENBERG_BOUND = 0.5;
+
+const SQUARE_WELL_HALF_WIDTH = 2;
+const COULOMB_SOFTENING = 0.5;
+
+const fftTables = new Map();
+
+// Bit-reversal permutation and twiddle factors, shared by every transform of size n
+function fftTable(n) {
+  if (!fftTables.has(n)) {
+    const bits = Math.log2(n);
+    const reversed = new Uint32Array(n);
+    for (let i = 0; i < n; i++) {
+      let r = 0;
+      for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+      reversed[i] = r;
+    }
+    const cos = new Float64Array(n / 2);
+    const sin = new Float64Array(n / 2);
+    for (let i = 0; i < n / 2; i++) {
+      cos[i] = Math.cos(2 * Math.PI * i / n);
+      sin[i] = Math.sin(2 * Math.PI * i / n);
+    }
+    fftTables.set(n, { reversed, cos, sin });
+  }
+  return fftTables.get(n);
+}
+
+// In-place radix-2 FFT; the inverse transform includes the 1/n factor
+function fft(re, im, inverse = false) {
+  const n = re.length;
+  const { reversed, cos, sin } = fftTable(n);
+  const direction = inverse ? 1 : -1;
+
+  for (let i = 0; i < n; i++) {
+    const j = reversed[i];
+    if (j > i) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size *= 2) {
+    const half = size / 2;
+    const stride = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * stride];
+        const wi = direction * sin[k * stride];
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+// Potentials are centred on the origin; strength is ω² for the oscillator, the depth of the
+// square well and the charge of the (softened) Coulomb well
+function createPotential(type, strength = 1) {
+  switch (type) {
+    case 'harmonic':
+      return (x, y) => 0.5 * strength * (x * x + y * y);
+    case 'square':
+      return (x, y) => (Math.abs(x) < SQUARE_WELL_HALF_WIDTH && Math.abs(y) < SQUARE_WELL_HALF_WIDTH ? -strength : 0);
+    case 'coulomb':
+      return (x, y) => -strength / Math.sqrt(x * x + y * y + COULOMB_SOFTENING * COULOMB_SOFTENING);
+    case 'free':
+      return () => 0;
+    default:
+      throw new Error(`Unknown potential type: ${type}`);
+  }
+}
+
+// A packet centred at (position, 0) with width `width` moving along x with wave number
+// `momentum`; returns [re, im] before normalisation
+function createInitialState(type, { position = 0, momentum = 0, width = 1 } = {}) {
+  const envelope = {
+    gaussian: (u) => Math.exp(-u * u / (4 * width * width)),
+    square: (u) => (Math.abs(u) <= width ? 1 : 0),
+    exponential: (u) => Math.exp(-Math.abs(u) / width)
+  }[type];
+  if (!envelope) throw new Error(`Unknown initial state: ${type}`);
+
+  return (x, y, dimensions) => {
+    const magnitude = envelope(x - position) * (dimensions === 2 ? envelope(y) : 1);
+    return [magnitude * Math.cos(momentum * x), magnitude * Math.sin(momentum * x)];
+  };
+}
+
+class SchrodingerSolver {
+  // gridSize points per axis (a power of two) on a periodic box [-length/2, length/2)
+  constructor({ dimensions = 1, gridSize = 256, length = 20, timeStep = 0.01 } = {}) {
+    if (dimensions !== 1 && dimensions !== 2) {
+      throw new Error('dimensions must be 1 or 2');
+    }
+    if (!Number.isInteger(Math.log2(gridSize))) {
+      throw new Error('gridSize must be a power of two');
+    }
+
+    this.dimensions = dimensions;
+    this.gridSize = gridSize;
+    this.length = length;
+    this.timeStep = timeStep;
+    this.dx = length / gridSize;
+    this.cellVolume = Math.pow(this.dx, dimensions);
+    this.points = Math.pow(gridSize, dimensions);
+    this.time = 0;
+
+    this.x = Float64Array.from({ length: gridSize }, (_, i) => -length / 2 + i * this.dx);
+    this.k = Float64Array.from({ length: gridSize }, (_, i) => 2 * Math.PI / length * (i < gridSize / 2 ? i : i - gridSize));
+
+    this.re = new Float64Array(this.points);
+    this.im = new Float64Array(this.points);
+    this.potential = new Float64Array(this.points);
+
+    // exp(-i k² dt / 2), applied in momentum space
+    this.kineticRe = new Float64Array(this.points);
+    this.kineticIm = new Float64Array(this.points);
+    this.forEachPoint((index, i, j) => {
+      const k2 = this.k[i] * this.k[i] + (dimensions === 2 ? this.k[j] * this.k[j] : 0);
+      this.kineticRe[index] = Math.cos(-k2 * timeStep / 2);
+      this.kineticIm[index] = Math.sin(-k2 * timeStep / 2);
+    });
+    this.setPotential(() => 0);
+  }
+
+  // callback(index, i, j) where i is the x index and j the y index (0 in 1D)
+  forEachPoint(callback) {
+    const n = this.gridSize;
+    if (this.dimensions === 1) {
+      for (let i = 0; i < n; i++) callback(i, i, 0);
+    } else {
+      for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) callback(j * n + i, i, j);
+      }
+    }
+  }
+
+  setPotential(potential) {
+    this.forEachPoint((index, i, j) => {
+      this.potential[index] = potential(this.x[i], this.dimensions === 2 ? this.x[j] : 0);
+    });
+    // exp(-i V dt / 2), applied in position space
+    this.potentialRe = this.potential.map(v => Math.cos(-v * this.timeStep / 2));
+    this.potentialIm = this.potential.map(v => Math.sin(-v * this.timeStep / 2));
+  }
+
+  setWaveFunction(initialState) {
+    this.forEachPoint((index, i, j) => {
+      const [re, im] = initialState(this.x[i], this.dimensions === 2 ? this.x[j] : 0, this.dimensions);
+      this.re[index] = re;
+      this.im[index] = im;
+    });
+
+    const norm = Math.sqrt(this.norm());
+    if (norm === 0) throw new Error('Initial state vanishes on the grid');
+    for (let index = 0; index < this.points; index++) {
+      this.re[index] /= norm;
+      this.im[index] /= norm;
+    }
+    this.time = 0;
+  }
+
+  step(count = 1) {
+    for (let s = 0; s < count; s++) {
+      multiply(this.re, this.im, this.potentialRe, this.potentialIm);
+      this.transform(this.re, this.im, false);
+      multiply(this.re, this.im, this.kineticRe, this.kineticIm);
+      this.transform(this.re, this.im, true);
+      multiply(this.re, this.im, this.potentialRe, this.potentialIm);
+      this.time += this.timeStep;
+    }
+  }
+
+  // FFT along every axis
+  transform(re, im, inverse) {
+    const n = this.gridSize;
+    if (this.dimensions === 1) {
+      fft(re, im, inverse);
+      return;
+    }
+
+    for (let j = 0; j < n; j++) {
+      fft(re.subarray(j * n, (j + 1) * n), im.subarray(j * n, (j + 1) * n), inverse);
+    }
+    const columnRe = new Float64Array(n);
+    const columnIm = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        columnRe[j] = re[j * n + i];
+        columnIm[j] = im[j * n + i];
+      }
+      fft(columnRe, columnIm, inverse);
+      for (let j = 0; j < n; j++) {
+        re[j * n + i] = columnRe[j];
+        im[j * n + i] = columnIm[j];
+      }
+    }
+  }
+
+  norm() {
+    let sum = 0;
+    for (let index = 0; index < this.points; index++) {
+      sum += this.re[index] * this.re[index] + this.im[index] * this.im[index];
+    }
+    return sum * this.cellVolume;
+  }
+
+  // Expectation values of position and momentum per axis, their spreads, the uncertainty
+  // product along x and the total energy
+  observables() {
+    const axes = this.dimensions === 2 ? ['x', 'y'] : ['x'];
+    const moments = () => ({ x: [0, 0], y: [0, 0] });
+    const position = moments();
+    const momentum = moments();
+    let potentialEnergy = 0;
+
+    const norm = this.norm();
+    this.forEachPoint((index, i, j) => {
+      const density = (this.re[index] * this.re[index] + this.im[index] * this.im[index]) * this.cellVolume / norm;
+      position.x[0] += density * this.x[i];
+      position.x[1] += density * this.x[i] * this.x[i];
+      position.y[0] += density * this.x[j];
+      position.y[1] += density * this.x[j] * this.x[j];
+      potentialEnergy += density * this.potential[index];
+    });
+
+    const re = this.re.slice();
+    const im = this.im.slice();
+    this.transform(re, im, false);
+    let total = 0;
+    for (let index = 0; index < this.points; index++) total += re[index] * re[index] + im[index] * im[index];
+    this.forEachPoint((index, i, j) => {
+      const weight = (re[index] * re[index] + im[index] * im[index]) / total;
+      momentum.x[0] += weight * this.k[i];
+      momentum.x[1] += weight * this.k[i] * this.k[i];
+      momentum.y[0] += weight * this.k[j];
+      momentum.y[1] += weight * this.k[j] * this.k[j];
+    });
+
+    const spread = ([mean, square]) => Math.sqrt(Math.max(square - mean * mean, 0));
+    const result = {
+      time: this.time,
+      norm: norm,
+      position: {},
+      momentum: {},
+      deltaX: {},
+      deltaP: {},
+      energy: potentialEnergy
+    };
+    axes.forEach(axis => {
+      result.position[axis] = position[axis][0];
+      result.momentum[axis] = momentum[axis][0];
+      result.deltaX[axis] = spread(position[axis]);
+      result.deltaP[axis] = spread(momentum[axis]);
+      result.energy += momentum[axis][1] / 2;
+    });
+    result.uncertaintyProduct = result.deltaX.x * result.deltaP.x;
+    return result;
+  }
+
+  // Probability density summed into `resolution` bins per axis (probabilities, not densities)
+  density(resolution = 64) {
+    const bins = Math.min(resolution, this.gridSize);
+    const factor = this.gridSize / bins;
+    const histogram = new Array(Math.pow(bins, this.dimensions)).fill(0);
+    this.forEachPoint((index, i, j) => {
+      const bin = this.dimensions === 1
+        ? Math.floor(i / factor)
+        : Math.floor(j / factor) * bins + Math.floor(i / factor);
+      histogram[bin] += (this.re[index] * this.re[index] + this.im[index] * this.im[index]) * this.cellVolume;
+    });
+    return histogram;
+  }
+}
+
+// (re, im) *= (factorRe, factorIm), element-wise
+function multiply(re, im, factorRe, factorIm) {
+  for (let index = 0; index < re.length; index++) {
+    const r = re[index] * factorRe[index] - im[index] * factorIm[index];
+    im[index] = re[index] * factorIm[index] + im[index] * factorRe[index];
+    re[index] = r;
+  }
+}
+
+module.exports = {
+  SchrodingerSolver,
+  POTENTIAL_TYPES,
+  INITIAL_STATES,
+  HEISENBERG_BOUND,
+  createPotential,
+  createInitialState,
+  fft
+};
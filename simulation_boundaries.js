@@ -0,0 +1,142 @@
+// Boundary Conditions for the Simulation Volume
+// This file implements periodic, reflecting, absorbing and open (re-injecting) boundaries
+// for the axis-aligned simulation box, plus the box description sent to clients for drawing
+
+const BOUNDARY_MODES = ['periodic', 'reflecting', 'absorbing', 'open'];
+
+const DEFAULT_BOUNDARY = {
+  mode: 'periodic',
+  halfExtent: { x: 10, y: 10, z: 10 } // the box spans -halfExtent..+halfExtent per axis
+};
+
+const MAX_HALF_EXTENT = 1000;
+const AXES = ['x', 'y', 'z'];
+
+class SimulationBoundary {
+  createDefault() {
+    return { mode: DEFAULT_BOUNDARY.mode, halfExtent: { ...DEFAULT_BOUNDARY.halfExtent } };
+  }
+
+  // Merge user options over the current boundary, collecting validation errors.
+  // halfExtent may be a single number (cube) or per-axis { x, y, z }.
+  resolve(options, current = DEFAULT_BOUNDARY) {
+    const errors = [];
+    const resolved = { mode: current.mode, halfExtent: { ...current.halfExtent } };
+
+    if (options.mode !== undefined) {
+      if (BOUNDARY_MODES.includes(options.mode)) {
+        resolved.mode = options.mode;
+      } else {
+        errors.push(`mode must be one of ${BOUNDARY_MODES.join(', ')}`);
+      }
+    }
+
+    if (options.halfExtent !== undefined) {
+      const extent = typeof options.halfExtent === 'number'
+        ? { x: options.halfExtent, y: options.halfExtent, z: options.halfExtent }
+        : options.halfExtent;
+
+      if (!extent || typeof extent !== 'object') {
+        errors.push('halfExtent must be a number or an object with x, y and z');
+      } else {
+        AXES.forEach(axis => {
+          const value = extent[axis] !== undefined ? extent[axis] : resolved.halfExtent[axis];
+          if (typeof value === 'number' && value > 0 && value <= MAX_HALF_EXTENT) {
+            resolved.halfExtent[axis] = value;
+          } else {
+            errors.push(`halfExtent.${axis} must be a number greater than 0 and at most ${MAX_HALF_EXTENT}`);
+          }
+        });
+      }
+    }
+
+    return { boundary: resolved, errors: errors };
+  }
+
+  getBounds(boundary) {
+    const { x, y, z } = boundary.halfExtent;
+    return { min: { x: -x, y: -y, z: -z }, max: { x: x, y: y, z: z } };
+  }
+
+  // Bring a particle back inside the box. Returns 'inside', 'wrapped', 'reflected',
+  // 'absorbed' (the caller removes the particle) or 'reinjected'.
+  apply(particle, boundary, rng) {
+    const outside = AXES.filter(axis => Math.abs(particle.position[axis]) > boundary.halfExtent[axis]);
+    if (outside.length === 0) return 'inside';
+
+    switch (boundary.mode) {
+      case 'reflecting':
+        outside.forEach(axis => this.reflect(particle, axis, boundary.halfExtent[axis]));
+        return 'reflected';
+      case 'absorbing':
+        return 'absorbed';
+      case 'open':
+        this.reinject(particle, boundary, rng);
+        return 'reinjected';
+      default:
+        outside.forEach(axis => {
+          const half = boundary.halfExtent[axis];
+          particle.position[axis] = this.modulo(particle.position[axis] + half, 2 * half) - half;
+        });
+        return 'wrapped';
+    }
+  }
+
+  // Fold the coordinate back into the box; an odd number of wall hits flips the velocity
+  reflect(particle, axis, half) {
+    const length = 2 * half;
+    const offset = particle.position[axis] + half;
+    const folded = this.modulo(offset, 2 * length);
+    const bounces = Math.floor(offset / length);
+
+    particle.position[axis] = (folded > length ? 2 * length - folded : folded) - half;
+    if (bounces % 2 !== 0) {
+      particle.velocity[axis] = -particle.velocity[axis];
+    }
+  }
+
+  // Re-inject through a random face, keeping the speed and heading into the box
+  reinject(particle, boundary, rng) {
+    const axis = AXES[Math.floor(rng.next() * 3)];
+    const side = rng.next() < 0.5 ? -1 : 1;
+
+    AXES.forEach(other => {
+      const half = boundary.halfExtent[other];
+      particle.position[other] = other === axis ? side * half : (rng.next() * 2 - 1) * half;
+    });
+
+    const speed = Math.sqrt(particle.velocity.x ** 2 + particle.velocity.y ** 2 + particle.velocity.z ** 2);
+    const z = rng.next() * 2 - 1;
+    const angle = rng.next() * Math.PI * 2;
+    const r = Math.sqrt(1 - z * z);
+    const direction = { x: r * Math.cos(angle), y: r * Math.sin(angle), z: z };
+    direction[axis] = -side * Math.abs(direction[axis]);
+
+    AXES.forEach(other => {
+      particle.velocity[other] = direction[other] * speed;
+    });
+  }
+
+  // Box description for clients
+  getVisualization(boundary) {
+    const bounds = this.getBounds(boundary);
+    return {
+      shape: 'box',
+      mode: boundary.mode,
+      min: bounds.min,
+      max: bounds.max,
+      size: { x: 2 * boundary.halfExtent.x, y: 2 * boundary.halfExtent.y, z: 2 * boundary.halfExtent.z },
+      periodic: boundary.mode === 'periodic'
+    };
+  }
+
+  modulo(value, length) {
+    return ((value % length) + length) % length;
+  }
+}
+
+module.exports = {
+  SimulationBoundary,
+  BOUNDARY_MODES,
+  DEFAULT_BOUNDARY
+};
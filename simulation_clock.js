@@ -0,0 +1,157 @@
+// Simulation Clock
+// This file implements the clock that drives the server loop: pause/resume, single-stepping,
+// a time-scale multiplier and a ring buffer of recent frames for rewinding the last K seconds
+
+const MAX_TIME_SCALE = 8;
+const MAX_STEP_TICKS = 600;
+
+class SimulationClock {
+  // step() advances the simulation one tick, render() publishes the result,
+  // capture()/restore(data) save and reload a frame for the rewind history
+  constructor({ step, render, capture, restore, tickInterval = 16, timeStep = 0.016, historySeconds = 10, captureInterval = 6 }) {
+    this.stepFn = step;
+    this.render = render;
+    this.capture = capture;
+    this.restore = restore;
+    this.tickInterval = tickInterval;
+    this.timeStep = timeStep;
+    this.historySeconds = historySeconds;
+    this.captureInterval = captureInterval;
+
+    this.tick = 0;
+    this.paused = false;
+    this.timeScale = 1;
+    this.accumulator = 0;
+    this.frames = [];
+    this.dirty = true;
+    this.timer = null;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.onInterval(), this.tickInterval);
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Fractional time scales accumulate, so 0.25 runs one tick every fourth interval
+  onInterval() {
+    if (this.paused) return;
+
+    this.accumulator += this.timeScale;
+    const ticks = Math.floor(this.accumulator);
+    this.accumulator -= ticks;
+
+    if (ticks > 0) {
+      this.advance(ticks);
+      this.render();
+    }
+  }
+
+  pause() {
+    this.paused = true;
+    this.accumulator = 0;
+    this.render();
+  }
+
+  resume() {
+    this.paused = false;
+    this.render();
+  }
+
+  setTimeScale(scale) {
+    this.timeScale = scale;
+    this.render();
+  }
+
+  step(count = 1) {
+    this.advance(count);
+    this.render();
+  }
+
+  // External edits (resets, parameter changes) force a frame before the next tick, so a
+  // rewind never replays across them
+  markDirty() {
+    this.dirty = true;
+  }
+
+  advance(count) {
+    for (let i = 0; i < count; i++) {
+      if (this.dirty || this.tick % this.captureInterval === 0) {
+        this.record();
+      }
+      this.stepFn();
+      this.tick++;
+    }
+  }
+
+  record() {
+    const frame = { tick: this.tick, data: this.capture() };
+    const last = this.frames[this.frames.length - 1];
+
+    if (last && last.tick === frame.tick) {
+      this.frames[this.frames.length - 1] = frame;
+    } else {
+      this.frames.push(frame);
+    }
+    this.dirty = false;
+
+    // Keep the newest frame at or before the horizon so the whole window stays reachable
+    const horizon = this.tick - this.getHistoryTicks();
+    while (this.frames.length > 1 && this.frames[1].tick <= horizon) {
+      this.frames.shift();
+    }
+  }
+
+  getHistoryTicks() {
+    return Math.round(this.historySeconds / this.timeStep);
+  }
+
+  // Oldest tick a rewind can reach
+  getEarliestTick() {
+    if (this.frames.length === 0) return this.tick;
+    return Math.max(this.frames[0].tick, this.tick - this.getHistoryTicks());
+  }
+
+  // Restore the nearest earlier frame and replay deterministically to the exact target tick.
+  // Returns false when the target lies outside the history window.
+  rewind(seconds) {
+    const target = this.tick - Math.round(seconds / this.timeStep);
+    if (target < this.getEarliestTick()) return false;
+    if (target === this.tick) return true;
+
+    let index = this.frames.length - 1;
+    while (this.frames[index].tick > target) index--;
+
+    const base = this.frames[index];
+    this.frames.length = index + 1;
+    this.restore(base.data);
+    this.tick = base.tick;
+    this.dirty = false;
+    this.accumulator = 0;
+
+    this.advance(target - base.tick);
+    this.render();
+    return true;
+  }
+
+  getStatus() {
+    return {
+      paused: this.paused,
+      timeScale: this.timeScale,
+      tick: this.tick,
+      historySeconds: this.historySeconds,
+      rewindableSeconds: (this.tick - this.getEarliestTick()) * this.timeStep
+    };
+  }
+}
+
+module.exports = {
+  SimulationClock,
+  MAX_TIME_SCALE,
+  MAX_STEP_TICKS
+};
@@ -0,0 +1,83 @@
+// Seeded Random Number Generator for the Simulation Loop
+// This file implements a small, fast, seedable PRNG (mulberry32) so that a given
+// seed reproduces the exact same particle setup and simulation frames for AlphaThrone
+
+class SeededRandom {
+  constructor(seed) {
+    this.setSeed(seed);
+  }
+
+  // Accepts numbers or arbitrary strings; falls back to a random seed when none is given
+  setSeed(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+    return this.seed;
+  }
+
+  getSeed() {
+    return this.seed;
+  }
+
+  // Full generator position, so a restored snapshot continues the same random stream
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  setState({ seed, state }) {
+    this.seed = seed >>> 0;
+    this.state = state >>> 0;
+  }
+
+  // Returns a float in [0, 1), drop-in replacement for Math.random()
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  // Standard normal sample (Box-Muller)
+  gaussian(mean = 0, standardDeviation = 1) {
+    const u1 = 1 - this.next(); // avoid log(0)
+    const u2 = this.next();
+    return mean + standardDeviation * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+
+  static normalizeSeed(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+      return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(Math.abs(seed)) >>> 0;
+    }
+
+    const text = String(seed);
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash for string seeds
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+module.exports = SeededRandom;
@@ -0,0 +1,172 @@
+// Spatial Hash Grid for Particle Neighbour Queries
+// This file implements a uniform-grid spatial index that is rebuilt once per tick, kept
+// current as particles move during the tick and shared by every interaction pass, replacing
+// the O(n²) all-pairs scan in AlphaThrone.
+// With periodic bounds the grid wraps and separations use the minimum image convention.
+
+class SpatialHashGrid {
+  constructor(cellSize = 2) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    // Cell key of every indexed particle by id, so moved particles can change buckets
+    this.keys = new Map();
+    this.itemCount = 0;
+    this.periodic = null;
+  }
+
+  // bounds { min, max } makes the grid periodic over that box; null makes it unbounded
+  setPeriodicBounds(bounds) {
+    if (!bounds) {
+      this.periodic = null;
+      return;
+    }
+
+    // Whole number of cells per axis, each at least cellSize wide, so wrapping is exact
+    this.periodic = {};
+    ['x', 'y', 'z'].forEach(axis => {
+      const length = bounds.max[axis] - bounds.min[axis];
+      const cells = Math.max(1, Math.floor(length / this.cellSize));
+      this.periodic[axis] = { min: bounds.min[axis], length: length, cells: cells, size: length / cells };
+    });
+  }
+
+  // Bucket every particle by the cell containing its current position
+  rebuild(particles) {
+    this.cells.clear();
+    this.keys.clear();
+    this.itemCount = 0;
+
+    for (const particle of particles) {
+      this.insert(particle, this.keyFor(particle.position));
+    }
+  }
+
+  // Move a particle to the cell of its current position once it has moved, so later queries
+  // in the same tick find it where it is now
+  update(particle) {
+    const key = this.keyFor(particle.position);
+    if (this.keys.get(particle.id) === key) return;
+    this.remove(particle);
+    this.insert(particle, key);
+  }
+
+  remove(particle) {
+    const key = this.keys.get(particle.id);
+    if (key === undefined) return;
+
+    const bucket = this.cells.get(key);
+    const index = bucket.findIndex(item => item.id === particle.id);
+    bucket.splice(index, 1);
+    if (bucket.length === 0) this.cells.delete(key);
+    this.keys.delete(particle.id);
+    this.itemCount--;
+  }
+
+  insert(particle, key) {
+    const bucket = this.cells.get(key);
+    if (bucket) {
+      bucket.push(particle);
+    } else {
+      this.cells.set(key, [particle]);
+    }
+    this.keys.set(particle.id, key);
+    this.itemCount++;
+  }
+
+  // Returns neighbours within radius with the separation precomputed, so force
+  // passes never recompute the distance themselves
+  queryRadius(particle, radius) {
+    const { x, y, z } = particle.position;
+    const radiusSquared = radius * radius;
+    const neighbours = [];
+    const visited = new Set();
+
+    const xs = this.neighbourIndices('x', x, radius);
+    const ys = this.neighbourIndices('y', y, radius);
+    const zs = this.neighbourIndices('z', z, radius);
+
+    for (const ix of xs) {
+      for (const iy of ys) {
+        for (const iz of zs) {
+          const key = this.cellKey(ix, iy, iz);
+          if (visited.has(key)) continue;
+          visited.add(key);
+
+          const bucket = this.cells.get(key);
+          if (!bucket) continue;
+
+          for (const other of bucket) {
+            if (other.id === particle.id) continue;
+
+            const dx = this.separation('x', other.position.x - x);
+            const dy = this.separation('y', other.position.y - y);
+            const dz = this.separation('z', other.position.z - z);
+            const distanceSquared = dx * dx + dy * dy + dz * dz;
+
+            if (distanceSquared < radiusSquared) {
+              neighbours.push({ particle: other, dx, dy, dz, distance: Math.sqrt(distanceSquared) });
+            }
+          }
+        }
+      }
+    }
+
+    return neighbours;
+  }
+
+  keyFor(position) {
+    return this.cellKey(
+      this.cellIndex('x', position.x),
+      this.cellIndex('y', position.y),
+      this.cellIndex('z', position.z)
+    );
+  }
+
+  cellIndex(axis, value) {
+    const periodic = this.periodic && this.periodic[axis];
+    if (!periodic) return Math.floor(value / this.cellSize);
+
+    const index = Math.floor((value - periodic.min) / periodic.size);
+    return ((index % periodic.cells) + periodic.cells) % periodic.cells;
+  }
+
+  // Cell indices along one axis that can hold neighbours within radius (wrapped when periodic)
+  neighbourIndices(axis, value, radius) {
+    const periodic = this.periodic && this.periodic[axis];
+    const size = periodic ? periodic.size : this.cellSize;
+    const reach = Math.ceil(radius / size);
+    const center = this.cellIndex(axis, value);
+    const indices = [];
+
+    for (let i = center - reach; i <= center + reach; i++) {
+      indices.push(periodic ? ((i % periodic.cells) + periodic.cells) % periodic.cells : i);
+    }
+    return indices;
+  }
+
+  // Minimum image separation when periodic
+  separation(axis, delta) {
+    const periodic = this.periodic && this.periodic[axis];
+    return periodic ? delta - periodic.length * Math.round(delta / periodic.length) : delta;
+  }
+
+  cellKey(ix, iy, iz) {
+    return `${ix},${iy},${iz}`;
+  }
+
+  getStats() {
+    let maxOccupancy = 0;
+    for (const bucket of this.cells.values()) {
+      maxOccupancy = Math.max(maxOccupancy, bucket.length);
+    }
+
+    return {
+      cellSize: this.cellSize,
+      occupiedCells: this.cells.size,
+      particles: this.itemCount,
+      maxOccupancy: maxOccupancy
+    };
+  }
+}
+
+module.exports = SpatialHashGrid;
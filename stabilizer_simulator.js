@@ -0,0 +1,375 @@
+// Stabilizer (Clifford) Simulator
+// This file implements the CHP tableau of Aaronson and Gottesman: a state reachable from
+// |0...0⟩ by Clifford gates is stored as n destabilizer and n stabilizer Pauli strings, so
+// H, S and CNOT cost O(n) and a measurement O(n²) instead of touching 2^n amplitudes. It
+// also recognises which gate matrices are Clifford, so error-correction circuits of
+// hundreds of qubits can run through the same QuantumCircuit interface.
+
+const { pauliProbabilities } = require('./noise_model');
+
+// Matrix entries closer than this are considered equal
+const CLIFFORD_TOLERANCE = 1e-9;
+
+// Largest register the tableau accepts: it holds 2n Pauli strings of n bits and a
+// measurement costs O(n²)
+const MAX_STABILIZER_QUBITS = 4096;
+
+class StabilizerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StabilizerError';
+  }
+}
+
+function popcount(value) {
+  value = value - ((value >>> 1) & 0x55555555);
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return (((value + (value >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+// Complex matrix product a · b with [re, im] entries
+function multiply(a, b) {
+  return a.map(row => b[0].map((_, j) => row.reduce((sum, entry, k) => [
+    sum[0] + entry[0] * b[k][j][0] - entry[1] * b[k][j][1],
+    sum[1] + entry[0] * b[k][j][1] + entry[1] * b[k][j][0]
+  ], [0, 0])));
+}
+
+// Equal up to a global phase when `upToPhase`, exactly otherwise
+function sameMatrix(a, b, upToPhase = true) {
+  if (a.length !== b.length) return false;
+  let phase = [1, 0];
+  if (upToPhase) {
+    // b[i][j] = phase · a[i][j], read off the first entry that is not zero
+    const [i, j] = findNonZero(a);
+    const [aRe, aIm] = a[i][j];
+    const [bRe, bIm] = b[i][j];
+    const norm = aRe * aRe + aIm * aIm;
+    phase = [(bRe * aRe + bIm * aIm) / norm, (bIm * aRe - bRe * aIm) / norm];
+  }
+  return a.every((row, i) => row.every(([re, im], j) => {
+    return Math.abs(phase[0] * re - phase[1] * im - b[i][j][0]) < CLIFFORD_TOLERANCE &&
+      Math.abs(phase[0] * im + phase[1] * re - b[i][j][1]) < CLIFFORD_TOLERANCE;
+  }));
+}
+
+function findNonZero(matrix) {
+  for (let i = 0; i < matrix.length; i++) {
+    for (let j = 0; j < matrix.length; j++) {
+      if (Math.hypot(matrix[i][j][0], matrix[i][j][1]) > CLIFFORD_TOLERANCE) return [i, j];
+    }
+  }
+  return [0, 0];
+}
+
+const H_MATRIX = [[[Math.SQRT1_2, 0], [Math.SQRT1_2, 0]], [[Math.SQRT1_2, 0], [-Math.SQRT1_2, 0]]];
+const S_MATRIX = [[[1, 0], [0, 0]], [[0, 0], [0, 1]]];
+const PAULI_MATRICES = {
+  x: [[[0, 0], [1, 0]], [[1, 0], [0, 0]]],
+  y: [[[0, 0], [0, -1]], [[0, 1], [0, 0]]],
+  z: [[[1, 0], [0, 0]], [[0, 0], [-1, 0]]]
+};
+
+// The 24 one-qubit Cliffords (up to phase) as sequences of H and S in time order, found by a
+// breadth-first search from the identity
+const SINGLE_QUBIT_CLIFFORDS = (() => {
+  const found = [{ word: [], matrix: [[[1, 0], [0, 0]], [[0, 0], [1, 0]]] }];
+  for (let i = 0; i < found.length && found.length < 24; i++) {
+    for (const [name, gate] of [['h', H_MATRIX], ['s', S_MATRIX]]) {
+      const matrix = multiply(gate, found[i].matrix);
+      if (!found.some(clifford => sameMatrix(clifford.matrix, matrix))) {
+        found.push({ word: [...found[i].word, name], matrix: matrix });
+      }
+    }
+  }
+  return found;
+})();
+
+// Two-qubit Cliffords recognised without controls; the first target is the high bit
+const TWO_QUBIT_CLIFFORDS = [
+  { ops: [['cx', 0, 1]], matrix: [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 0, 1], [0, 0, 1, 0]] },
+  { ops: [['cx', 1, 0]], matrix: [[1, 0, 0, 0], [0, 0, 0, 1], [0, 0, 1, 0], [0, 1, 0, 0]] },
+  { ops: [['cz', 0, 1]], matrix: [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, -1]] },
+  { ops: [['swap', 0, 1]], matrix: [[1, 0, 0, 0], [0, 0, 1, 0], [0, 1, 0, 0], [0, 0, 0, 1]] }
+].map(clifford => ({ ops: clifford.ops, matrix: clifford.matrix.map(row => row.map(value => [value, 0])) }));
+
+// Tableau operations for a gate with the given number of controls, acting on slots
+// [...controls, ...targets], or null when the gate is not Clifford. Only singly controlled
+// Paulis (CX, CY, CZ) are Clifford among controlled gates.
+function cliffordOperations(gate, controlCount = 0) {
+  const matrix = gate.matrix;
+  if (matrix.length === 2 && controlCount === 0) {
+    const clifford = SINGLE_QUBIT_CLIFFORDS.find(candidate => sameMatrix(candidate.matrix, matrix));
+    return clifford ? clifford.word.map(name => [name, 0]) : null;
+  }
+  if (matrix.length === 2 && controlCount === 1) {
+    if (sameMatrix(SINGLE_QUBIT_CLIFFORDS[0].matrix, matrix, false)) return [];
+    const pauli = Object.keys(PAULI_MATRICES).find(name => sameMatrix(PAULI_MATRICES[name], matrix, false));
+    return pauli ? [[`c${pauli}`, 0, 1]] : null;
+  }
+  if (matrix.length === 4 && controlCount === 0) {
+    const clifford = TWO_QUBIT_CLIFFORDS.find(candidate => sameMatrix(candidate.matrix, matrix));
+    return clifford ? clifford.ops : null;
+  }
+  return null;
+}
+
+// Operations per gate object and control count, worked out once
+const operationCache = new WeakMap();
+
+function cachedOperations(gate, controlCount) {
+  if (!operationCache.has(gate)) operationCache.set(gate, new Map());
+  const byControls = operationCache.get(gate);
+  if (!byControls.has(controlCount)) byControls.set(controlCount, cliffordOperations(gate, controlCount));
+  return byControls.get(controlCount);
+}
+
+// True when every gate of a QuantumCircuit is Clifford (measurements and resets always are)
+function isCliffordCircuit(circuit) {
+  return circuit.gates.every(({ gate, controlQubits }) => cachedOperations(gate, controlQubits.length) !== null);
+}
+
+// Rows 0..n-1 are destabilizers, n..2n-1 stabilizers and row 2n is scratch space. Each row
+// holds packed x and z bits (qubit q in word q >> 5) and a sign bit.
+class StabilizerState {
+  constructor(numQubits) {
+    if (numQubits > MAX_STABILIZER_QUBITS) {
+      throw new StabilizerError(`The stabilizer backend supports at most ${MAX_STABILIZER_QUBITS} qubits`);
+    }
+    this.numQubits = numQubits;
+    this.words = Math.ceil(numQubits / 32) || 1;
+    const rows = 2 * numQubits + 1;
+    this.x = new Uint32Array(rows * this.words);
+    this.z = new Uint32Array(rows * this.words);
+    this.signs = new Uint8Array(rows);
+
+    // |0...0⟩: destabilizer X_q, stabilizer Z_q
+    for (let q = 0; q < numQubits; q++) {
+      this.x[q * this.words + (q >>> 5)] |= 1 << (q & 31);
+      this.z[(q + numQubits) * this.words + (q >>> 5)] |= 1 << (q & 31);
+    }
+  }
+
+  validateQubit(qubit) {
+    if (!Number.isInteger(qubit) || qubit < 0 || qubit >= this.numQubits) {
+      throw new StabilizerError(`Qubit ${qubit} is outside the ${this.numQubits}-qubit register`);
+    }
+  }
+
+  // Same signature as QuantumState.applyGate; a one-qubit gate given several targets acts
+  // on each of them
+  applyGate(gate, targetQubits, controlQubits = []) {
+    if (gate.numQubits === 1 && targetQubits.length > 1) {
+      targetQubits.forEach(target => this.applyGate(gate, [target], controlQubits));
+      return;
+    }
+    const ops = cachedOperations(gate, controlQubits.length);
+    if (ops === null) {
+      throw new StabilizerError(`Gate ${gate.name} is not a Clifford gate and cannot run on the stabilizer backend`);
+    }
+    const slots = [...controlQubits, ...targetQubits];
+    slots.forEach(qubit => this.validateQubit(qubit));
+    if (new Set(slots).size !== slots.length) {
+      throw new StabilizerError(`Gate ${gate.name} was given the same qubit twice`);
+    }
+    ops.forEach(([name, a, b]) => this.applyOperation(name, slots[a], slots[b]));
+  }
+
+  applyOperation(name, a, b) {
+    switch (name) {
+      case 'h': return this.h(a);
+      case 's': return this.s(a);
+      case 'cx': return this.cnot(a, b);
+      case 'cy':
+        // S · CX · S† on the target
+        this.s(b); this.s(b); this.s(b);
+        this.cnot(a, b);
+        return this.s(b);
+      case 'cz':
+        this.h(b);
+        this.cnot(a, b);
+        return this.h(b);
+      case 'swap':
+        this.cnot(a, b);
+        this.cnot(b, a);
+        return this.cnot(a, b);
+      default:
+        throw new StabilizerError(`Unknown tableau operation: ${name}`);
+    }
+  }
+
+  h(qubit) {
+    const word = qubit >>> 5;
+    const bit = 1 << (qubit & 31);
+    for (let row = 0; row < 2 * this.numQubits; row++) {
+      const index = row * this.words + word;
+      const xBit = this.x[index] & bit;
+      const zBit = this.z[index] & bit;
+      if (xBit && zBit) this.signs[row] ^= 1;
+      this.x[index] = (this.x[index] & ~bit) | zBit;
+      this.z[index] = (this.z[index] & ~bit) | xBit;
+    }
+  }
+
+  s(qubit) {
+    const word = qubit >>> 5;
+    const bit = 1 << (qubit & 31);
+    for (let row = 0; row < 2 * this.numQubits; row++) {
+      const index = row * this.words + word;
+      const xBit = this.x[index] & bit;
+      if (xBit && (this.z[index] & bit)) this.signs[row] ^= 1;
+      this.z[index] ^= xBit;
+    }
+  }
+
+  cnot(control, target) {
+    const cWord = control >>> 5;
+    const cBit = 1 << (control & 31);
+    const tWord = target >>> 5;
+    const tBit = 1 << (target & 31);
+    for (let row = 0; row < 2 * this.numQubits; row++) {
+      const base = row * this.words;
+      const xc = (this.x[base + cWord] & cBit) !== 0;
+      const zc = (this.z[base + cWord] & cBit) !== 0;
+      const xt = (this.x[base + tWord] & tBit) !== 0;
+      const zt = (this.z[base + tWord] & tBit) !== 0;
+      if (xc && zt && xt === zc) this.signs[row] ^= 1;
+      if (xc) this.x[base + tWord] ^= tBit;
+      if (zt) this.z[base + cWord] ^= cBit;
+    }
+  }
+
+  // Paulis only flip the signs of the rows they anticommute with
+  pauli(name, qubit) {
+    const word = qubit >>> 5;
+    const bit = 1 << (qubit & 31);
+    for (let row = 0; row < 2 * this.numQubits; row++) {
+      const index = row * this.words + word;
+      const flipsX = name !== 'z' && (this.z[index] & bit) !== 0;
+      const flipsZ = name !== 'x' && (this.x[index] & bit) !== 0;
+      if (flipsX !== flipsZ) this.signs[row] ^= 1;
+    }
+  }
+
+  // Row target ← row source · row target, tracking the power of i in the product
+  rowsum(target, source) {
+    let phase = 2 * this.signs[target] + 2 * this.signs[source];
+    const t = target * this.words;
+    const s = source * this.words;
+    for (let w = 0; w < this.words; w++) {
+      const x1 = this.x[s + w];
+      const z1 = this.z[s + w];
+      const x2 = this.x[t + w];
+      const z2 = this.z[t + w];
+      const X1 = x1 & ~z1, Y1 = x1 & z1, Z1 = ~x1 & z1;
+      const X2 = x2 & ~z2, Y2 = x2 & z2, Z2 = ~x2 & z2;
+      // XY = iZ, YZ = iX, ZX = iY and the reverse orders give -i
+      phase += popcount((X1 & Y2) | (Y1 & Z2) | (Z1 & X2)) - popcount((X1 & Z2) | (Y1 & X2) | (Z1 & Y2));
+      this.x[t + w] = x1 ^ x2;
+      this.z[t + w] = z1 ^ z2;
+    }
+    this.signs[target] = ((phase % 4) + 4) % 4 === 2 ? 1 : 0;
+  }
+
+  hasX(row, qubit) {
+    return (this.x[row * this.words + (qubit >>> 5)] & (1 << (qubit & 31))) !== 0;
+  }
+
+  clearRow(row) {
+    this.x.fill(0, row * this.words, (row + 1) * this.words);
+    this.z.fill(0, row * this.words, (row + 1) * this.words);
+    this.signs[row] = 0;
+  }
+
+  // First stabilizer anticommuting with Z on the qubit, or -1 when the outcome is determined
+  randomPivot(qubit) {
+    for (let row = this.numQubits; row < 2 * this.numQubits; row++) {
+      if (this.hasX(row, qubit)) return row;
+    }
+    return -1;
+  }
+
+  // Determined outcome, built in the scratch row from the stabilizers paired with the
+  // destabilizers that anticommute with Z on the qubit
+  determinedOutcome(qubit) {
+    const scratch = 2 * this.numQubits;
+    this.clearRow(scratch);
+    for (let row = 0; row < this.numQubits; row++) {
+      if (this.hasX(row, qubit)) this.rowsum(scratch, row + this.numQubits);
+    }
+    return this.signs[scratch];
+  }
+
+  calculateMeasurementProbability(qubit) {
+    this.validateQubit(qubit);
+    return this.randomPivot(qubit) >= 0 ? 0.5 : this.determinedOutcome(qubit);
+  }
+
+  // Z-basis measurement; random is any source with next() in [0, 1), e.g. a SeededRandom
+  measure(qubit, random = null) {
+    this.validateQubit(qubit);
+    const pivot = this.randomPivot(qubit);
+    if (pivot < 0) {
+      return this.determinedOutcome(qubit);
+    }
+
+    for (let row = 0; row < 2 * this.numQubits; row++) {
+      if (row !== pivot && this.hasX(row, qubit)) this.rowsum(row, pivot);
+    }
+    const destabilizer = pivot - this.numQubits;
+    this.x.copyWithin(destabilizer * this.words, pivot * this.words, (pivot + 1) * this.words);
+    this.z.copyWithin(destabilizer * this.words, pivot * this.words, (pivot + 1) * this.words);
+    this.signs[destabilizer] = this.signs[pivot];
+
+    const outcome = (random ? random.next() : Math.random()) < 0.5 ? 1 : 0;
+    this.clearRow(pivot);
+    this.z[pivot * this.words + (qubit >>> 5)] |= 1 << (qubit & 31);
+    this.signs[pivot] = outcome;
+    return outcome;
+  }
+
+  reset(qubit, random = null) {
+    if (this.measure(qubit, random) === 1) this.pauli('x', qubit);
+  }
+
+  // Sample one Pauli error of a Pauli noise channel
+  applyChannel(channel, qubit, random = null) {
+    const probabilities = pauliProbabilities(channel);
+    if (!probabilities) {
+      throw new StabilizerError(`The ${channel.type} channel is not a Pauli channel and cannot run on the stabilizer backend`);
+    }
+    let sample = random ? random.next() : Math.random();
+    for (const name of ['x', 'y', 'z']) {
+      if (sample < probabilities[name]) {
+        this.pauli(name, qubit);
+        return;
+      }
+      sample -= probabilities[name];
+    }
+  }
+
+  // Stabilizer generators as signed Pauli strings, qubit 0 first, e.g. '+XXI'
+  getStabilizers() {
+    const generators = [];
+    for (let row = this.numQubits; row < 2 * this.numQubits; row++) {
+      let pauli = this.signs[row] ? '-' : '+';
+      for (let q = 0; q < this.numQubits; q++) {
+        const word = row * this.words + (q >>> 5);
+        const bit = 1 << (q & 31);
+        const xBit = (this.x[word] & bit) !== 0;
+        const zBit = (this.z[word] & bit) !== 0;
+        pauli += xBit ? (zBit ? 'Y' : 'X') : (zBit ? 'Z' : 'I');
+      }
+      generators.push(pauli);
+    }
+    return generators;
+  }
+}
+
+module.exports = {
+  MAX_STABILIZER_QUBITS,
+  StabilizerState,
+  StabilizerError,
+  cliffordOperations,
+  isCliffordCircuit
+};
@@ -0,0 +1,201 @@
+// Delta-Compressed Simulation State Broadcaster
+// This file implements keyframe + per-tick delta broadcasting with client acknowledgement
+// and periodic resync, so observers no longer receive the full simulation state every frame
+
+const LIVE_ROOM = 'simulation:live';
+
+// Copy of plain simulation data, kept to compare the next tick against
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value !== null && typeof value === 'object') {
+    const copy = {};
+    for (const key of Object.keys(value)) copy[key] = cloneValue(value[key]);
+    return copy;
+  }
+  return value;
+}
+
+// Structural equality of the current value with a cloneValue() copy. Numbers and other
+// primitives are compared directly, so unchanged particles cost no serialisation.
+function sameValue(current, previous) {
+  if (current === previous) return true;
+  if (typeof current === 'number' && typeof previous === 'number') {
+    return Number.isNaN(current) && Number.isNaN(previous);
+  }
+  if (current === null || previous === null || typeof current !== 'object' || typeof previous !== 'object') {
+    return false;
+  }
+  if (Array.isArray(current)) {
+    if (!Array.isArray(previous) || current.length !== previous.length) return false;
+    for (let i = 0; i < current.length; i++) {
+      if (!sameValue(current[i], previous[i])) return false;
+    }
+    return true;
+  }
+  if (Array.isArray(previous)) return false;
+  const keys = Object.keys(current);
+  if (keys.length !== Object.keys(previous).length) return false;
+  for (const key of keys) {
+    if (!(key in previous) || !sameValue(current[key], previous[key])) return false;
+  }
+  return true;
+}
+
+class StateBroadcaster {
+  constructor(io, options = {}) {
+    this.io = io;
+    this.resyncInterval = options.resyncInterval || 600; // ticks between forced keyframes (~10s)
+    this.maxUnackedFrames = options.maxUnackedFrames || 120; // lag before a client is paused
+    this.excludeFromDeltas = new Set(options.excludeFromDeltas || ['particleTrails']);
+    this.frame = 0;
+    this.clients = new Map();
+    this.previousParticles = new Map();
+    this.previousSections = new Map();
+  }
+
+  // Send a keyframe to a newly connected observer and add it to the live room
+  addClient(socket, state) {
+    this.clients.set(socket.id, { socket: socket, lastAck: this.frame, stalled: false });
+    this.sendKeyframe(socket, state);
+    socket.join(LIVE_ROOM);
+  }
+
+  removeClient(socket) {
+    this.clients.delete(socket.id);
+  }
+
+  acknowledge(socket, frame) {
+    const client = this.clients.get(socket.id);
+    if (!client || !Number.isInteger(frame)) return;
+
+    client.lastAck = Math.max(client.lastAck, Math.min(frame, this.frame));
+
+    // A stalled client that has drained its backlog is resynced with a fresh keyframe
+    if (client.stalled && client.lastAck >= client.stalledAt - 1) {
+      client.stalled = false;
+      client.needsKeyframe = true;
+    }
+  }
+
+  requestKeyframe(socket) {
+    const client = this.clients.get(socket.id);
+    if (client) {
+      client.needsKeyframe = true;
+    }
+  }
+
+  // Diff the state against the previous broadcast and emit the delta to in-sync clients
+  broadcast(state) {
+    this.frame++;
+    const delta = this.computeDelta(state);
+
+    for (const client of this.clients.values()) {
+      if (!client.stalled && this.frame - client.lastAck > this.maxUnackedFrames) {
+        client.stalled = true;
+        client.stalledAt = this.frame;
+        client.socket.leave(LIVE_ROOM);
+      } else if (client.needsKeyframe) {
+        client.needsKeyframe = false;
+        this.sendKeyframe(client.socket, state);
+        client.socket.join(LIVE_ROOM);
+      }
+    }
+
+    if (this.frame % this.resyncInterval === 0) {
+      this.io.to(LIVE_ROOM).emit('simulationKeyframe', this.buildKeyframe(state));
+    } else {
+      this.io.to(LIVE_ROOM).emit('simulationDelta', delta);
+    }
+
+    return delta;
+  }
+
+  sendKeyframe(socket, state) {
+    socket.emit('simulationKeyframe', this.buildKeyframe(state));
+  }
+
+  buildKeyframe(state) {
+    const sections = {};
+    for (const [key, value] of Object.entries(state)) {
+      if (key !== 'particles' && this.isBroadcastable(value)) {
+        sections[key] = value;
+      }
+    }
+
+    return {
+      frame: this.frame,
+      particles: state.particles,
+      sections: sections
+    };
+  }
+
+  computeDelta(state) {
+    const delta = {
+      frame: this.frame,
+      particles: { updated: [], removed: [] },
+      sections: {}
+    };
+
+    // Particles: only the properties that changed since the last broadcast
+    const seen = new Set();
+    for (const particle of state.particles) {
+      seen.add(particle.id);
+      let previous = this.previousParticles.get(particle.id);
+      if (!previous) {
+        previous = new Map();
+        this.previousParticles.set(particle.id, previous);
+      }
+      let changes = null;
+
+      for (const property of Object.keys(particle)) {
+        const value = particle[property];
+        if (!previous.has(property) || !sameValue(value, previous.get(property))) {
+          previous.set(property, cloneValue(value));
+          changes = changes || { id: particle.id };
+          changes[property] = value;
+        }
+      }
+
+      if (changes) {
+        delta.particles.updated.push(changes);
+      }
+    }
+
+    for (const id of this.previousParticles.keys()) {
+      if (!seen.has(id)) {
+        this.previousParticles.delete(id);
+        delta.particles.removed.push(id);
+      }
+    }
+
+    // Everything else: whole top-level sections that changed
+    for (const [key, value] of Object.entries(state)) {
+      if (key === 'particles' || this.excludeFromDeltas.has(key) || !this.isBroadcastable(value)) continue;
+
+      if (!this.previousSections.has(key) || !sameValue(value, this.previousSections.get(key))) {
+        this.previousSections.set(key, cloneValue(value));
+        delta.sections[key] = value;
+      }
+    }
+
+    return delta;
+  }
+
+  // Engine instances pushed into the state arrays are not simulation data
+  isBroadcastable(value) {
+    if (!Array.isArray(value)) return true;
+    return value.every(item => item === null || typeof item !== 'object' ||
+      Array.isArray(item) || Object.getPrototypeOf(item) === Object.prototype);
+  }
+
+  getStats() {
+    return {
+      frame: this.frame,
+      clients: this.clients.size,
+      stalledClients: Array.from(this.clients.values()).filter(c => c.stalled).length,
+      trackedParticles: this.previousParticles.size
+    };
+  }
+}
+
+module.exports = StateBroadcaster;
@@ -0,0 +1,116 @@
+// Transfer-Matrix Tunneling
+// This file implements transmission and reflection coefficients of one-dimensional
+// piecewise-constant potential barriers with the transfer-matrix method, plus builders for
+// rectangular, double and arbitrary piecewise barriers. Energies are in eV, lengths in
+// ångström and masses in electron masses.
+
+const BARRIER_TYPES = ['rectangular', 'double', 'piecewise'];
+
+// ħ² / (2 mₑ) in eV·Å²
+const HBAR2_OVER_2ME = 3.80998212;
+
+// Energies this close to a segment's potential are nudged off it to avoid k = 0
+const DEGENERACY_EPSILON = 1e-9;
+
+// Complex numbers as [re, im]
+const add = (a, b) => [a[0] + b[0], a[1] + b[1]];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+const mul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+const div = (a, b) => {
+  const d = b[0] * b[0] + b[1] * b[1];
+  return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d];
+};
+const abs2 = (a) => a[0] * a[0] + a[1] * a[1];
+// exp(i z) for complex z
+const expi = (z) => {
+  const magnitude = Math.exp(-z[1]);
+  return [magnitude * Math.cos(z[0]), magnitude * Math.sin(z[0])];
+};
+
+function matrixProduct(a, b) {
+  return [
+    [add(mul(a[0][0], b[0][0]), mul(a[0][1], b[1][0])), add(mul(a[0][0], b[0][1]), mul(a[0][1], b[1][1]))],
+    [add(mul(a[1][0], b[0][0]), mul(a[1][1], b[1][0])), add(mul(a[1][0], b[0][1]), mul(a[1][1], b[1][1]))]
+  ];
+}
+
+// Wave number in 1/Å; imaginary (evanescent) below the potential
+function waveNumber(energy, potential, mass) {
+  let kinetic = energy - potential;
+  if (Math.abs(kinetic) < DEGENERACY_EPSILON) kinetic = DEGENERACY_EPSILON;
+  const magnitude = Math.sqrt(Math.abs(kinetic) * mass / HBAR2_OVER_2ME);
+  return kinetic > 0 ? [magnitude, 0] : [0, magnitude];
+}
+
+// Maps amplitudes (A, B) of A e^{ikx} + B e^{-ikx} on the right of an interface to the left
+function interfaceMatrix(kLeft, kRight) {
+  const ratio = div(kRight, kLeft);
+  const plus = mul([0.5, 0], add([1, 0], ratio));
+  const minus = mul([0.5, 0], sub([1, 0], ratio));
+  return [[plus, minus], [minus, plus]];
+}
+
+// Maps amplitudes at the right edge of a region of the given width to its left edge
+function propagationMatrix(k, width) {
+  return [[expi(mul(k, [-width, 0])), [0, 0]], [[0, 0], expi(mul(k, [width, 0]))]];
+}
+
+// segments: [{ width, height }] from left to right, with free space (V = 0) on both sides.
+// Returns { transmission, reflection } for a particle of the given energy coming from the left.
+function transmission(segments, energy, { mass = 1 } = {}) {
+  if (!(energy > 0)) {
+    return { transmission: 0, reflection: 1 };
+  }
+
+  const outside = waveNumber(energy, 0, mass);
+  let matrix = [[[1, 0], [0, 0]], [[0, 0], [1, 0]]];
+  let k = outside;
+  segments.forEach(segment => {
+    const inside = waveNumber(energy, segment.height, mass);
+    matrix = matrixProduct(matrix, interfaceMatrix(k, inside));
+    matrix = matrixProduct(matrix, propagationMatrix(inside, segment.width));
+    k = inside;
+  });
+  matrix = matrixProduct(matrix, interfaceMatrix(k, outside));
+
+  // Incoming amplitude M11 and reflected M21 for unit transmitted amplitude
+  const incoming = abs2(matrix[0][0]);
+  if (!Number.isFinite(incoming)) {
+    return { transmission: 0, reflection: 1 };
+  }
+  const t = Math.min(Math.max(1 / incoming, 0), 1);
+  return { transmission: t, reflection: 1 - t };
+}
+
+function rectangularBarrier(height, width) {
+  return [{ width: width, height: height }];
+}
+
+// Two equal barriers with a field-free gap between them
+function doubleBarrier(height, width, separation) {
+  return [{ width: width, height: height }, { width: separation, height: 0 }, { width: width, height: height }];
+}
+
+// Drop empty segments and reject anything that is not a finite, non-negative width
+function piecewiseBarrier(segments) {
+  segments.forEach((segment, index) => {
+    if (!Number.isFinite(segment.width) || segment.width < 0 || !Number.isFinite(segment.height)) {
+      throw new Error(`segments[${index}] must have a finite width >= 0 and a finite height`);
+    }
+  });
+  return segments.filter(segment => segment.width > 0).map(segment => ({ width: segment.width, height: segment.height }));
+}
+
+function barrierLength(segments) {
+  return segments.reduce((sum, segment) => sum + segment.width, 0);
+}
+
+module.exports = {
+  BARRIER_TYPES,
+  HBAR2_OVER_2ME,
+  transmission,
+  rectangularBarrier,
+  doubleBarrier,
+  piecewiseBarrier,
+  barrierLength
+};